@@ -9,8 +9,26 @@
  * Usage:
  *   node evaluate-progression.js                    # Evaluate all tasks
  *   node evaluate-progression.js --task=015        # Evaluate specific task
- *   node evaluate-progression.js --column=review   # Evaluate tasks in column
+ *   node evaluate-progression.js --column=qa       # Evaluate tasks in column
  *   node evaluate-progression.js --dry-run         # Preview without changes
+ *   node evaluate-progression.js --no-cache        # Re-run every gate (see gate-cache.js)
+ *
+ * Backlog tasks are only evaluated when asked for (--task or --column=backlog);
+ * picking up new work is otherwise left to the team.
+ *
+ * Gate outcomes and progressions are recorded in each card's history with
+ * "Monitor" as the actor (see `node kanban-updater.js history --actor=Monitor`).
+ *
+ * Each gate is run by a plugin (see gate-plugins.js): shell commands by the
+ * built-in shell plugin, other checks by plugins named in the gate's "plugin"
+ * field, including project plugins listed under plugins.modules in
+ * quality-gates.json. Independent gates run in parallel; depends_on,
+ * timeout_seconds and the execution settings in quality-gates.json control
+ * the order and limits, and the wall time of each evaluation is reported.
+ * Results are reused while the code and the gate config are unchanged
+ * (gate-cache.js, cache settings in quality-gates.json; --no-cache re-runs).
+ * Tasks in progress are checked on their own feature branch, in a git
+ * worktree that is removed afterwards (task-worktree.js).
  *
  * @version 1.0.0
  * @author [Codey] (TPM)
@@ -19,6 +37,11 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { KanbanStore, describeWipViolation, retryOnConflict } = require('./kanban-store');
+const { renderBoard } = require('./kanban-renderer');
+const { loadGatePlugins, runGate, runGates, gateCacheable } = require('./gate-plugins');
+const { GateCache, keyState, repoState } = require('./gate-cache');
+const { TaskWorktrees, TaskCheckout, featureBranch } = require('./task-worktree');
 
 // Configuration paths
 const CONFIG_DIR = path.join(__dirname, '..', 'config');
@@ -44,6 +67,7 @@ const options = {
     task: null,
     column: null,
     dryRun: args.includes('--dry-run'),
+    noCache: args.includes('--no-cache'),
     verbose: args.includes('--verbose') || args.includes('-v')
 };
 
@@ -65,6 +89,19 @@ const COLUMN_TRANSITIONS = {
     'qa': 'live'
 };
 
+// Actor recorded in card history for changes made by this script
+const MONITOR_ACTOR = 'Monitor';
+
+// Kanban store, handed to gate plugins (check_task_blockers reads it)
+let kanbanStore = null;
+
+// Gate result cache, and the kanban files (relative to the project root) it ignores
+let gateCache = null;
+let kanbanFiles = [];
+
+// Checkouts of the tasks' branches
+let worktrees = null;
+
 /**
  * Main entry point
  */
@@ -75,16 +112,41 @@ async function main() {
     console.log(`Mode: ${options.dryRun ? 'DRY RUN' : 'LIVE'}`);
     console.log('');
 
-    // Get kanban file path
+    // Get kanban data file path (kanban.json next to the kanban HTML)
     const kanbanPath = getKanbanPath();
-    if (!kanbanPath || !fs.existsSync(kanbanPath)) {
-        console.error('Error: Kanban file not found');
+    const dataPath = kanbanPath ? KanbanStore.pathForBoard(kanbanPath) : null;
+    if (!dataPath || !fs.existsSync(dataPath)) {
+        console.error('Error: Kanban data file not found');
+        if (kanbanPath && fs.existsSync(kanbanPath)) {
+            console.error('Run "node kanban-updater.js import-html" to convert the existing board');
+        }
+        process.exit(1);
+    }
+
+    // Project gate plugins (plugins.modules in quality-gates.json)
+    try {
+        const loaded = loadGatePlugins(qualityGates);
+        if (loaded.length > 0 && options.verbose) {
+            console.log(`Gate plugins: ${loaded.join(', ')}`);
+        }
+    } catch (error) {
+        console.error(`Error loading gate plugins: ${error.message}`);
         process.exit(1);
     }
 
     // Read kanban
-    const kanbanContent = fs.readFileSync(kanbanPath, 'utf8');
-    const tasks = parseKanbanTasks(kanbanContent);
+    kanbanStore = new KanbanStore(dataPath).load();
+
+    // Cached gate results apply while the code is unchanged; Monitor's own kanban commits don't count
+    gateCache = GateCache.open(qualityGates.cache);
+    kanbanFiles = [kanbanPath, dataPath].map(file => path.relative(process.cwd(), file));
+    if (options.verbose && gateCache) {
+        console.log(`Gate cache: ${gateCache.filePath}${options.noCache ? ' (refreshing)' : ''}`);
+    }
+
+    // Removes worktrees an interrupted run left behind
+    worktrees = TaskWorktrees.open(qualityGates.worktrees);
+    const tasks = kanbanStore.tasks;
 
     console.log(`Found ${tasks.length} tasks in kanban`);
     console.log('');
@@ -104,9 +166,10 @@ async function main() {
         tasksToEvaluate = tasksToEvaluate.filter(t => t.column === options.column);
     }
 
-    // Exclude backlog and done - they don't progress
+    // Exclude live (final) tasks, and backlog unless explicitly requested
+    const includeBacklog = Boolean(options.task) || options.column === 'backlog';
     tasksToEvaluate = tasksToEvaluate.filter(t =>
-        t.column !== 'backlog' && t.column !== 'done'
+        (includeBacklog || t.column !== 'backlog') && t.column !== 'live'
     );
 
     console.log(`Evaluating ${tasksToEvaluate.length} tasks for progression`);
@@ -134,6 +197,22 @@ async function main() {
         }
     }
 
+    // Record gate outcomes of tasks that did not progress (progressed tasks
+    // were recorded before their move). Written once, after all gates ran,
+    // and committed so the next run's "All changes committed" gate is not
+    // tripped by the kanban files.
+    if (!options.dryRun) {
+        const unprogressed = [...results.blocked, ...results.awaitingDecision];
+        if (unprogressed.length > 0 && recordGateResults(unprogressed)) {
+            commitKanbanFiles(`chore: record quality gate results (${unprogressed.map(r => `#${r.task.id}`).join(', ')})`);
+        }
+    }
+
+    // Gate results are real on a dry run too, so they are kept
+    if (gateCache) {
+        gateCache.save();
+    }
+
     // Print summary
     printSummary(results);
 
@@ -170,84 +249,176 @@ async function evaluateTask(task) {
     }
 
     console.log(`----------------------------------------`);
-    console.log(`Evaluating: #${task.id} - ${task.title}`);
+    console.log(`Evaluating: #${task.id} - ${task.title} (sprint ${task.sprint})`);
     console.log(`Transition: ${task.column} → ${nextColumn}`);
+
+    // The task's own branch, checked out on demand (task-worktree.js)
+    const checkout = worktrees
+        ? worktrees.checkout(task, taskBranch(task))
+        : new TaskCheckout(null, { branch: null, dir: process.cwd() });
+    const repo = checkout.error ? null : checkout.state(repoState, kanbanFiles);
+    const commit = repo ? repo.sha : null;
+    if (checkout.branch) {
+        const where = checkout.dir && !checkout.added && checkout.dir !== process.cwd() ? ` (checked out in ${checkout.dir})` : '';
+        const dirty = repo && repo.dirty ? ' with uncommitted changes' : '';
+        console.log(`Branch: ${checkout.branch}${commit ? ` at ${commit.slice(0, 7)}` : ''}${dirty}${where}`);
+    }
     console.log('');
 
-    const gateResults = [];
+    const execution = qualityGates.execution || {};
+    let run;
+    if (checkout.error) {
+        // Without its branch none of the task's gates would check its code
+        run = { results: [checkTaskBranch(checkout)], wallMs: 0, totalMs: 0 };
+    } else {
+        try {
+            run = await runGates(
+                gates.gates,
+                gate => runGateCheck(gate, task, checkout, repo),
+                { maxParallel: execution.max_parallel }
+            );
+        } finally {
+            await checkout.release();
+        }
+    }
+    const { results: gateResults, wallMs, totalMs } = run;
+    const branch = checkout.branch;
+
     let allPassed = true;
     let hasBlockingFailure = false;
     let awaitingHumanInput = false;
 
-    for (const gate of gates.gates) {
-        const gateResult = await runGateCheck(gate, task);
-        gateResults.push(gateResult);
+    // Results are printed in config order once every gate has finished
+    for (const gateResult of gateResults) {
+        const gate = gateResult.gate;
 
         if (!gateResult.passed) {
             allPassed = false;
 
-            if (gate.blocking) {
+            if (gate.blocking && !gateResult.skipped) {
                 hasBlockingFailure = true;
             }
 
-            if (!gate.auto && gate.decision_type === 'await_decision') {
+            if (!gate.auto && gate.decision_type === 'await_decision' && !gateResult.skipped) {
                 awaitingHumanInput = true;
             }
         }
 
         // Print gate result
-        const icon = gateResult.passed ? '[PASS]' : '[FAIL]';
+        const icon = gateResult.skipped ? '[SKIP]' : gateResult.passed ? '[PASS]' : '[FAIL]';
         const autoTag = gate.auto ? '(auto)' : '(manual)';
-        console.log(`  ${icon} ${gate.name} ${autoTag}`);
+        const duration = gateResult.skipped ? ''
+            : gateResult.cached ? ` cached (${formatDuration(gateResult.duration_ms)} on ${gateResult.checked_at.slice(0, 16).replace('T', ' ')})`
+            : ` ${formatDuration(gateResult.durationMs)}`;
+        console.log(`  ${icon} ${gate.name} ${autoTag}${duration}`);
 
         if (!gateResult.passed && gateResult.reason) {
             console.log(`       Reason: ${gateResult.reason}`);
         }
+
+        if (options.verbose && gateResult.outputs) {
+            console.log(`       Outputs (${gateResult.plugin}): ${JSON.stringify(gateResult.outputs)}`);
+        }
+        if (options.verbose && gateResult.details) {
+            console.log(`       Details (${gateResult.plugin}): ${JSON.stringify(gateResult.details)}`);
+        }
+    }
+
+    console.log(`  Gates took ${formatDuration(wallMs)} (${formatDuration(totalMs)} if run one after another)`);
+
+    // WIP limits (workflow-states.json) apply once the gates pass; Monitor never forces
+    if (allPassed) {
+        const wipResult = checkWipLimits(task, nextColumn);
+        gateResults.push(wipResult);
+        console.log(`  ${wipResult.passed ? '[PASS]' : '[FAIL]'} ${wipResult.gate.name} (auto)`);
+        if (!wipResult.passed) {
+            console.log(`       Reason: ${wipResult.reason}`);
+            allPassed = false;
+            hasBlockingFailure = true;
+        }
     }
 
     console.log('');
 
     // Determine outcome
     if (allPassed) {
+        // task is the store's record: the move below changes its column
+        const fromColumn = task.column;
         if (!options.dryRun) {
-            await progressTask(task, task.column, nextColumn);
+            recordGateResults([{ task, to: nextColumn, gateResults, branch, commit }]);
+            const moved = await progressTask(task, fromColumn, nextColumn);
+            if (!moved) {
+                console.log(`Result: ERROR (could not move to ${nextColumn})`);
+                return {
+                    task,
+                    status: 'error',
+                    error: `All gates passed but the move to ${nextColumn} failed`,
+                    from: fromColumn,
+                    to: nextColumn,
+                    gateResults,
+                    wallMs,
+                    branch,
+                    commit
+                };
+            }
         }
+        // Keep WIP counts current for the tasks evaluated after this one
+        kanbanStore.moveTask(task.id, nextColumn, undefined, { force: true });
         console.log(`Result: PROGRESSED to ${nextColumn}${options.dryRun ? ' (dry run)' : ''}`);
         return {
             task,
             status: 'progressed',
-            from: task.column,
+            from: fromColumn,
             to: nextColumn,
-            gateResults
+            gateResults,
+            wallMs,
+            branch,
+            commit
         };
     } else if (awaitingHumanInput) {
         console.log(`Result: AWAITING DECISION`);
         return {
             task,
             status: 'awaiting_decision',
-            gateResults
+            to: nextColumn,
+            gateResults,
+            wallMs,
+            branch,
+            commit
         };
     } else if (hasBlockingFailure) {
         console.log(`Result: BLOCKED (blocking gate failed)`);
         return {
             task,
             status: 'blocked',
-            gateResults
+            to: nextColumn,
+            gateResults,
+            wallMs,
+            branch,
+            commit
         };
     } else {
         console.log(`Result: NOT READY (gates not passed)`);
         return {
             task,
             status: 'blocked',
-            gateResults
+            to: nextColumn,
+            gateResults,
+            wallMs,
+            branch,
+            commit
         };
     }
 }
 
 /**
  * Run a single gate check
+ * @param {Object} gate - Gate entry
+ * @param {Object} task - Task record
+ * @param {TaskCheckout} checkout - Where the task's gates run
+ * @param {Object|null} repo - { sha, dirty } of that checkout (see gate-cache.js repoState)
  */
-async function runGateCheck(gate, task) {
+async function runGateCheck(gate, task, checkout, repo) {
     // Skip if not auto and no manual check available
     if (!gate.auto) {
         // Check if decision exists in pending.md
@@ -262,122 +433,77 @@ async function runGateCheck(gate, task) {
         };
     }
 
-    // Run automated check
-    try {
-        const checkCommand = substituteVariables(gate.check_command, task);
-
-        if (options.verbose) {
-            console.log(`       Running: ${checkCommand}`);
-        }
-
-        const result = runCommand(checkCommand);
-        const passed = evaluateCondition(gate.pass_condition, result);
+    // Reuse the last result while commit and gate config are unchanged
+    const substitute = text => substituteVariables(text, task);
+    const cacheState = gateCache && gateCacheable(gate) ? keyState(gate, repo, substitute) : null;
+    const cached = cacheState && !options.noCache ? gateCache.get(task.id, gate, cacheState) : null;
+    if (cached) {
+        return { ...cached, gate, cached: true };
+    }
 
-        return {
-            passed,
-            gate,
-            result,
-            reason: passed ? null : `Condition not met: ${gate.pass_condition}`
-        };
-    } catch (error) {
-        // Handle specific gate types that might not have commands
-        if (gate.check_command === 'check_task_blockers') {
-            return { passed: true, gate }; // Assume no blockers for now
-        }
+    const startedAt = Date.now();
+    const gateResult = await runGate(gate, {
+        task,
+        store: kanbanStore,
+        cwd: await checkout.ready(),
+        substitute,
+        verbose: options.verbose,
+        timeoutSeconds: (qualityGates.execution || {}).default_timeout_seconds
+    });
 
-        return {
-            passed: false,
-            gate,
-            reason: `Check failed: ${error.message}`
-        };
+    if (cacheState && !gateResult.error) {
+        gateCache.set(task.id, gate, cacheState, { ...gateResult, durationMs: Date.now() - startedAt });
     }
+    return gateResult;
 }
 
 /**
- * Run a shell command and return result
+ * WIP limit check for moving a task to the next column
  */
-function runCommand(command) {
-    try {
-        const output = execSync(command, {
-            encoding: 'utf8',
-            stdio: ['pipe', 'pipe', 'pipe'],
-            timeout: 30000
-        });
-        return {
-            exitCode: 0,
-            output: output.trim(),
-            count: parseInt(output.trim()) || 0
-        };
-    } catch (error) {
-        return {
-            exitCode: error.status || 1,
-            output: error.stdout || error.message,
-            count: 0
-        };
+function checkWipLimits(task, toColumn) {
+    const gate = { id: 'wip_limit', name: 'Within WIP limits', auto: true, blocking: true };
+    const current = kanbanStore.getTask(task.id);
+    const violations = kanbanStore.checkWipLimits(task.id, {
+        column: toColumn,
+        sprint: current.sprint,
+        assignee: current.assignee
+    });
+
+    if (violations.length === 0) {
+        return { passed: true, gate };
     }
+
+    return {
+        passed: false,
+        gate,
+        reason: `WIP limit reached: ${violations.map(describeWipViolation).join(', ')}`
+    };
 }
 
 /**
- * Evaluate a pass condition against a result
- * Uses safe comparison instead of eval() to prevent code injection
+ * Failed result for a task whose branch is missing
  */
-function evaluateCondition(condition, result) {
-    if (!condition) return result.exitCode === 0;
-
-    // Map variable names to their values
-    const vars = {
-        'exit_code': result.exitCode,
-        'result_count': result.count,
-        'result': result.output
+function checkTaskBranch(checkout) {
+    return {
+        passed: false,
+        gate: { id: 'task_branch', name: 'Task branch exists', auto: true, blocking: true },
+        reason: `${checkout.error} (create it, or move the task back to Backlog)`,
+        durationMs: 0
     };
+}
 
-    // Parse simple conditions: "variable operator value" with optional && / ||
-    // Supports: ===, !==, >=, <=, >, <, ==, !=
-    const parts = condition.split(/\s*(&&|\|\|)\s*/);
-    let finalResult = null;
-    let pendingOperator = null;
-
-    for (const part of parts) {
-        if (part === '&&' || part === '||') {
-            pendingOperator = part;
-            continue;
-        }
-
-        const match = part.trim().match(/^(\w+)\s*(===|!==|>=|<=|>|<|==|!=)\s*(.+)$/);
-        if (!match) return result.exitCode === 0;
-
-        const [, varName, operator, rawValue] = match;
-        const left = vars.hasOwnProperty(varName) ? vars[varName] : undefined;
-        if (left === undefined) return result.exitCode === 0;
-
-        // Parse the right-hand value
-        const value = rawValue.replace(/^['"]|['"]$/g, '');
-        const numValue = Number(value);
-        const right = isNaN(numValue) ? value : numValue;
-
-        let comparison;
-        switch (operator) {
-            case '===': comparison = left === right; break;
-            case '!==': comparison = left !== right; break;
-            case '==':  comparison = left == right; break;
-            case '!=':  comparison = left != right; break;
-            case '>=':  comparison = left >= right; break;
-            case '<=':  comparison = left <= right; break;
-            case '>':   comparison = left > right; break;
-            case '<':   comparison = left < right; break;
-            default:    return result.exitCode === 0;
-        }
-
-        if (finalResult === null) {
-            finalResult = comparison;
-        } else if (pendingOperator === '&&') {
-            finalResult = finalResult && comparison;
-        } else if (pendingOperator === '||') {
-            finalResult = finalResult || comparison;
-        }
-    }
+/**
+ * Feature branch of a task (git.feature_prefix in placeholders.json + task ID)
+ */
+function taskBranch(task) {
+    return task.branch || featureBranch(task.id);
+}
 
-    return finalResult !== null ? finalResult : result.exitCode === 0;
+/**
+ * Milliseconds as seconds, e.g. "12.3s"
+ */
+function formatDuration(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
 }
 
 /**
@@ -388,25 +514,32 @@ function substituteVariables(command, task) {
 
     return command
         .replace('$TASK_ID', task.id)
-        .replace('$BRANCH', task.branch || `feature/${task.id}`)
+        .replace('$BRANCH', taskBranch(task))
         .replace('$STAGING_URL', placeholders.environments?.staging?.url || '')
         .replace('$PRODUCTION_URL', placeholders.environments?.production?.url || '');
 }
 
 /**
  * Progress a task to the next column
+ * @returns {Promise<boolean>} - false when kanban-updater.js could not move the task
  */
 async function progressTask(task, fromColumn, toColumn) {
     const kanbanUpdater = path.join(__dirname, 'kanban-updater.js');
 
-    const command = `node "${kanbanUpdater}" --task-id="${task.id}" --from-column="${fromColumn}" --to-column="${toColumn}" --add-note="Auto-progressed by evaluate-progression.js - all gates passed"`;
+    const command = `node "${kanbanUpdater}" --kanban-file="${getKanbanPath()}" --actor="${MONITOR_ACTOR}" --task-id="${task.id}" --from-column="${fromColumn}" --to-column="${toColumn}" --add-note="Auto-progressed by evaluate-progression.js - all gates passed"`;
 
     try {
         execSync(command, { encoding: 'utf8' });
+    } catch (error) {
+        console.error(`Error progressing task: ${error.message}`);
+        return false;
+    }
 
-        // Git commit - stage only the kanban file, not everything
+    try {
+        // Git commit - stage only the kanban files, not everything
         const kanbanFile = getKanbanPath();
-        execSync(`git add "${kanbanFile}" && git commit -m "chore: auto-progress #${task.id} (${fromColumn} → ${toColumn})
+        const dataFile = KanbanStore.pathForBoard(kanbanFile);
+        execSync(`git add "${kanbanFile}" "${dataFile}" && git commit -m "chore: auto-progress #${task.id} (${fromColumn} → ${toColumn})
 
 Automated by evaluate-progression.js
 All quality gates passed.
@@ -414,42 +547,63 @@ All quality gates passed.
 Co-Authored-By: Claude <noreply@anthropic.com>"`, { encoding: 'utf8' });
 
     } catch (error) {
-        console.error(`Error progressing task: ${error.message}`);
+        // The move is saved; only its commit is missing
+        console.error(`Error committing progressed task: ${error.message}`);
     }
+    return true;
 }
 
 /**
- * Parse tasks from kanban HTML
+ * Record gate outcomes in the card history and re-render the board
+ * Outcomes identical to the last recorded run are skipped. If kanban.json is
+ * changed by someone else while recording, the results are recorded again
+ * on the new data.
+ * @param {Array} evaluations - { task, to, gateResults, branch, commit } per evaluated task
+ * @returns {boolean} - True if the kanban files were updated
  */
-function parseKanbanTasks(content) {
-    const tasks = [];
-    const columns = ['backlog', 'in_progress', 'qa', 'live'];
-
-    for (const column of columns) {
-        const startMarker = `<!-- KANBAN_${column.toUpperCase()}_START -->`;
-        const endMarker = `<!-- KANBAN_${column.toUpperCase()}_END -->`;
+function recordGateResults(evaluations) {
+    const kanbanFile = getKanbanPath();
 
-        const startIdx = content.indexOf(startMarker);
-        const endIdx = content.indexOf(endMarker);
+    try {
+        return retryOnConflict(() => {
+            const store = new KanbanStore(KanbanStore.pathForBoard(kanbanFile), { actor: MONITOR_ACTOR }).load();
+            let recorded = 0;
+
+            for (const { task, to, gateResults, branch, commit } of evaluations) {
+                const results = gateResults.map(result => ({
+                    id: result.gate.id,
+                    name: result.gate.name,
+                    passed: result.passed,
+                    reason: result.reason
+                }));
+                if (store.recordGateResults(task.id, to, results, { branch, commit })) {
+                    recorded++;
+                }
+            }
 
-        if (startIdx === -1 || endIdx === -1) continue;
+            if (recorded === 0) return false;
 
-        const columnContent = content.substring(startIdx, endIdx);
+            store.save({ views: [{ file: kanbanFile, render: data => renderBoard(data) }] });
+            return true;
+        });
+    } catch (error) {
+        console.error(`Error recording gate results: ${error.message}`);
+        return false;
+    }
+}
 
-        // Find all cards with data-id
-        const cardRegex = /data-id="(\d+)"[^>]*>[\s\S]*?<h4[^>]*>([^<]+)<\/h4>/g;
-        let match;
+/**
+ * Commit only the kanban files (HTML board and kanban.json)
+ */
+function commitKanbanFiles(message) {
+    const kanbanFile = getKanbanPath();
+    const dataFile = KanbanStore.pathForBoard(kanbanFile);
 
-        while ((match = cardRegex.exec(columnContent)) !== null) {
-            tasks.push({
-                id: match[1],
-                title: match[2].trim(),
-                column: column
-            });
-        }
+    try {
+        execSync(`git add "${kanbanFile}" "${dataFile}" && git commit -m "${message}"`, { encoding: 'utf8', stdio: 'pipe' });
+    } catch (error) {
+        console.error(`Error committing kanban files: ${error.message}`);
     }
-
-    return tasks;
 }
 
 /**
@@ -515,19 +669,19 @@ function printSummary(results) {
 
     console.log(`Progressed: ${results.progressed.length}`);
     results.progressed.forEach(r => {
-        console.log(`  - #${r.task.id}: ${r.from} → ${r.to}`);
+        console.log(`  - #${r.task.id}: ${r.from} → ${r.to} (gates ${formatDuration(r.wallMs)})`);
     });
 
     console.log('');
     console.log(`Blocked: ${results.blocked.length}`);
     results.blocked.forEach(r => {
-        console.log(`  - #${r.task.id}: ${r.task.title}`);
+        console.log(`  - #${r.task.id}: ${r.task.title} (gates ${formatDuration(r.wallMs)})`);
     });
 
     console.log('');
     console.log(`Awaiting Decision: ${results.awaitingDecision.length}`);
     results.awaitingDecision.forEach(r => {
-        console.log(`  - #${r.task.id}: ${r.task.title}`);
+        console.log(`  - #${r.task.id}: ${r.task.title} (gates ${formatDuration(r.wallMs)})`);
     });
 
     if (results.errors.length > 0) {
@@ -0,0 +1,204 @@
+/**
+ * gate-cache.js
+ *
+ * Remembers quality gate results so evaluate-progression.js can skip gates
+ * whose inputs have not changed since they last ran. A result is reused for
+ * the same task and gate while the code it ran on (HEAD, or the task's
+ * branch, see task-worktree.js) is at the same commit, the gate's entry in
+ * quality-gates.json is unchanged (config hash) and the result is younger
+ * than cache.max_age_hours (cache.failed_max_age_hours for failures).
+ * Commits that only touch the kanban files (Monitor's own) don't count as a
+ * new commit.
+ *
+ * Nothing is cached or reused while the working tree has uncommitted changes,
+ * since HEAD alone does not describe what a command would see. Gates that
+ * read state outside the commit opt out with "cache": false, as do plugins
+ * with cacheable: false (check_task_blockers, check_qa_test_results,
+ * check_bug_tracker). Errors and timeouts are never cached.
+ *
+ * Entries live in gate-cache.json inside the git directory (never committed,
+ * never seen by `git status`), unless cache.file in quality-gates.json names
+ * another file. One entry is kept per task and gate.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { writeFileAtomic, hashContent } = require('./kanban-files');
+
+// File name inside the git directory
+const CACHE_FILENAME = 'gate-cache.json';
+
+// Expiry unless quality-gates.json sets cache.max_age_hours / cache.failed_max_age_hours
+const DEFAULT_MAX_AGE_HOURS = 24;
+const DEFAULT_FAILED_MAX_AGE_HOURS = 6;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class GateCache {
+    /**
+     * @param {string} filePath - Cache file
+     * @param {Object} config - cache section of quality-gates.json
+     */
+    constructor(filePath, config = {}) {
+        this.filePath = filePath;
+        this.maxAgeMs = (config.max_age_hours ?? DEFAULT_MAX_AGE_HOURS) * HOUR_MS;
+        this.failedMaxAgeMs = (config.failed_max_age_hours ?? DEFAULT_FAILED_MAX_AGE_HOURS) * HOUR_MS;
+        this.entries = {};
+        this.changed = false;
+    }
+
+    /**
+     * Open the cache for a project, or null when caching is off or impossible
+     * (cache.enabled false, or not a git repository)
+     * @param {Object} config - cache section of quality-gates.json
+     * @param {string} cwd - Project root
+     * @returns {GateCache|null}
+     */
+    static open(config = {}, cwd = process.cwd()) {
+        if (config.enabled === false) return null;
+
+        let filePath;
+        if (config.file) {
+            filePath = path.resolve(cwd, config.file);
+        } else {
+            const gitDir = git('rev-parse --git-common-dir', cwd);
+            if (!gitDir) return null;
+            filePath = path.join(path.resolve(cwd, gitDir), CACHE_FILENAME);
+        }
+
+        return new GateCache(filePath, config).load();
+    }
+
+    load() {
+        try {
+            this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).entries || {};
+        } catch (error) {
+            // Missing or unreadable: start empty, it is only a cache
+            this.entries = {};
+        }
+        return this;
+    }
+
+    /**
+     * Write the cache if it changed, dropping expired entries
+     */
+    save() {
+        if (!this.changed) return;
+
+        const now = Date.now();
+        for (const [key, entry] of Object.entries(this.entries)) {
+            if (this.isExpired(entry, now)) delete this.entries[key];
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        writeFileAtomic(this.filePath, JSON.stringify({ _updated: new Date(now).toISOString(), entries: this.entries }, null, 2) + '\n');
+        this.changed = false;
+    }
+
+    /**
+     * Cached result of a gate, or null
+     * @param {string} taskId - Task ID
+     * @param {Object} gate - Gate entry
+     * @param {Object} state - Current { sha, configHash } (see keyState)
+     * @returns {Object|null} - Stored result with checked_at
+     */
+    get(taskId, gate, state) {
+        const entry = this.entries[entryKey(taskId, gate)];
+        if (!entry || entry.sha !== state.sha || entry.config_hash !== state.configHash) return null;
+        if (this.isExpired(entry, Date.now())) return null;
+        return entry;
+    }
+
+    /**
+     * Store a gate result
+     * @param {string} taskId - Task ID
+     * @param {Object} gate - Gate entry
+     * @param {Object} state - { sha, configHash }
+     * @param {Object} result - { passed, reason, plugin, details, outputs, durationMs }
+     */
+    set(taskId, gate, state, result) {
+        this.entries[entryKey(taskId, gate)] = {
+            sha: state.sha,
+            config_hash: state.configHash,
+            checked_at: new Date().toISOString(),
+            passed: result.passed,
+            reason: result.reason || null,
+            plugin: result.plugin || null,
+            details: result.details || null,
+            outputs: result.outputs || null,
+            duration_ms: result.durationMs || 0
+        };
+        this.changed = true;
+    }
+
+    isExpired(entry, now) {
+        const age = now - Date.parse(entry.checked_at);
+        return !(age >= 0 && age < (entry.passed ? this.maxAgeMs : this.failedMaxAgeMs));
+    }
+}
+
+/**
+ * What a cached result has to match: HEAD and the gate's config
+ * The config is hashed with check_command as it will run, so a changed
+ * $STAGING_URL or $BRANCH counts as a new config.
+ * @param {Object} gate - Gate entry
+ * @param {Object} repo - { sha, dirty } from repoState()
+ * @param {Function} substitute - Fills in the placeholders of a command
+ * @returns {Object|null} - { sha, configHash }, or null when the gate can't be cached
+ */
+function keyState(gate, repo, substitute = text => text) {
+    if (!repo || !repo.sha || repo.dirty) return null;
+    const resolved = gate.check_command ? { ...gate, check_command: substitute(gate.check_command) } : gate;
+    return { sha: repo.sha, configHash: hashContent(JSON.stringify(resolved)) };
+}
+
+/**
+ * HEAD commit and whether the working tree has uncommitted changes
+ * Files in ignorePaths (the kanban files Monitor commits itself) count for
+ * neither: the SHA is that of the last commit changing anything else.
+ * @param {string} cwd - Repository (or worktree) directory
+ * @param {Array} ignorePaths - Paths relative to the repository root to leave out
+ * @param {string} ref - Branch to describe instead of HEAD (never dirty: it has no working tree here)
+ * @returns {Object|null} - { sha, dirty }, or null outside a git repository
+ */
+function repoState(cwd = process.cwd(), ignorePaths = [], ref = null) {
+    const head = git(`rev-parse --verify --quiet "${ref || 'HEAD'}^{commit}"`, cwd);
+    if (!head) return null;
+
+    const pathspec = ['":/"', ...ignorePaths.map(file => `":(top,exclude)${file}"`)].join(' ');
+    const sha = ignorePaths.length > 0 ? git(`log -1 --format=%H ${head} -- ${pathspec}`, cwd) || head : head;
+    if (ref) return { sha, dirty: false };
+
+    const status = git(`status --porcelain -- ${pathspec}`, cwd);
+    return { sha, dirty: status === null || status !== '' };
+}
+
+function entryKey(taskId, gate) {
+    return `${taskId}:${gate.id}`;
+}
+
+/**
+ * Run a git command quietly (also used by task-worktree.js)
+ * @param {string} args - Arguments after "git"
+ * @param {string} cwd - Directory to run in
+ * @returns {string|null} - Trimmed stdout, null when git fails
+ */
+function git(args, cwd) {
+    try {
+        return execSync(`git ${args}`, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    GateCache,
+    keyState,
+    repoState,
+    git,
+    CACHE_FILENAME
+};
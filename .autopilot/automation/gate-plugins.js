@@ -0,0 +1,698 @@
+/**
+ * gate-plugins.js
+ *
+ * Quality gate plugins: the checks evaluate-progression.js runs for the gates
+ * in quality-gates.json. A plugin is a module registered under a name:
+ *
+ *   module.exports = {
+ *       name: 'check_changelog',
+ *       description: 'CHANGELOG.md mentions the task',
+ *       cacheable: true,           // false if the result depends on more than the commit (gate-cache.js)
+ *       run(context) {             // may be async
+ *           return { passed: true, reason: null, details: { ... } };
+ *       }
+ *   };
+ *
+ * run() gets a context of:
+ *   gate        The gate's entry in quality-gates.json
+ *   options     gate.options (plugin settings, {} when absent)
+ *   task        The task being evaluated (kanban.json record)
+ *   store       The loaded KanbanStore
+ *   cwd         Checkout of the task's branch (see task-worktree.js), else the project root
+ *   substitute  Replaces $TASK_ID, $BRANCH, $STAGING_URL, $PRODUCTION_URL in a string
+ *   verbose     True with --verbose
+ *
+ * and returns { passed, reason, details, outputs }: reason explains a
+ * failure, details holds whatever the plugin measured and outputs are named
+ * values (numbers, strings, booleans) for the gate's pass_condition, e.g.
+ * "critical_count === 0 && high_count === 0" or "all_passed". When the gate
+ * has a pass_condition it decides instead of passed. A thrown error fails
+ * the gate.
+ *
+ * A gate picks its plugin with "plugin": "<name>". Gates without one run
+ * their check_command through the built-in shell plugin, unless the
+ * check_command is a plugin name (e.g. "check_task_blockers"). Built in:
+ * shell, check_task_blockers, check_task_assigned, check_acceptance_criteria,
+ * check_qa_test_results, check_bug_tracker. Project plugins are listed under
+ * plugins.modules in quality-gates.json, with paths relative to the project
+ * root.
+ *
+ * runGates() runs a transition's gates side by side (execution.max_parallel
+ * in quality-gates.json), each within its timeout_seconds
+ * (execution.default_timeout_seconds otherwise). A gate with depends_on
+ * (gate IDs) waits for those gates and is skipped unless they pass; once a
+ * "blocking" gate fails, no further gates start.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+
+// Gate timeout unless the gate sets timeout_seconds (execution.default_timeout_seconds overrides)
+const DEFAULT_TIMEOUT_SECONDS = 30;
+
+// Gates run at the same time unless execution.max_parallel says otherwise
+const DEFAULT_MAX_PARALLEL = 4;
+
+// Output kept from a shell command
+const SHELL_MAX_BUFFER = 10 * 1024 * 1024;
+
+// Local QA data read by check_qa_test_results and check_bug_tracker (options.file overrides)
+const DEFAULT_QA_RESULTS_FILE = 'docs/qa/test-results.json';
+const DEFAULT_BUG_LIST_FILE = 'docs/qa/bugs.json';
+
+// Test case statuses in the QA results file
+const QA_STATUSES = ['passed', 'failed', 'blocked', 'skipped', 'pending'];
+
+// Bug severities and statuses in the bug list
+const BUG_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const OPEN_BUG_STATUSES = ['open', 'in_progress', 'reopened'];
+const CLOSED_BUG_STATUSES = ['fixed', 'verified', 'closed', 'wont_fix', 'duplicate'];
+
+// check_command values that look like a plugin name rather than a shell command
+const PLUGIN_NAME_PATTERN = /^check_\w+$/;
+
+// Registered plugins by name
+const registry = new Map();
+
+/**
+ * Register a gate plugin (a later plugin with the same name replaces it)
+ * @param {Object} plugin - { name, description?, run(context) }
+ * @param {string} source - Where the plugin came from, for error messages
+ */
+function registerGatePlugin(plugin, source = 'gate plugin') {
+    if (!plugin || typeof plugin.name !== 'string' || !plugin.name.trim() || typeof plugin.run !== 'function') {
+        throw new Error(`${source} must export { name, run(context) }`);
+    }
+    registry.set(plugin.name, plugin);
+    return plugin;
+}
+
+/**
+ * Registered plugin by name, or null
+ */
+function getGatePlugin(name) {
+    return registry.get(name) || null;
+}
+
+/**
+ * Names of the registered plugins
+ */
+function listGatePlugins() {
+    return [...registry.keys()];
+}
+
+/**
+ * Register the project plugins listed in quality-gates.json (plugins.modules)
+ * @param {Object} qualityGates - quality-gates.json
+ * @param {string} rootDir - Directory the module paths are relative to
+ * @returns {Array} - Names of the registered plugins
+ */
+function loadGatePlugins(qualityGates, rootDir = process.cwd()) {
+    const modules = (qualityGates.plugins && qualityGates.plugins.modules) || [];
+
+    return modules.map(modulePath => {
+        const resolved = path.resolve(rootDir, modulePath);
+        let plugin;
+        try {
+            plugin = require(resolved);
+        } catch (error) {
+            throw new Error(`Cannot load gate plugin ${modulePath}: ${error.message.split('\n')[0]}`);
+        }
+        return registerGatePlugin(plugin, `Gate plugin ${modulePath}`).name;
+    });
+}
+
+/**
+ * The plugin that runs a gate
+ * @returns {Object} - { plugin } or { error } when the gate names an unknown plugin
+ */
+function resolveGatePlugin(gate) {
+    if (gate.plugin) {
+        const plugin = getGatePlugin(gate.plugin);
+        return plugin ? { plugin } : { error: `Unknown gate plugin "${gate.plugin}" (registered: ${listGatePlugins().join(', ')})` };
+    }
+
+    const command = (gate.check_command || '').trim();
+    if (getGatePlugin(command)) {
+        return { plugin: getGatePlugin(command) };
+    }
+    if (PLUGIN_NAME_PATTERN.test(command)) {
+        return { error: `No gate plugin named "${command}" is registered (add it to plugins.modules in quality-gates.json)` };
+    }
+    return { plugin: getGatePlugin('shell') };
+}
+
+/**
+ * Run a gate through its plugin
+ * A gate's pass_condition is tested against the outputs the plugin returns
+ * and then decides the outcome; without one the plugin's own verdict does.
+ * @param {Object} gate - Gate entry from quality-gates.json
+ * @param {Object} context - { task, store, substitute, verbose, timeoutSeconds (default for
+ *   gates without timeout_seconds) }
+ * @returns {Promise<Object>} - { passed, gate, plugin, reason, details, outputs, error }
+ */
+async function runGate(gate, context) {
+    const { plugin, error } = resolveGatePlugin(gate);
+    if (error) {
+        return { passed: false, gate, plugin: gate.plugin || gate.check_command, reason: error, details: null, outputs: null };
+    }
+
+    // error: the check itself broke (threw or timed out) rather than failing
+    const fail = (reason, error = false) => ({ passed: false, gate, plugin: plugin.name, reason, details: null, outputs: null, error });
+
+    const timeoutSeconds = gate.timeout_seconds || context.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS;
+
+    let result;
+    try {
+        result = await withTimeout(
+            Promise.resolve().then(() => plugin.run({ ...context, gate, options: gate.options || {}, timeoutSeconds })),
+            timeoutSeconds * 1000
+        );
+    } catch (err) {
+        return fail(`Check failed: ${err.message}`, true);
+    }
+
+    const outputs = result && result.outputs ? result.outputs : null;
+    let passed = result ? result.passed : undefined;
+    let reason = result ? result.reason : null;
+
+    if (gate.pass_condition) {
+        if (!outputs) {
+            return fail(`Plugin "${plugin.name}" has no outputs to test pass_condition against`);
+        }
+        try {
+            passed = evaluateCondition(gate.pass_condition, outputs);
+        } catch (err) {
+            return fail(err.message);
+        }
+        const values = conditionNames(gate.pass_condition).map(name => `${name} = ${JSON.stringify(outputs[name])}`);
+        reason = passed ? null : `Condition not met: ${gate.pass_condition} (${values.join(', ')})${reason ? `: ${reason}` : ''}`;
+    }
+
+    if (typeof passed !== 'boolean') {
+        return fail(`Plugin "${plugin.name}" returned no pass/fail result`);
+    }
+
+    return {
+        passed,
+        gate,
+        plugin: plugin.name,
+        reason: passed ? null : (reason || `Plugin "${plugin.name}" failed`),
+        details: result.details || null,
+        outputs
+    };
+}
+
+/**
+ * Run a transition's gates, in parallel where their depends_on allows
+ * A gate starts once every gate it depends on has passed; it is skipped when
+ * one of them did not pass. After a blocking gate fails no further gates are
+ * started (running ones finish) and the rest are skipped.
+ * @param {Array} gates - Gate entries, in config order
+ * @param {Function} runOne - gate => Promise of a gate result ({ passed, gate, reason, ... })
+ * @param {Object} options - { maxParallel }
+ * @returns {Promise<Object>} - { results (config order, each with durationMs and
+ *   skipped), wallMs, totalMs (sum of the gate durations) }
+ */
+async function runGates(gates, runOne, options = {}) {
+    const maxParallel = Math.max(1, options.maxParallel || DEFAULT_MAX_PARALLEL);
+    const started = Date.now();
+    const items = gates.map((gate, index) => ({ gate, key: gate.id || `#${index + 1}`, result: null }));
+    const byKey = new Map(items.map(item => [item.key, item]));
+    const problems = dependencyProblems(items);
+    const running = new Map();
+    let stopReason = null;
+
+    const skip = (item, reason) => {
+        item.result = { passed: false, skipped: true, gate: item.gate, reason, durationMs: 0 };
+    };
+
+    const start = item => {
+        const gateStarted = Date.now();
+        return Promise.resolve()
+            .then(() => runOne(item.gate))
+            .catch(error => ({ passed: false, gate: item.gate, reason: `Check failed: ${error.message}`, error: true }))
+            .then(result => {
+                item.result = { ...result, skipped: false, durationMs: Date.now() - gateStarted };
+                return item;
+            });
+    };
+
+    for (;;) {
+        for (const item of items) {
+            if (item.result || running.has(item.key)) continue;
+
+            const dependencies = [].concat(item.gate.depends_on || []);
+            const failed = dependencies.find(key => byKey.get(key)?.result && !byKey.get(key).result.passed);
+            if (problems.has(item.key)) {
+                skip(item, `Skipped: ${problems.get(item.key)}`);
+            } else if (stopReason) {
+                skip(item, `Skipped: ${stopReason}`);
+            } else if (failed) {
+                skip(item, `Skipped: depends on ${failed}, which did not pass`);
+            } else if (dependencies.every(key => byKey.get(key).result) && running.size < maxParallel) {
+                running.set(item.key, start(item));
+            }
+        }
+
+        if (running.size === 0) break;
+
+        const finished = await Promise.race(running.values());
+        running.delete(finished.key);
+        if (!finished.result.passed && finished.gate.blocking && !stopReason) {
+            stopReason = `blocking gate ${finished.key} failed`;
+        }
+    }
+
+    const results = items.map(item => item.result);
+    return {
+        results,
+        wallMs: Date.now() - started,
+        totalMs: results.reduce((sum, result) => sum + result.durationMs, 0)
+    };
+}
+
+/**
+ * depends_on entries naming no gate of the transition, and dependency cycles
+ * @returns {Map} - Gate key → problem
+ */
+function dependencyProblems(items) {
+    const problems = new Map();
+    const byKey = new Map(items.map(item => [item.key, item]));
+
+    for (const item of items) {
+        const unknown = [].concat(item.gate.depends_on || []).filter(key => !byKey.has(key));
+        if (unknown.length > 0) {
+            problems.set(item.key, `depends_on names unknown gate(s) ${unknown.join(', ')}`);
+        }
+    }
+
+    // Depth-first search; every gate on a cycle gets the problem
+    const state = new Map();
+    const stack = [];
+    const visit = key => {
+        state.set(key, 'visiting');
+        stack.push(key);
+        for (const dependency of [].concat(byKey.get(key).gate.depends_on || []).filter(dep => byKey.has(dep))) {
+            if (state.get(dependency) === 'visiting') {
+                const cycle = stack.slice(stack.indexOf(dependency));
+                cycle.forEach(member => problems.set(member, `depends_on cycle ${[...cycle, dependency].join(' → ')}`));
+            } else if (!state.has(dependency)) {
+                visit(dependency);
+            }
+        }
+        stack.pop();
+        state.set(key, 'done');
+    };
+    items.forEach(item => { if (!state.has(item.key)) visit(item.key); });
+
+    return problems;
+}
+
+// ====================
+// BUILT-IN PLUGINS
+// ====================
+
+/**
+ * Runs check_command in a shell, in the task's checkout (cwd). Outputs:
+ * exit_code, result_count (the output read as a number) and result (the
+ * output). Passes on exit code 0 unless the gate has a pass_condition.
+ */
+const shellPlugin = {
+    name: 'shell',
+    description: 'Run check_command in a shell',
+    async run({ gate, substitute, verbose, timeoutSeconds, cwd }) {
+        if (!gate.check_command) {
+            throw new Error('No check_command to run');
+        }
+
+        const command = substitute(gate.check_command);
+        if (verbose) {
+            console.log(`       Running: ${command}`);
+        }
+
+        const result = await runCommand(command, timeoutSeconds * 1000, cwd);
+        if (result.timedOut) {
+            throw new Error(`Timed out after ${timeoutSeconds}s`);
+        }
+
+        return {
+            passed: result.exitCode === 0,
+            // A pass_condition reports the outputs instead
+            reason: gate.pass_condition ? null : `Exit code ${result.exitCode}`,
+            details: { command, ...(cwd ? { cwd } : {}) },
+            outputs: { exit_code: result.exitCode, result_count: result.count, result: result.output }
+        };
+    }
+};
+
+/**
+ * Passes when every dependency of the task is Live. Outputs: blocker_count.
+ */
+const taskBlockersPlugin = {
+    name: 'check_task_blockers',
+    description: 'Every dependency of the task is Live',
+    cacheable: false,
+    run({ task, store }) {
+        const blockers = store.getBlockers(task.id);
+
+        if (blockers.length === 0) {
+            return { passed: true, details: { blockers: [] }, outputs: { blocker_count: 0 } };
+        }
+
+        return {
+            passed: false,
+            reason: `Blocked by ${blockers.map(b => `#${b.id} (${b.column || 'missing'})`).join(', ')}`,
+            details: { blockers: blockers.map(b => b.id) },
+            outputs: { blocker_count: blockers.length }
+        };
+    }
+};
+
+/**
+ * Passes when the task has an assignee. Outputs: assignee.
+ */
+const taskAssignedPlugin = {
+    name: 'check_task_assigned',
+    description: 'The task has an assignee',
+    cacheable: false,
+    run({ task }) {
+        const assignee = (task.assignee || '').trim();
+        return {
+            passed: assignee !== '',
+            reason: assignee === '' ? `#${task.id} has no assignee` : null,
+            details: { assignee },
+            outputs: { assignee }
+        };
+    }
+};
+
+/**
+ * Passes when the task has at least one acceptance criterion (or
+ * options.min_count). Outputs: criteria_count.
+ */
+const acceptanceCriteriaPlugin = {
+    name: 'check_acceptance_criteria',
+    description: 'The task has acceptance criteria',
+    cacheable: false,
+    run({ task, options }) {
+        const criteria = (task.acceptance_criteria || []).filter(item => String(item).trim() !== '');
+        const minCount = options.min_count || 1;
+        return {
+            passed: criteria.length >= minCount,
+            reason: criteria.length >= minCount ? null : `#${task.id} has ${criteria.length} acceptance criteria (at least ${minCount} required)`,
+            details: { criteria },
+            outputs: { criteria_count: criteria.length }
+        };
+    }
+};
+
+/**
+ * Reads the task's test cases from the QA results file (options.file,
+ * default docs/qa/test-results.json), a JSON array of runs:
+ *   { "task_id": "015", "case": "Login with valid credentials", "status": "passed",
+ *     "tested_at": "2026-02-12", "tester": "[Verity]" }
+ * A later run of the same case replaces the earlier one. Outputs: total,
+ * passed, failed, blocked, skipped, pending, all_passed (every case passed
+ * or was skipped, and at least one passed).
+ */
+const qaTestResultsPlugin = {
+    name: 'check_qa_test_results',
+    description: 'QA test cases of the task, from a local results file',
+    cacheable: false,
+    run({ task, options, substitute }) {
+        const file = substitute(options.file || DEFAULT_QA_RESULTS_FILE);
+        const latest = new Map();
+
+        readJsonList(file, 'QA results file')
+            .filter(run => String(run.task_id).replace('#', '') === task.id)
+            .forEach(run => {
+                if (!QA_STATUSES.includes(run.status)) {
+                    throw new Error(`Test case "${run.case}" in ${file} has status "${run.status}". Must be one of: ${QA_STATUSES.join(', ')}`);
+                }
+                latest.set(run.case, run);
+            });
+
+        const cases = [...latest.values()];
+        const count = status => cases.filter(run => run.status === status).length;
+        const outputs = { total: cases.length };
+        QA_STATUSES.forEach(status => { outputs[status] = count(status); });
+        outputs.all_passed = outputs.passed > 0 && outputs.passed + outputs.skipped === outputs.total;
+
+        const open = cases.filter(run => !['passed', 'skipped'].includes(run.status));
+        let reason = null;
+        if (cases.length === 0) {
+            reason = `No test results for #${task.id} in ${file}`;
+        } else if (open.length > 0) {
+            reason = `${open.length} of ${cases.length} case(s) not passed: ${open.map(run => `${run.case} (${run.status})`).join(', ')}`;
+        }
+
+        return {
+            passed: outputs.all_passed,
+            reason,
+            details: { file, cases: cases.map(run => ({ case: run.case, status: run.status, tested_at: run.tested_at || null })) },
+            outputs
+        };
+    }
+};
+
+/**
+ * Counts the open bugs in the local bug list (options.file, default
+ * docs/qa/bugs.json), a JSON array of:
+ *   { "id": "BUG-12", "title": "Login fails on Safari", "severity": "high",
+ *     "status": "open", "task_id": "015" }
+ * Only bugs of the task count, or every bug with options.scope "all".
+ * Outputs: open_count, critical_count, high_count, medium_count, low_count.
+ * Passes when no critical or high bug is open.
+ */
+const bugTrackerPlugin = {
+    name: 'check_bug_tracker',
+    description: 'Open bugs by severity, from a local bug list',
+    cacheable: false,
+    run({ task, options, substitute }) {
+        const file = substitute(options.file || DEFAULT_BUG_LIST_FILE);
+        const allTasks = options.scope === 'all';
+
+        const open = readJsonList(file, 'Bug list')
+            .filter(bug => allTasks || String(bug.task_id).replace('#', '') === task.id)
+            .filter(bug => {
+                if (!BUG_SEVERITIES.includes(bug.severity)) {
+                    throw new Error(`Bug ${bug.id} in ${file} has severity "${bug.severity}". Must be one of: ${BUG_SEVERITIES.join(', ')}`);
+                }
+                if (!OPEN_BUG_STATUSES.includes(bug.status) && !CLOSED_BUG_STATUSES.includes(bug.status)) {
+                    throw new Error(`Bug ${bug.id} in ${file} has status "${bug.status}". Must be one of: ${[...OPEN_BUG_STATUSES, ...CLOSED_BUG_STATUSES].join(', ')}`);
+                }
+                return OPEN_BUG_STATUSES.includes(bug.status);
+            });
+
+        const outputs = { open_count: open.length };
+        BUG_SEVERITIES.forEach(severity => {
+            outputs[`${severity}_count`] = open.filter(bug => bug.severity === severity).length;
+        });
+
+        const serious = open.filter(bug => ['critical', 'high'].includes(bug.severity));
+        return {
+            passed: serious.length === 0,
+            reason: serious.length > 0 ? `Open: ${serious.map(bug => `${bug.id} (${bug.severity}) ${bug.title || ''}`.trim()).join(', ')}` : null,
+            details: { file, scope: allTasks ? 'all' : 'task', open: open.map(bug => ({ id: bug.id, severity: bug.severity, title: bug.title || '' })) },
+            outputs
+        };
+    }
+};
+
+registerGatePlugin(shellPlugin);
+registerGatePlugin(taskBlockersPlugin);
+registerGatePlugin(taskAssignedPlugin);
+registerGatePlugin(acceptanceCriteriaPlugin);
+registerGatePlugin(qaTestResultsPlugin);
+registerGatePlugin(bugTrackerPlugin);
+
+// ====================
+// HELPER FUNCTIONS
+// ====================
+
+/**
+ * Read a JSON array from a file (relative paths from the project root)
+ */
+function readJsonList(file, label) {
+    const fullPath = path.resolve(file);
+    if (!fs.existsSync(fullPath)) {
+        throw new Error(`${label} not found: ${file}`);
+    }
+
+    let list;
+    try {
+        list = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${label} ${file} is not valid JSON (${error.message})`);
+    }
+    if (!Array.isArray(list)) {
+        throw new Error(`${label} ${file} must be a JSON array`);
+    }
+    return list.filter(entry => entry && typeof entry === 'object');
+}
+
+/**
+ * Run a shell command and return result
+ * @param {string} cwd - Directory to run in (default: the current one)
+ * @returns {Promise<Object>} - { exitCode, output, count, timedOut }
+ */
+function runCommand(command, timeoutMs = DEFAULT_TIMEOUT_SECONDS * 1000, cwd = undefined) {
+    return new Promise(resolve => {
+        exec(command, { cwd, encoding: 'utf8', timeout: timeoutMs, maxBuffer: SHELL_MAX_BUFFER }, (error, stdout) => {
+            if (!error) {
+                resolve({ exitCode: 0, output: stdout.trim(), count: parseInt(stdout.trim()) || 0, timedOut: false });
+                return;
+            }
+            resolve({
+                exitCode: typeof error.code === 'number' ? error.code : 1,
+                output: stdout || error.message,
+                count: 0,
+                timedOut: Boolean(error.killed)
+            });
+        });
+    });
+}
+
+/**
+ * Reject with "Timed out after Ns" unless the promise settles in time
+ */
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs / 1000}s`)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Evaluate a pass condition against named outputs
+ * Uses safe comparison instead of eval() to prevent code injection.
+ * Throws on a part it cannot parse or a name missing from outputs.
+ */
+function evaluateCondition(condition, outputs) {
+    // Parse simple conditions: "name operator value" or "name" / "!name"
+    // (truthy), joined by && / || and evaluated left to right
+    // Supports: ===, !==, >=, <=, >, <, ==, !=
+    const parts = condition.split(/\s*(&&|\|\|)\s*/);
+    let finalResult = null;
+    let pendingOperator = null;
+
+    for (const part of parts) {
+        if (part === '&&' || part === '||') {
+            pendingOperator = part;
+            continue;
+        }
+
+        const flag = part.trim().match(/^(!?)(\w+)$/);
+        const match = part.trim().match(/^(\w+)\s*(===|!==|>=|<=|>|<|==|!=)\s*([^=\s].*)$/);
+        if (!flag && !match) {
+            throw new Error(`Cannot parse pass_condition "${condition}" at "${part.trim()}"`);
+        }
+
+        const varName = flag ? flag[2] : match[1];
+        if (!Object.prototype.hasOwnProperty.call(outputs, varName)) {
+            throw new Error(`pass_condition uses "${varName}", which is not an output (outputs: ${Object.keys(outputs).join(', ')})`);
+        }
+        const left = outputs[varName];
+
+        let comparison;
+        if (flag) {
+            comparison = flag[1] ? !left : Boolean(left);
+        } else {
+            const right = parseConditionValue(match[3].trim());
+            switch (match[2]) {
+                case '===': comparison = left === right; break;
+                case '!==': comparison = left !== right; break;
+                case '==':  comparison = left == right; break;
+                case '!=':  comparison = left != right; break;
+                case '>=':  comparison = left >= right; break;
+                case '<=':  comparison = left <= right; break;
+                case '>':   comparison = left > right; break;
+                case '<':   comparison = left < right; break;
+            }
+        }
+
+        if (finalResult === null) {
+            finalResult = comparison;
+        } else if (pendingOperator === '&&') {
+            finalResult = finalResult && comparison;
+        } else if (pendingOperator === '||') {
+            finalResult = finalResult || comparison;
+        }
+    }
+
+    return Boolean(finalResult);
+}
+
+/**
+ * Right-hand value of a comparison: quoted text stays a string,
+ * otherwise true/false and numbers are converted
+ */
+function parseConditionValue(raw) {
+    if (/^(['"]).*\1$/.test(raw)) return raw.slice(1, -1);
+    if (raw === 'true' || raw === 'false') return raw === 'true';
+    const number = Number(raw);
+    return isNaN(number) ? raw : number;
+}
+
+/**
+ * Output names a pass condition refers to
+ */
+function conditionNames(condition) {
+    return [...new Set(condition.split(/\s*(?:&&|\|\|)\s*/)
+        .map(part => (part.trim().match(/^!?(\w+)/) || [])[1])
+        .filter(Boolean))];
+}
+
+/**
+ * Whether a gate's result may be reused while the commit is unchanged:
+ * not for gates with "cache": false or plugins with cacheable: false
+ * (they read state outside the repository)
+ */
+function gateCacheable(gate) {
+    const { plugin } = resolveGatePlugin(gate);
+    return Boolean(plugin) && gate.cache !== false && plugin.cacheable !== false;
+}
+
+/**
+ * Whether a gate runs the given plugin (by "plugin" or by check_command name)
+ */
+function gateUsesPlugin(gate, name) {
+    return gate.plugin ? gate.plugin === name : (gate.check_command || '').trim() === name;
+}
+
+/**
+ * Whether a transition is guarded by the check_task_blockers gate
+ * kanban-updater.js and kanban-server.js refuse such moves while a dependency
+ * is unfinished (KanbanStore.checkMove).
+ * @param {Object} qualityGates - Parsed quality-gates.json
+ * @param {string} fromColumn
+ * @param {string} toColumn
+ * @returns {boolean}
+ */
+function transitionChecksBlockers(qualityGates, fromColumn, toColumn) {
+    const gates = (qualityGates[`${fromColumn}_to_${toColumn}`] || {}).gates || [];
+    return gates.some(gate => gateUsesPlugin(gate, 'check_task_blockers'));
+}
+
+module.exports = {
+    registerGatePlugin,
+    getGatePlugin,
+    listGatePlugins,
+    loadGatePlugins,
+    resolveGatePlugin,
+    runGate,
+    runGates,
+    gateCacheable,
+    gateUsesPlugin,
+    transitionChecksBlockers,
+    evaluateCondition,
+    runCommand,
+    QA_STATUSES,
+    BUG_SEVERITIES
+};
@@ -0,0 +1,499 @@
+#!/usr/bin/env node
+/**
+ * Kanban Card Archive
+ * ===================
+ * Keeps the board small: Live cards that have been done for a while, or
+ * that belong to a closed sprint, move out of kanban.json into monthly
+ * archive files next to it. Settings: archive in workflow-states.json.
+ *
+ * Layout (directory relative to kanban.json, default "archive"):
+ *   archive/kanban-archive-2026-10.json   Cards archived in that month
+ *                                          { _version, _updated, project, tasks: [...] }
+ *   archive/index.html                    Searchable table of every archived card
+ *
+ * Archived cards keep their full record and history (plus an "archived"
+ * entry). kanban.json remembers their IDs (`archive.ids`), so IDs are never
+ * reused and the board shows "N archived" with a link to index.html.
+ * Cards that another card on the board still depends on are not archived.
+ *
+ * Archive files are written before kanban.json: if the write is
+ * interrupted, a card can end up on the board and in the archive, never in
+ * neither. Re-running archive replaces the duplicate in the archive file.
+ *
+ * Usage:
+ *   node kanban-archive.js archive [--older-than=DAYS] [--closed-sprints=false] [--dry-run]
+ *   node kanban-archive.js search [--query=text] [--task-id=X] [--type=bug] [--assignee=X] [--sprint=N] [--json]
+ *   node kanban-archive.js restore --task-id=X [--dry-run]
+ *
+ * Options:
+ *   --kanban-file     Path to kanban HTML file [optional, data file is kanban.json next to it]
+ *   --data-file       Path to kanban.json [optional]
+ *   --template        Path to kanban HTML template [optional]
+ *   --actor           Recorded in card history [optional, default: human]
+ *   --older-than      Archive cards Live for more than DAYS days [optional, default: archive.after_days]
+ *   --closed-sprints  true/false: archive the Live cards of complete sprints
+ *                     [optional, default: archive.closed_sprints]
+ *   --dry-run         Show what would be archived or restored [optional]
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { KanbanStore, retryOnConflict, describeHistoryEntry, STORE_VERSION, DEFAULT_ACTOR } = require('./kanban-store');
+const { renderBoard, escapeHtml } = require('./kanban-renderer');
+
+const DEFAULT_ARCHIVE_CONFIG = {
+  directory: 'archive',
+  after_days: 30,
+  closed_sprints: true
+};
+
+// Page listing every archived card, inside the archive directory
+const INDEX_FILENAME = 'index.html';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * archive from workflow-states.json with defaults filled in
+ * @param {Object} workflow - workflow-states.json
+ * @returns {Object}
+ */
+function getArchiveConfig(workflow) {
+  return { ...DEFAULT_ARCHIVE_CONFIG, ...(workflow.archive || {}) };
+}
+
+/**
+ * Archive file for cards archived on a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - e.g. kanban-archive-2026-10.json
+ */
+function archiveFileName(date) {
+  return `kanban-archive-${date.slice(0, 7)}.json`;
+}
+
+/**
+ * When a card last reached a final column (falls back to its created date)
+ * @param {Object} task - Task record
+ * @param {Array} doneColumns - Final column IDs
+ * @returns {string} - ISO timestamp
+ */
+function liveSince(task, doneColumns) {
+  const arrivals = task.history.filter(entry => entry.event === 'column_changed' && doneColumns.includes(entry.to));
+  return arrivals.length > 0 ? arrivals[arrivals.length - 1].timestamp : `${task.created}T00:00:00.000Z`;
+}
+
+/**
+ * Pick the Live cards to archive
+ * @param {KanbanStore} store - Loaded store
+ * @param {Object} criteria - { afterDays: number|null, closedSprints: boolean, now: Date }
+ * @returns {Object} - { cards: [{ task, reason }], kept: [{ task, reason, dependents }] }
+ */
+function selectArchivable(store, criteria) {
+  const now = criteria.now || new Date();
+  const closed = new Set(store.sprints.filter(sprint => sprint.status === 'complete').map(sprint => sprint.id));
+
+  const candidates = new Map();
+  for (const task of store.tasks.filter(item => store.doneColumns.includes(item.column))) {
+    const days = Math.floor((now - new Date(liveSince(task, store.doneColumns))) / DAY_MS);
+    if (criteria.afterDays !== null && criteria.afterDays !== undefined && days > criteria.afterDays) {
+      candidates.set(task.id, { task, reason: `Live for ${days} days` });
+    } else if (criteria.closedSprints && closed.has(task.sprint)) {
+      candidates.set(task.id, { task, reason: `sprint ${task.sprint} closed` });
+    }
+  }
+
+  // A card stays while a card left on the board depends on it; keeping it
+  // can in turn keep its own dependencies, so repeat until nothing changes
+  const kept = [];
+  let changed = true;
+  while (changed) {
+    changed = false;
+    const remaining = store.tasks.filter(task => !candidates.has(task.id));
+    for (const [id, candidate] of candidates) {
+      const dependents = remaining.filter(task => task.dependencies.includes(id)).map(task => task.id);
+      if (dependents.length === 0) continue;
+      kept.push({ ...candidate, dependents });
+      candidates.delete(id);
+      changed = true;
+    }
+  }
+
+  return { cards: [...candidates.values()], kept };
+}
+
+/**
+ * Read every archive file in a directory, oldest first
+ * @param {string} directory - Absolute archive directory
+ * @returns {Array} - [{ file, tasks }] (file is the base name)
+ */
+function readArchive(directory) {
+  if (!fs.existsSync(directory)) return [];
+  return fs.readdirSync(directory)
+    .filter(name => /^kanban-archive-\d{4}-\d{2}\.json$/.test(name))
+    .sort()
+    .map(file => {
+      const content = fs.readFileSync(path.join(directory, file), 'utf8');
+      try {
+        return { file, tasks: JSON.parse(content).tasks || [] };
+      } catch (error) {
+        throw new Error(`Archive file is not valid JSON: ${path.join(directory, file)} (${error.message})`);
+      }
+    });
+}
+
+/**
+ * Archive file content
+ * @param {Array} tasks - Archived task records
+ * @param {Object} project - { name }
+ * @returns {string} - JSON
+ */
+function formatArchiveFile(tasks, project) {
+  return JSON.stringify({
+    _version: STORE_VERSION,
+    _updated: new Date().toISOString(),
+    project: { name: (project && project.name) || '[PROJECT_NAME]' },
+    tasks
+  }, null, 2) + '\n';
+}
+
+/**
+ * Archived date of a task (its last "archived" history entry)
+ */
+function archivedOn(task) {
+  const entries = task.history.filter(entry => entry.event === 'archived');
+  return entries.length > 0 ? entries[entries.length - 1].timestamp.slice(0, 10) : null;
+}
+
+/**
+ * Find archived cards
+ * @param {Array} files - Output of readArchive()
+ * @param {Object} filter - { query, taskId, type, assignee, sprint } (all optional;
+ *   query matches all words anywhere in the card, case-insensitively)
+ * @returns {Array} - [{ task, file }]
+ */
+function searchArchive(files, filter = {}) {
+  const words = String(filter.query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = [];
+
+  for (const { file, tasks } of files) {
+    for (const task of tasks) {
+      if (filter.taskId && task.id !== String(filter.taskId)) continue;
+      if (filter.type && task.type !== filter.type) continue;
+      if (filter.assignee && task.assignee.toLowerCase() !== String(filter.assignee).toLowerCase()) continue;
+      if (filter.sprint && task.sprint !== Number(filter.sprint)) continue;
+      if (words.length > 0) {
+        const text = [
+          `#${task.id}`, task.title, task.description, task.type, task.priority, task.assignee, task.status,
+          ...task.acceptance_criteria.map(item => item.text),
+          ...task.notes.map(note => note.text)
+        ].join(' ').toLowerCase();
+        if (!words.every(word => text.includes(word))) continue;
+      }
+      matches.push({ task, file });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Standalone page listing every archived card, with a search box
+ * @param {Array} files - Output of readArchive()
+ * @param {Object} options - { project, boardHref }
+ * @returns {string} - HTML
+ */
+function renderArchiveIndex(files, options = {}) {
+  const projectName = escapeHtml((options.project && options.project.name) || '[PROJECT_NAME]');
+  const entries = files
+    .flatMap(({ file, tasks }) => tasks.map(task => ({ file, task })))
+    .sort((a, b) => b.task.id.localeCompare(a.task.id, undefined, { numeric: true }));
+
+  const rows = entries.map(({ file, task }) => [
+    `            <tr title="${escapeHtml(task.description)}">`,
+    `                <td>#${escapeHtml(task.id)}</td>`,
+    `                <td>${escapeHtml(task.title)}</td>`,
+    `                <td>${escapeHtml(task.type)}</td>`,
+    `                <td>${escapeHtml(task.priority)}</td>`,
+    `                <td>${escapeHtml(task.points ?? '')}</td>`,
+    `                <td>${escapeHtml(task.sprint)}</td>`,
+    `                <td>${escapeHtml(task.assignee)}</td>`,
+    `                <td>${escapeHtml(archivedOn(task) || '')}</td>`,
+    `                <td><a href="${encodeURIComponent(file)}">${escapeHtml(file)}</a></td>`,
+    '            </tr>'
+  ].join('\n')).join('\n');
+
+  const boardLink = options.boardHref ? ` · <a href="${escapeHtml(options.boardHref)}">Back to the board</a>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${projectName} - Archived Cards</title>
+    <style>
+        body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; background: #f9fafb; }
+        h1 { font-size: 1.5rem; margin: 0 0 0.25rem; }
+        p { color: #6b7280; margin: 0 0 1rem; }
+        input { width: 20rem; padding: 0.375rem 0.5rem; border: 1px solid #e5e7eb; border-radius: 0.375rem; margin-bottom: 1rem; }
+        table { width: 100%; border-collapse: collapse; background: #fff; font-size: 0.875rem; }
+        th, td { text-align: left; padding: 0.5rem 0.75rem; border-bottom: 1px solid #f3f4f6; }
+        th { background: #f3f4f6; font-weight: 600; }
+        a { color: #2563eb; }
+    </style>
+</head>
+<body>
+    <h1>${projectName} - Archived Cards</h1>
+    <p>${entries.length} card(s) archived from the board${boardLink}. Search from the CLI with <code>kanban-archive.js search</code>.</p>
+    <input type="search" id="archive-search" placeholder="Search archived cards" oninput="filterRows(this.value)">
+    <table>
+        <thead>
+            <tr><th>ID</th><th>Title</th><th>Type</th><th>Priority</th><th>Points</th><th>Sprint</th><th>Assignee</th><th>Archived</th><th>File</th></tr>
+        </thead>
+        <tbody>
+${rows}
+        </tbody>
+    </table>
+    <script>
+        // Show rows containing every word of the search
+        function filterRows(text) {
+            const words = text.toLowerCase().split(/\\s+/).filter(Boolean);
+            document.querySelectorAll('tbody tr').forEach(row => {
+                const content = (row.textContent + ' ' + row.title).toLowerCase();
+                row.style.display = words.every(word => content.includes(word)) ? '' : 'none';
+            });
+        }
+    </script>
+</body>
+</html>
+`;
+}
+
+// ====================
+// CLI
+// ====================
+
+function main() {
+  const argv = process.argv.slice(2);
+  const command = argv[0] && !argv[0].startsWith('-') ? argv[0] : 'archive';
+  const args = argv.reduce((acc, arg) => {
+    if (!arg.startsWith('-')) return acc;
+    const eqIndex = arg.indexOf('=');
+    const key = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+    const value = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+    acc[key.replace(/^--?/, '')] = value?.replace(/^["']|["']$/g, '') || true;
+    return acc;
+  }, {});
+
+  if (args['help'] || args['h']) {
+    console.log(`
+📦 Kanban Card Archive
+
+USAGE:
+  node kanban-archive.js archive [--older-than=DAYS] [--dry-run]   Move old Live cards to archive files
+  node kanban-archive.js search [--query=text] [filters] [--json]  Find archived cards
+  node kanban-archive.js restore --task-id=X                       Put an archived card back on the board
+
+OPTIONS:
+  --kanban-file     Path to kanban HTML file (default: docs/kanban/kanban_dev.html)
+  --data-file       Path to kanban.json (default: next to the kanban HTML file)
+  --template        Custom kanban HTML template for rendering
+  --actor           Recorded in card history (default: ${DEFAULT_ACTOR})
+  --older-than      archive: cards Live for more than DAYS days (default: archive.after_days)
+  --closed-sprints  archive: true/false, Live cards of complete sprints (default: archive.closed_sprints)
+  --query           search: words that must all appear on the card (title, description, notes, ...)
+  --task-id         search: show one card in full; restore: the card to restore
+  --type, --assignee, --sprint   search: only matching cards
+  --json            search: print the matching cards as JSON
+  --dry-run         Show what would change without modifying files
+    `);
+    process.exit(0);
+  }
+
+  const kanbanFile = args['kanban-file'] || path.join(process.cwd(), 'docs', 'kanban', 'kanban_dev.html');
+  const dataFile = args['data-file'] || KanbanStore.pathForBoard(kanbanFile);
+  const templatePath = args['template'] || undefined;
+  const actor = typeof args['actor'] === 'string' && args['actor'].trim() ? args['actor'].trim() : DEFAULT_ACTOR;
+  const dryRun = args['dry-run'] === true;
+  const taskId = typeof args['task-id'] === 'string' ? args['task-id'].replace('#', '') : null;
+
+  if (!fs.existsSync(dataFile)) {
+    console.error(`❌ Kanban data file not found: ${dataFile}`);
+    process.exit(1);
+  }
+
+  const snapshot = new KanbanStore(dataFile, { actor }).load();
+  const config = getArchiveConfig(snapshot.workflow);
+  // Keep using the directory cards were archived to, even if the config changed since
+  const directoryName = (snapshot.data.archive && snapshot.data.archive.directory) || config.directory;
+  const directory = path.resolve(path.dirname(dataFile), directoryName);
+  const relativeFile = file => path.posix.join(directoryName.split(path.sep).join('/'), file);
+
+  // Archive files, index and board, written together with kanban.json
+  const views = (files, changedFile) => [
+    ...files.filter(({ file }) => file === changedFile).map(({ file, tasks }) => ({
+      file: path.join(directory, file),
+      render: data => formatArchiveFile(tasks, data.project),
+      before: command === 'archive'
+    })),
+    {
+      file: path.join(directory, INDEX_FILENAME),
+      render: data => renderArchiveIndex(files, { project: data.project, boardHref: path.relative(directory, kanbanFile).split(path.sep).join('/') })
+    },
+    { file: kanbanFile, render: data => renderBoard(data, { templatePath }) }
+  ];
+
+  if (command === 'search') {
+    const matches = searchArchive(readArchive(directory), {
+      query: typeof args['query'] === 'string' ? args['query'] : '',
+      taskId,
+      type: args['type'],
+      assignee: args['assignee'],
+      sprint: args['sprint']
+    });
+
+    if (args['json'] === true) {
+      console.log(JSON.stringify(matches.map(({ task, file }) => ({ ...task, archive_file: relativeFile(file) })), null, 2));
+      return;
+    }
+    if (matches.length === 0) {
+      console.log(`ℹ️  No archived cards match${taskId ? ` #${taskId}` : ''} (${snapshot.archivedIds.length} archived)`);
+      return;
+    }
+    if (taskId) {
+      const { task, file } = matches[0];
+      console.log(`📦 #${task.id} - ${task.title}`);
+      console.log(`   Archived:    ${archivedOn(task)} → ${relativeFile(file)}`);
+      console.log(`   Column:      ${task.column} (sprint ${task.sprint})`);
+      console.log(`   Type:        ${task.type}`);
+      console.log(`   Priority:    ${task.priority}`);
+      console.log(`   Points:      ${task.points ?? '-'}`);
+      console.log(`   Assignee:    ${task.assignee || '-'}`);
+      if (task.description) console.log(`   Description: ${task.description}`);
+      task.acceptance_criteria.forEach(item => console.log(`   ${item.done ? '☑' : '☐'} ${item.text}`));
+      console.log('\n📜 History:');
+      task.history.forEach(entry => console.log(`   ${entry.timestamp.replace('T', ' ').slice(0, 16)}  ${(entry.actor || '-').padEnd(12)}  ${describeHistoryEntry(entry)}`));
+      return;
+    }
+
+    console.log(`🔎 ${matches.length} archived card(s):\n`);
+    for (const { task, file } of matches) {
+      console.log(`  #${task.id}  ${task.title}`);
+      console.log(`        ${task.type}, sprint ${task.sprint}${task.assignee ? `, ${task.assignee}` : ''} · archived ${archivedOn(task)} → ${relativeFile(file)}`);
+    }
+    return;
+  }
+
+  if (command === 'restore') {
+    if (!taskId) {
+      console.error('❌ --task-id is required (e.g., --task-id="013")');
+      process.exit(1);
+    }
+
+    const restored = retryOnConflict(() => {
+      const store = new KanbanStore(dataFile, { actor }).load();
+      const files = readArchive(directory);
+      const entry = files.find(({ tasks }) => tasks.some(task => task.id === taskId));
+      if (!entry || !store.isArchived(taskId)) {
+        throw new Error(`Task #${taskId} is not in the archive (${directory})`);
+      }
+
+      const task = store.restoreTask(entry.tasks.find(item => item.id === taskId), { file: relativeFile(entry.file) });
+      entry.tasks = entry.tasks.filter(item => item.id !== taskId);
+      if (!dryRun) store.save({ views: views(files, entry.file) });
+      return { task, file: entry.file };
+    });
+
+    console.log(`${dryRun ? '🔍 DRY RUN: would restore' : '✅ Restored'} #${restored.task.id} ${restored.task.title} to ${restored.task.column} (sprint ${restored.task.sprint}) from ${relativeFile(restored.file)}`);
+    return;
+  }
+
+  if (command !== 'archive') {
+    console.error(`❌ Unknown command: "${command}". Must be one of: archive, search, restore`);
+    process.exit(1);
+  }
+
+  const olderThan = args['older-than'];
+  if (olderThan !== undefined && !/^\d+$/.test(String(olderThan))) {
+    console.error(`❌ Invalid --older-than: "${olderThan}". Use a number of days (e.g., --older-than=30)`);
+    process.exit(1);
+  }
+  const criteria = {
+    afterDays: olderThan !== undefined ? Number(olderThan) : config.after_days,
+    closedSprints: args['closed-sprints'] !== undefined ? args['closed-sprints'] !== 'false' : Boolean(config.closed_sprints)
+  };
+
+  const describe = [
+    criteria.afterDays !== null && criteria.afterDays !== undefined ? `Live for more than ${criteria.afterDays} days` : null,
+    criteria.closedSprints ? 'Live in a complete sprint' : null
+  ].filter(Boolean);
+  if (describe.length === 0) {
+    console.log('ℹ️  Nothing to archive: archive.after_days is null and closed_sprints is off');
+    return;
+  }
+
+  console.log(`📦 Archiving cards ${describe.join(' or ')}`);
+  if (dryRun) console.log('🔍 Mode: DRY RUN (no changes will be saved)');
+  console.log('');
+
+  const result = retryOnConflict(() => {
+    const store = new KanbanStore(dataFile, { actor }).load();
+    const selection = selectArchivable(store, criteria);
+    if (dryRun || selection.cards.length === 0) return { ...selection, file: null };
+
+    const today = new Date().toISOString().slice(0, 10);
+    const file = archiveFileName(today);
+    const files = readArchive(directory);
+    let entry = files.find(item => item.file === file);
+    if (!entry) {
+      entry = { file, tasks: [] };
+      files.push(entry);
+    }
+
+    const archived = selection.cards.map(({ task, reason }) =>
+      store.archiveTask(task.id, { directory: directoryName, file: relativeFile(file), reason }));
+    // Replace copies left by an interrupted run
+    const ids = new Set(archived.map(task => task.id));
+    entry.tasks = [...entry.tasks.filter(task => !ids.has(task.id)), ...archived];
+
+    store.save({ views: views(files, file) });
+    return { ...selection, file };
+  });
+
+  for (const { task, reason } of result.cards) {
+    console.log(`📦 #${task.id} ${task.title} (${reason})`);
+  }
+  for (const { task, dependents } of result.kept) {
+    console.log(`⏭️  #${task.id} ${task.title}: kept, ${dependents.map(id => `#${id}`).join(', ')} depend${dependents.length === 1 ? 's' : ''} on it`);
+  }
+
+  if (result.cards.length === 0) {
+    console.log('ℹ️  No cards to archive');
+  } else if (dryRun) {
+    console.log(`\n🔍 DRY RUN: ${result.cards.length} card(s) would be archived`);
+  } else {
+    console.log(`\n✅ ${result.cards.length} card(s) archived to ${relativeFile(result.file)}`);
+    console.log(`🔎 Browse: ${path.join(directory, INDEX_FILENAME)}`);
+  }
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  getArchiveConfig,
+  archiveFileName,
+  liveSince,
+  selectArchivable,
+  readArchive,
+  formatArchiveFile,
+  searchArchive,
+  renderArchiveIndex
+};
@@ -0,0 +1,135 @@
+/**
+ * Kanban Charts
+ * =============
+ * Inline SVG charts for the sprint metrics in kanban_dev.html (no chart
+ * library or external service; the board stays a single static file).
+ *
+ * Data comes from kanban-metrics.js (computeBurndown / computeVelocity).
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 32, left: 40 };
+
+// Tailwind palette, matching the board columns
+const COLORS = {
+  actual: '#3b82f6',
+  ideal: '#9ca3af',
+  scope: '#8b5cf6',
+  committed: '#e5e7eb',
+  completed: '#10b981',
+  average: '#f59e0b',
+  grid: '#f3f4f6',
+  label: '#6b7280'
+};
+
+/**
+ * Burndown chart: remaining cards per day against the ideal line
+ * @param {Object} burndown - Output of computeBurndown()
+ * @returns {string} - SVG markup
+ */
+function renderBurndownChart(burndown) {
+  const days = burndown.days;
+  const maxValue = Math.max(1, ...days.map(day => Math.max(day.scope, day.ideal, day.remaining || 0)));
+  const x = index => coord(PADDING.left + (days.length > 1 ? index * plotWidth() / (days.length - 1) : plotWidth() / 2));
+  const y = value => coord(PADDING.top + plotHeight() * (1 - value / maxValue));
+
+  const actual = days
+    .map((day, index) => (day.remaining === null ? null : [x(index), y(day.remaining), day]))
+    .filter(Boolean);
+
+  const parts = [
+    ...yAxis(maxValue, y),
+    `<polyline points="${days.map((day, index) => `${x(index)},${y(day.scope)}`).join(' ')}" fill="none" stroke="${COLORS.scope}" stroke-width="1" stroke-opacity="0.5"/>`,
+    `<polyline points="${days.map((day, index) => `${x(index)},${y(day.ideal)}`).join(' ')}" fill="none" stroke="${COLORS.ideal}" stroke-width="1.5" stroke-dasharray="4 4"/>`,
+    `<polyline points="${actual.map(([px, py]) => `${px},${py}`).join(' ')}" fill="none" stroke="${COLORS.actual}" stroke-width="2"/>`,
+    ...actual.map(([px, py, day]) =>
+      `<circle cx="${px}" cy="${py}" r="2.5" fill="${COLORS.actual}"><title>${day.date}: ${day.remaining} remaining (ideal ${day.ideal}, scope ${day.scope})</title></circle>`),
+    label(PADDING.left, HEIGHT - 10, days[0].date, 'start'),
+    label(WIDTH - PADDING.right, HEIGHT - 10, days[days.length - 1].date, 'end')
+  ];
+
+  return svg(parts, `Burndown for sprint ${burndown.sprint}`);
+}
+
+/**
+ * Velocity chart: committed vs. completed cards per completed sprint
+ * @param {Object} velocity - Output of computeVelocity()
+ * @returns {string} - SVG markup
+ */
+function renderVelocityChart(velocity) {
+  const sprints = velocity.sprints;
+  const maxValue = Math.max(1, ...sprints.map(item => Math.max(item.committed, item.completed)));
+  const slot = plotWidth() / sprints.length;
+  const barWidth = Math.min(48, slot * 0.6);
+  const y = value => coord(PADDING.top + plotHeight() * (1 - value / maxValue));
+  const bar = (index, value, color) => {
+    const top = y(value);
+    return `<rect x="${coord(PADDING.left + index * slot + (slot - barWidth) / 2)}" y="${top}" width="${coord(barWidth)}" height="${coord(PADDING.top + plotHeight() - top)}" rx="3" fill="${color}"/>`;
+  };
+
+  const parts = [...yAxis(maxValue, y)];
+  sprints.forEach((item, index) => {
+    const center = coord(PADDING.left + index * slot + slot / 2);
+    parts.push(
+      `<g><title>Sprint ${item.sprint}: ${item.completed} of ${item.committed} card(s) done</title>`,
+      bar(index, item.committed, COLORS.committed),
+      bar(index, item.completed, COLORS.completed),
+      '</g>',
+      label(center, y(item.completed) - 4, String(item.completed), 'middle'),
+      label(center, HEIGHT - 10, `S${item.sprint}`, 'middle')
+    );
+  });
+
+  if (velocity.average !== null) {
+    const avgY = y(velocity.average);
+    parts.push(
+      `<line x1="${PADDING.left}" y1="${avgY}" x2="${WIDTH - PADDING.right}" y2="${avgY}" stroke="${COLORS.average}" stroke-width="1.5" stroke-dasharray="4 4"/>`,
+      label(WIDTH - PADDING.right, avgY - 4, `avg ${velocity.average}`, 'end')
+    );
+  }
+
+  return svg(parts, 'Velocity per sprint');
+}
+
+function plotWidth() {
+  return WIDTH - PADDING.left - PADDING.right;
+}
+
+function plotHeight() {
+  return HEIGHT - PADDING.top - PADDING.bottom;
+}
+
+// One decimal keeps the SVG small
+function coord(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function yAxis(maxValue, y) {
+  const ticks = [...new Set([0, Math.round(maxValue / 2), maxValue])];
+  return ticks.flatMap(value => [
+    `<line x1="${PADDING.left}" y1="${y(value)}" x2="${WIDTH - PADDING.right}" y2="${y(value)}" stroke="${COLORS.grid}"/>`,
+    label(PADDING.left - 6, y(value) + 4, String(value), 'end')
+  ]);
+}
+
+function label(x, y, text, anchor) {
+  return `<text x="${x}" y="${y}" text-anchor="${anchor}" font-size="11" fill="${COLORS.label}">${text}</text>`;
+}
+
+function svg(parts, title) {
+  return [
+    `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="w-full h-auto" role="img" aria-label="${title}" xmlns="http://www.w3.org/2000/svg">`,
+    ...parts.map(part => `    ${part}`),
+    '</svg>'
+  ].join('\n');
+}
+
+module.exports = {
+  renderBurndownChart,
+  renderVelocityChart,
+  CHART_COLORS: COLORS
+};
@@ -0,0 +1,215 @@
+/**
+ * Kanban File Safety
+ * ==================
+ * Lock files and atomic writes for kanban.json and kanban_dev.html, so
+ * Monitor, the CLI and the board server can write at the same time without
+ * losing each other's changes or leaving a half-written file on disk.
+ *
+ *   withFileLock(file, fn)   Run fn while holding <file>.lock (created with O_EXCL)
+ *   writeFileAtomic(file, s) Write a temp file in the same directory, fsync, rename
+ *   fingerprint(file)        Hash of the file content (null if missing), used by
+ *                            KanbanStore to detect changes between load and save
+ *
+ * A lock left behind by a process that died (same host, PID gone) or older
+ * than LOCK_STALE_MS is taken over.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// How long to wait for another writer before giving up
+const LOCK_TIMEOUT_MS = 10000;
+
+// A lock older than this is considered abandoned (writes take milliseconds)
+const LOCK_STALE_MS = 30000;
+
+// Pause between attempts to take the lock
+const LOCK_RETRY_MS = 50;
+
+class FileLockError extends Error {
+  constructor(message, holder) {
+    super(message);
+    this.name = 'FileLockError';
+    this.holder = holder;
+  }
+}
+
+/**
+ * Path of the lock file that guards a file
+ * @param {string} filePath - Guarded file
+ * @returns {string}
+ */
+function lockPath(filePath) {
+  return `${filePath}.lock`;
+}
+
+/**
+ * Run a function while holding the lock of a file
+ * @param {string} filePath - Guarded file (the lock is <filePath>.lock)
+ * @param {Function} fn - Called with no arguments; its return value is passed through
+ * @param {Object} options - { timeout: ms to wait (default 10s), stale: ms after which a lock is abandoned (default 30s) }
+ * @returns {*} - Whatever fn returns
+ */
+function withFileLock(filePath, fn, options = {}) {
+  const release = acquireLock(filePath, options);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Take the lock of a file, waiting for other holders
+ * @returns {Function} - Releases the lock
+ */
+function acquireLock(filePath, options = {}) {
+  const timeout = options.timeout ?? LOCK_TIMEOUT_MS;
+  const stale = options.stale ?? LOCK_STALE_MS;
+  const file = lockPath(filePath);
+  const deadline = Date.now() + timeout;
+  const owner = { pid: process.pid, host: os.hostname(), acquired: new Date().toISOString() };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  for (;;) {
+    try {
+      const fd = fs.openSync(file, 'wx');
+      fs.writeSync(fd, JSON.stringify(owner));
+      fs.closeSync(fd);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const holder = readLockHolder(file);
+    if (isAbandoned(file, holder, stale)) {
+      // Another waiter may have taken it over meanwhile; only remove the abandoned lock
+      const current = readLockHolder(file);
+      if (holder ? sameHolder(current, holder) : !current) fs.rmSync(file, { force: true });
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      const who = holder ? `process ${holder.pid} on ${holder.host} since ${holder.acquired}` : 'another process';
+      const message = timeout > 0 ? `Timed out after ${timeout}ms waiting for ${file} (held by ${who})` : `${file} is held by ${who}`;
+      throw new FileLockError(message, holder);
+    }
+    sleep(LOCK_RETRY_MS);
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    // Only remove the lock if it is still ours (it may have been taken over as stale)
+    if (sameHolder(readLockHolder(file), owner)) fs.rmSync(file, { force: true });
+  };
+}
+
+function sameHolder(a, b) {
+  return Boolean(a && b) && a.pid === b.pid && a.host === b.host && a.acquired === b.acquired;
+}
+
+function readLockHolder(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function isAbandoned(file, holder, stale) {
+  let age;
+  try {
+    age = Date.now() - fs.statSync(file).mtimeMs;
+  } catch (error) {
+    return false; // released in the meantime
+  }
+  if (age > stale) return true;
+  // Unreadable content while fresh: the holder is still writing it
+  if (!holder || holder.host !== os.hostname()) return false;
+  return !isProcessAlive(holder.pid);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Block the (synchronous) caller for a while
+ * @param {number} ms
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Replace a file in one step: readers see the old or the new content, never
+ * a partial write, and a crash leaves the old file in place
+ * @param {string} filePath - Destination
+ * @param {string} content - New content
+ */
+function writeFileAtomic(filePath, content) {
+  const dir = path.dirname(filePath);
+  const tempFile = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  try {
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+      fs.writeFileSync(fd, content, 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, filePath);
+  } catch (error) {
+    fs.rmSync(tempFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Hash of a file's content
+ * @param {string} filePath
+ * @returns {string|null} - SHA-1 hex digest, null if the file does not exist
+ */
+function fingerprint(filePath) {
+  try {
+    return hashContent(fs.readFileSync(filePath));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Hash of content already read (same digest as fingerprint())
+ * @param {string|Buffer} content
+ * @returns {string}
+ */
+function hashContent(content) {
+  return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+module.exports = {
+  LOCK_TIMEOUT_MS,
+  LOCK_STALE_MS,
+  FileLockError,
+  lockPath,
+  withFileLock,
+  writeFileAtomic,
+  fingerprint,
+  hashContent,
+  sleep
+};
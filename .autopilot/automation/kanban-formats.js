@@ -0,0 +1,601 @@
+/**
+ * Kanban Export / Import Formats
+ * ==============================
+ * Converts board cards to and from the formats stakeholders use outside the
+ * board: CSV (spreadsheets), JSON (a kanban.json extract) and GitHub Issues
+ * JSON (the REST API issue shape; `gh issue list --json ...` output is read
+ * as well).
+ *
+ * Import values are mapped through workflow-states.json: types, priorities
+ * and statuses match a card_properties ID or display name ("In Progress",
+ * "High", "bug") or one of the item's `aliases` ("enhancement"), columns a
+ * column ID or name, case-insensitively. Anything that doesn't map is kept
+ * as-is and rejected by KanbanStore validation.
+ *
+ * CSV columns (header row required, any order, unknown columns ignored):
+ *   id, title, description, type, priority, points ("3" or a size such as "M"),
+ *   sprint, column, status, assignee, created, dependencies ("003,007"),
+ *   acceptance_criteria ("First|[x] Done")
+ *
+ * GitHub issues:
+ *   number ↔ card ID, labels carry the type ("bug") and "priority:high",
+ *   "status:blocked", "column:qa"; milestone "Sprint 2" ↔ sprint; assignee
+ *   login ↔ "[Login]"; body = description, "## Acceptance Criteria" task list
+ *   and "Depends on: #003". Without a column label, closed issues go to the
+ *   final column (Live).
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const { EDITABLE_FIELDS, STORE_VERSION, SPRINT_FIELDS, findDependencyCycles } = require('./kanban-store');
+
+const FORMATS = ['csv', 'json', 'github'];
+
+const CSV_COLUMNS = ['id', 'title', 'description', 'type', 'priority', 'points', 'sprint', 'column', 'status', 'assignee', 'created', 'dependencies', 'acceptance_criteria'];
+
+// Label prefixes used on exported GitHub issues ("priority:high")
+const LABEL_KEYS = ['type', 'priority', 'status', 'column'];
+
+const CRITERIA_HEADING = '## Acceptance Criteria';
+
+/**
+ * Pick the format from --format or the file name / content
+ * @param {string} filePath - Input or output file
+ * @param {string} content - File content (imports only)
+ * @returns {string|null} - csv, json or github; null if unknown
+ */
+function detectFormat(filePath, content) {
+  if (/\.csv$/i.test(filePath)) return 'csv';
+  if (!/\.json$/i.test(filePath)) return null;
+  if (content === undefined) return 'json';
+
+  try {
+    const parsed = JSON.parse(content);
+    const items = Array.isArray(parsed) ? parsed : null;
+    return items && items.length > 0 && items.every(isGithubIssue) ? 'github' : 'json';
+  } catch (error) {
+    return 'json'; // reported by parseImport
+  }
+}
+
+function isGithubIssue(item) {
+  return item && typeof item === 'object' && item.number !== undefined && item.column === undefined;
+}
+
+// ====================
+// EXPORT
+// ====================
+
+/**
+ * Serialize board cards
+ * @param {Object} data - Store data (kanban.json)
+ * @param {string} format - csv, json or github
+ * @param {Object} workflow - workflow-states.json
+ * @param {Object} options - { sprint: only this sprint }
+ * @returns {string}
+ */
+function exportBoard(data, format, workflow, options = {}) {
+  const inSprint = item => options.sprint === undefined || options.sprint === null || Number(item) === Number(options.sprint);
+  const tasks = data.tasks.filter(task => inSprint(task.sprint));
+
+  switch (format) {
+    case 'csv':
+      return toCsv([CSV_COLUMNS, ...tasks.map(taskToCsvRow)]);
+    case 'json':
+      return JSON.stringify({
+        _format: 'kanban-export',
+        _version: STORE_VERSION,
+        exported: new Date().toISOString(),
+        project: data.project,
+        sprints: data.sprints.filter(sprint => inSprint(sprint.id)),
+        tasks
+      }, null, 2) + '\n';
+    case 'github':
+      return JSON.stringify(tasks.map(task => taskToIssue(task, workflow)), null, 2) + '\n';
+    default:
+      throw new Error(`Unknown format: "${format}". Must be one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+function taskToCsvRow(task) {
+  return CSV_COLUMNS.map(column => {
+    switch (column) {
+      case 'dependencies':
+        return task.dependencies.join(',');
+      case 'acceptance_criteria':
+        return task.acceptance_criteria.map(item => `${item.done ? '[x] ' : ''}${item.text}`).join('|');
+      default:
+        return task[column] === null || task[column] === undefined ? '' : String(task[column]);
+    }
+  });
+}
+
+function taskToIssue(task, workflow) {
+  const labels = [task.type, `priority:${task.priority}`, `column:${task.column}`];
+  if (task.status) labels.push(`status:${task.status}`);
+
+  return {
+    number: parseInt(task.id, 10),
+    title: task.title,
+    body: issueBody(task),
+    state: finalColumns(workflow).includes(task.column) ? 'closed' : 'open',
+    labels: labels.map(name => ({ name })),
+    assignees: task.assignee ? [{ login: task.assignee.replace(/^\[(.*)\]$/, '$1') }] : [],
+    milestone: { title: `Sprint ${task.sprint}` },
+    created_at: `${task.created}T00:00:00Z`
+  };
+}
+
+function issueBody(task) {
+  const sections = [];
+  if (task.description) sections.push(task.description);
+  if (task.acceptance_criteria.length > 0) {
+    sections.push([CRITERIA_HEADING, ...task.acceptance_criteria.map(item => `- [${item.done ? 'x' : ' '}] ${item.text}`)].join('\n'));
+  }
+  if (task.dependencies.length > 0) {
+    sections.push(`Depends on: ${task.dependencies.map(id => `#${id}`).join(', ')}`);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * CSV text (RFC 4180: quoted when needed, CRLF line endings)
+ * @param {Array} rows - Arrays of cell values
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const cell = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  return rows.map(row => row.map(value => cell(String(value))).join(',')).join('\r\n') + '\r\n';
+}
+
+// ====================
+// IMPORT
+// ====================
+
+/**
+ * Parse an export file into card fields
+ * @param {string} content - File content
+ * @param {string} format - csv, json or github
+ * @param {Object} workflow - workflow-states.json
+ * @returns {Object} - { rows: [{ at, fields }], sprints: [{ id, ... }], errors: [] }
+ *   `at` locates the row in the file for messages ("row 4", "issue #12");
+ *   `fields` only holds the values the file provides.
+ */
+function parseImport(content, format, workflow) {
+  const result = { rows: [], sprints: [], errors: [] };
+
+  if (format === 'csv') {
+    const records = parseCsv(content.replace(/^﻿/, ''));
+    if (records.length === 0) return result;
+
+    const header = records[0].cells.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const unknown = header.filter(name => name && !CSV_COLUMNS.includes(name));
+    if (!header.includes('title')) {
+      result.errors.push(`Missing "title" column. Known columns: ${CSV_COLUMNS.join(', ')}`);
+      return result;
+    }
+    if (unknown.length > 0) result.ignoredColumns = unknown;
+
+    for (const record of records.slice(1)) {
+      if (record.cells.every(value => value.trim() === '')) continue;
+      const raw = {};
+      header.forEach((name, index) => {
+        if (CSV_COLUMNS.includes(name) && record.cells[index] !== undefined) raw[name] = record.cells[index].trim();
+      });
+      result.rows.push({ at: `row ${record.line}`, fields: csvFields(raw, workflow) });
+    }
+    return result;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    result.errors.push(`Invalid JSON: ${error.message}`);
+    return result;
+  }
+
+  if (format === 'github') {
+    if (!Array.isArray(parsed)) {
+      result.errors.push('GitHub issues must be a JSON array of issues');
+      return result;
+    }
+    parsed.forEach((issue, index) => {
+      const at = issue.number !== undefined ? `issue #${issue.number}` : `issue ${index + 1}`;
+      result.rows.push({ at, fields: issueFields(issue, workflow) });
+    });
+    return result;
+  }
+
+  const tasks = Array.isArray(parsed) ? parsed : parsed.tasks;
+  if (!Array.isArray(tasks)) {
+    result.errors.push('JSON import needs a "tasks" array (or an array of tasks)');
+    return result;
+  }
+  tasks.forEach((task, index) => {
+    result.rows.push({ at: `task ${index + 1}${task.id !== undefined ? ` (#${task.id})` : ''}`, fields: jsonFields(task, workflow) });
+  });
+  result.sprints = Array.isArray(parsed.sprints) ? parsed.sprints : [];
+  return result;
+}
+
+function csvFields(raw, workflow) {
+  const fields = {};
+  const props = workflow.card_properties || {};
+
+  for (const [name, value] of Object.entries(raw)) {
+    switch (name) {
+      case 'id':
+        if (value) fields.id = normalizeId(value);
+        break;
+      case 'type':
+        if (value) fields.type = mapToId(value, props.task_types);
+        break;
+      case 'priority':
+        if (value) fields.priority = mapToId(value, props.priorities);
+        break;
+      case 'status':
+        fields.status = value ? mapToId(value, props.statuses) : null;
+        break;
+      case 'column':
+        if (value) fields.column = mapToId(value, workflow.columns);
+        break;
+      case 'points':
+        fields.points = value || null;
+        break;
+      case 'sprint':
+        if (value) fields.sprint = parseSprint(value);
+        break;
+      case 'created':
+        if (value) fields.created = value;
+        break;
+      case 'dependencies':
+        fields.dependencies = splitList(value, /[,;\s]+/).map(normalizeId);
+        break;
+      case 'acceptance_criteria':
+        fields.acceptance_criteria = splitList(value, /\s*[|\n]\s*/).map(parseCriterion);
+        break;
+      default:
+        fields[name] = value;
+    }
+  }
+  return fields;
+}
+
+function jsonFields(task, workflow) {
+  const props = workflow.card_properties || {};
+  const fields = {};
+  const has = key => task[key] !== undefined;
+
+  if (has('id') && task.id !== null && task.id !== '') fields.id = normalizeId(task.id);
+  if (has('title')) fields.title = String(task.title);
+  if (has('description')) fields.description = String(task.description || '');
+  if (has('type')) fields.type = mapToId(task.type, props.task_types);
+  if (has('priority')) fields.priority = mapToId(task.priority, props.priorities);
+  if (has('status')) fields.status = task.status ? mapToId(task.status, props.statuses) : null;
+  if (has('points')) fields.points = task.points === '' ? null : task.points;
+  if (has('column')) fields.column = mapToId(task.column, workflow.columns);
+  if (has('sprint')) fields.sprint = parseSprint(task.sprint);
+  if (has('assignee')) fields.assignee = String(task.assignee || '');
+  if (has('created')) fields.created = String(task.created);
+  if (has('dependencies')) fields.dependencies = (task.dependencies || []).map(normalizeId);
+  if (has('acceptance_criteria')) {
+    fields.acceptance_criteria = (task.acceptance_criteria || []).map(item =>
+      typeof item === 'string' ? parseCriterion(item) : { text: String(item.text), done: Boolean(item.done) });
+  }
+  return fields;
+}
+
+function issueFields(issue, workflow) {
+  const props = workflow.card_properties || {};
+  const fields = {};
+
+  if (issue.number !== undefined && issue.number !== null) fields.id = normalizeId(issue.number);
+  if (issue.title !== undefined) fields.title = String(issue.title);
+
+  const body = parseIssueBody(issue.body || '');
+  fields.description = body.description;
+  fields.acceptance_criteria = body.criteria;
+  fields.dependencies = body.dependencies;
+
+  // Prefixed labels first ("priority:high"), then bare labels matching a card property ("bug", "High")
+  const labels = (issue.labels || []).map(label => String(typeof label === 'string' ? label : label.name));
+  const lists = { type: props.task_types, priority: props.priorities, status: props.statuses, column: workflow.columns };
+  for (const label of labels) {
+    const match = label.match(/^(\w+)\s*:\s*(.+)$/);
+    if (match && LABEL_KEYS.includes(match[1].toLowerCase())) {
+      const key = match[1].toLowerCase();
+      fields[key] = mapToId(match[2].trim(), lists[key]);
+    }
+  }
+  for (const label of labels) {
+    for (const key of LABEL_KEYS) {
+      if (fields[key] !== undefined) continue;
+      const id = findId(label, lists[key]);
+      if (id) fields[key] = id;
+    }
+  }
+
+  if (fields.column === undefined && String(issue.state || '').toLowerCase() === 'closed') {
+    fields.column = finalColumns(workflow)[0];
+  }
+
+  const assignee = (issue.assignees || [])[0] || issue.assignee;
+  if (assignee) {
+    const login = typeof assignee === 'string' ? assignee : assignee.login;
+    if (login) fields.assignee = /^\[.*\]$/.test(login) ? login : `[${login}]`;
+  }
+
+  const milestone = issue.milestone && (typeof issue.milestone === 'string' ? issue.milestone : issue.milestone.title);
+  const sprint = milestone && String(milestone).match(/sprint\s*(\d+)/i);
+  if (sprint) fields.sprint = Number(sprint[1]);
+
+  const created = issue.created_at || issue.createdAt;
+  if (created) fields.created = String(created).slice(0, 10);
+
+  return fields;
+}
+
+function parseIssueBody(body) {
+  const lines = body.replace(/\r\n/g, '\n').split('\n');
+  const description = [];
+  const criteria = [];
+  let dependencies = [];
+  let inCriteria = false;
+
+  for (const line of lines) {
+    const dependsOn = line.match(/^\s*depends on:?\s*(.*)$/i);
+    if (dependsOn) {
+      dependencies = (dependsOn[1].match(/\d+/g) || []).map(normalizeId);
+      continue;
+    }
+    if (/^#+\s*acceptance criteria\s*$/i.test(line.trim())) {
+      inCriteria = true;
+      continue;
+    }
+    const item = line.match(/^\s*[-*]\s*\[([ xX])\]\s*(.+)$/);
+    if (inCriteria && item) {
+      criteria.push({ text: item[2].trim(), done: item[1] !== ' ' });
+      continue;
+    }
+    if (inCriteria && (line.trim() === '' || /^\s*[-*]\s/.test(line))) continue;
+    inCriteria = false;
+    description.push(line);
+  }
+
+  return { description: description.join('\n').trim(), criteria, dependencies };
+}
+
+/**
+ * Records of a CSV text, with the line each record starts on
+ * @param {string} text
+ * @returns {Array} - [{ line, cells: [] }]
+ */
+function parseCsv(text) {
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell);
+      records.push({ line: recordLine, cells });
+      cells = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    records.push({ line: recordLine, cells });
+  }
+  return records;
+}
+
+// ====================
+// APPLY
+// ====================
+
+/**
+ * Apply parsed rows to a loaded store: new IDs are added, known IDs updated
+ * Column changes bypass next_states and WIP limits (recorded as forced in
+ * the card history); field values are validated like `add`/`edit`.
+ * The store is changed in memory only; the caller saves it (or not, on a
+ * dry run or when errors are returned).
+ * @param {KanbanStore} store - Loaded store
+ * @param {Object} parsed - parseImport() result
+ * @param {Object} options - { newIds: add every row as a new card, ignoring file IDs }
+ * @returns {Object} - { added: [task], updated: [{ task, changed }], unchanged: [task], sprints: [{ sprint, changed }], errors: [] }
+ */
+function applyImport(store, parsed, options = {}) {
+  const result = { added: [], updated: [], unchanged: [], sprints: [], errors: [] };
+  const rows = assignIds(store, parsed.rows, options.newIds);
+  const rowErrors = [];
+  const fail = (row, error) => rowErrors.push({ index: rows.indexOf(row), message: `${row.at}: ${error.message || error}` });
+
+  // Sprint metadata from a JSON export (only fields the file has that differ)
+  for (const sprint of parsed.sprints) {
+    const current = store.getSprint(sprint.id) || {};
+    const changes = Object.fromEntries(SPRINT_FIELDS
+      .filter(field => sprint[field] !== undefined && (sprint[field] ?? '') !== (current[field] ?? ''))
+      .map(field => [field, sprint[field] ?? '']));
+    if (Object.keys(changes).length === 0) continue;
+    try {
+      const errors = store.validateSprintFields(sprint.id, changes);
+      if (errors.length > 0) throw new Error(errors.join('; '));
+      const { changed } = store.updateSprint(sprint.id, changes);
+      if (Object.keys(changed).length > 0) result.sprints.push({ sprint: store.getSprint(sprint.id), changed });
+    } catch (error) {
+      result.errors.push(`sprint ${sprint.id}: ${error.message}`);
+    }
+  }
+
+  const fresh = rows.filter(row => !store.getTask(row.fields.id));
+  const existing = rows.filter(row => store.getTask(row.fields.id));
+
+  // New cards in a dependency cycle among themselves are not added
+  const cycles = findDependencyCycles(fresh.map(row => ({ id: row.fields.id, dependencies: row.fields.dependencies || [] })));
+  const inCycle = new Set(cycles.flat());
+  for (const cycle of cycles) {
+    const message = `Dependency cycle: ${[...cycle, cycle[0]].map(id => `#${id}`).join(' → ')}`;
+    fresh.filter(row => cycle.includes(row.fields.id)).forEach(row => fail(row, message));
+  }
+
+  // Add new cards so that dependencies on other new cards exist first
+  let pending = fresh.filter(row => !inCycle.has(row.fields.id));
+  while (pending.length > 0) {
+    const pendingIds = new Set(pending.map(row => row.fields.id));
+    const ready = pending.filter(row => (row.fields.dependencies || []).every(id => !pendingIds.has(id)));
+    const batch = ready.length > 0 ? ready : pending; // never empty without cycles; guards the loop
+    for (const row of batch) {
+      try {
+        result.added.push(store.addTask(row.fields));
+      } catch (error) {
+        fail(row, error);
+      }
+    }
+    pending = pending.filter(row => !batch.includes(row));
+  }
+
+  for (const row of existing) {
+    try {
+      const task = store.getTask(row.fields.id);
+      const { column, ...rest } = row.fields;
+      const moving = column !== undefined && column !== task.column;
+      const edits = Object.fromEntries(Object.entries(rest).filter(([field]) =>
+        EDITABLE_FIELDS.includes(field) && !(moving && field === 'sprint')));
+
+      const errors = store.validateFields(row.fields);
+      if (errors.length > 0) throw new Error(errors.join('; '));
+
+      const { changed } = store.updateTask(task.id, edits);
+      if (moving) {
+        const { from, to } = store.moveTask(task.id, column, row.fields.sprint, { force: true });
+        changed.column = { from: from.column, to: to.column };
+        if (from.sprint !== to.sprint) changed.sprint = { from: from.sprint, to: to.sprint };
+      }
+
+      if (Object.keys(changed).length > 0) result.updated.push({ task, changed });
+      else result.unchanged.push(task);
+    } catch (error) {
+      fail(row, error);
+    }
+  }
+
+  // In file order, although new cards were added first
+  result.errors.push(...rowErrors.sort((a, b) => a.index - b.index).map(error => error.message));
+  return result;
+}
+
+// Give every row an ID up front so dependencies between new rows resolve
+function assignIds(store, rows, newIds) {
+  let next = parseInt(store.nextTaskId(), 10);
+  const taken = new Set(store.tasks.map(task => task.id));
+  const fileIds = new Set(newIds ? [] : rows.map(row => row.fields.id).filter(Boolean));
+  const remap = new Map();
+  const allocate = () => {
+    let id;
+    do {
+      id = String(next++).padStart(3, '0');
+    } while (taken.has(id) || fileIds.has(id));
+    taken.add(id);
+    return id;
+  };
+
+  const assigned = rows.map(row => {
+    const fields = { ...row.fields };
+    if (newIds || !fields.id) {
+      const id = allocate();
+      if (fields.id) remap.set(fields.id, id);
+      fields.id = id;
+    }
+    return { ...row, fields };
+  });
+
+  if (remap.size === 0) return assigned;
+  return assigned.map(row => row.fields.dependencies
+    ? { ...row, fields: { ...row.fields, dependencies: row.fields.dependencies.map(id => remap.get(id) || id) } }
+    : row);
+}
+
+// ====================
+// HELPERS
+// ====================
+
+/**
+ * ID of a card_properties item or column from its ID or display name
+ * @returns {string} - The matching ID, or the value unchanged when nothing matches
+ */
+function mapToId(value, items) {
+  return findId(value, items) || String(value).trim();
+}
+
+function findId(value, items) {
+  const wanted = String(value).trim().toLowerCase();
+  const item = (items || []).find(candidate =>
+    [candidate.id, candidate.name, candidate.icon && `${candidate.icon} ${candidate.name}`, ...(candidate.aliases || [])]
+      .some(name => name && String(name).toLowerCase() === wanted));
+  return item ? item.id : null;
+}
+
+function finalColumns(workflow) {
+  return workflow.columns.filter(col => (col.next_states || []).length === 0).map(col => col.id);
+}
+
+// Spreadsheets drop leading zeros ("7" → "007")
+function normalizeId(value) {
+  const id = String(value).trim().replace(/^#/, '');
+  return /^\d+$/.test(id) ? id.padStart(3, '0') : id;
+}
+
+function parseSprint(value) {
+  const match = String(value).match(/\d+/);
+  return match ? Number(match[0]) : String(value);
+}
+
+function parseCriterion(text) {
+  const match = text.match(/^\[([ xX])\]\s*(.*)$/);
+  return match ? { text: match[2], done: match[1] !== ' ' } : { text, done: false };
+}
+
+function splitList(value, separator) {
+  return value.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+  FORMATS,
+  CSV_COLUMNS,
+  detectFormat,
+  exportBoard,
+  parseImport,
+  applyImport,
+  parseCsv,
+  toCsv,
+  taskToIssue,
+  issueBody,
+  issueFields
+};
@@ -0,0 +1,243 @@
+/**
+ * GitHub Clients for Kanban Sync
+ * ==============================
+ * Every GitHub call kanban-github.js makes goes through this interface, so
+ * the sync runs against the real `gh` CLI or against FakeGitHubClient (an
+ * in-memory repository, optionally kept in a JSON file) without changes.
+ *
+ * Interface (all methods synchronous):
+ *   searchIssues(text)                 → [Issue] whose body contains text (open and closed)
+ *   getIssue(number)                   → Issue
+ *   createIssue({ title, body, labels }) → Issue
+ *   editIssueLabels(number, { add, remove })
+ *   setIssueState(number, 'open'|'closed')
+ *   listLabels()                       → [label name]
+ *   createLabel(name, { color, description })
+ *   listPullRequests(branch)           → [PullRequest] with that head branch (any state)
+ *
+ *   Issue:       { number, title, body, state: 'open'|'closed', labels: [name], url }
+ *   PullRequest: { number, state: 'open'|'closed'|'merged', draft, review, url }
+ *                review: 'approved', 'changes_requested', 'review_required' or null
+ *
+ * Failures throw GitHubError.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+
+// Same limit evaluate-progression.js uses for gate commands
+const GH_TIMEOUT_MS = 30000;
+
+class GitHubError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'GitHubError';
+    this.details = details;
+  }
+}
+
+/**
+ * Client backed by the GitHub CLI (`gh auth login` must have been run)
+ */
+class GhCliClient {
+  /**
+   * @param {Object} options - { repo: "owner/name" (default: the repository gh finds from the cwd), gh: executable }
+   */
+  constructor(options = {}) {
+    this.repo = options.repo || null;
+    this.gh = options.gh || 'gh';
+  }
+
+  run(args, json = false) {
+    const fullArgs = this.repo ? [...args, '--repo', this.repo] : args;
+    let output;
+    try {
+      output = execFileSync(this.gh, fullArgs, {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe'],
+        timeout: GH_TIMEOUT_MS
+      });
+    } catch (error) {
+      const message = (error.stderr || '').trim() || error.message;
+      throw new GitHubError(`gh ${args.slice(0, 2).join(' ')} failed: ${message}`, { args: fullArgs });
+    }
+    return json ? JSON.parse(output) : output.trim();
+  }
+
+  searchIssues(text) {
+    const issues = this.run(['issue', 'list', '--state', 'all', '--search', `"${text}" in:body`,
+      '--json', 'number,title,body,state,labels,url', '--limit', '20'], true);
+    return issues.map(normalizeIssue).filter(issue => issue.body.includes(text));
+  }
+
+  getIssue(number) {
+    return normalizeIssue(this.run(['issue', 'view', String(number), '--json', 'number,title,body,state,labels,url'], true));
+  }
+
+  createIssue({ title, body, labels = [] }) {
+    const url = this.run(['issue', 'create', '--title', title, '--body', body, ...labels.flatMap(label => ['--label', label])]);
+    const match = url.match(/\/issues\/(\d+)\s*$/);
+    if (!match) throw new GitHubError(`Unexpected gh issue create output: ${url}`);
+    return { number: Number(match[1]), title, body, state: 'open', labels, url };
+  }
+
+  editIssueLabels(number, { add = [], remove = [] }) {
+    if (add.length === 0 && remove.length === 0) return;
+    this.run(['issue', 'edit', String(number),
+      ...add.flatMap(label => ['--add-label', label]),
+      ...remove.flatMap(label => ['--remove-label', label])]);
+  }
+
+  setIssueState(number, state) {
+    this.run(['issue', state === 'closed' ? 'close' : 'reopen', String(number)]);
+  }
+
+  listLabels() {
+    return this.run(['label', 'list', '--json', 'name', '--limit', '500'], true).map(label => label.name);
+  }
+
+  createLabel(name, { color, description } = {}) {
+    this.run(['label', 'create', name, '--force',
+      ...(color ? ['--color', color] : []),
+      ...(description ? ['--description', description] : [])]);
+  }
+
+  listPullRequests(branch) {
+    const pulls = this.run(['pr', 'list', '--head', branch, '--state', 'all',
+      '--json', 'number,state,isDraft,reviewDecision,url'], true);
+    return pulls.map(pull => ({
+      number: pull.number,
+      state: String(pull.state).toLowerCase(),
+      draft: Boolean(pull.isDraft),
+      review: pull.reviewDecision ? pull.reviewDecision.toLowerCase() : null,
+      url: pull.url
+    }));
+  }
+}
+
+function normalizeIssue(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    body: issue.body || '',
+    state: String(issue.state).toLowerCase(),
+    labels: (issue.labels || []).map(label => typeof label === 'string' ? label : label.name),
+    url: issue.url
+  };
+}
+
+/**
+ * In-memory GitHub repository with the same interface
+ * State: { issues: [Issue], pulls: [PullRequest & { branch }], labels: [name] }.
+ * With a file, the state is read from and written back to it on every
+ * change, so the CLI can run against it (kanban-github.js --fake=file.json).
+ * Every call is appended to `calls` ({ method, args }).
+ */
+class FakeGitHubClient {
+  /**
+   * @param {Object} state - Initial repository state
+   * @param {Object} options - { file: JSON file to keep the state in, url: base URL for links }
+   */
+  constructor(state = {}, options = {}) {
+    this.file = options.file || null;
+    this.baseUrl = options.url || 'https://github.com/example/repo';
+    this.state = {
+      issues: state.issues || [],
+      pulls: state.pulls || [],
+      labels: state.labels || []
+    };
+    this.calls = [];
+  }
+
+  /**
+   * Fake backed by a JSON file (created on the first change if missing)
+   */
+  static fromFile(file) {
+    const state = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    return new FakeGitHubClient(state, { file });
+  }
+
+  record(method, ...args) {
+    this.calls.push({ method, args });
+  }
+
+  persist() {
+    if (this.file) fs.writeFileSync(this.file, JSON.stringify(this.state, null, 2) + '\n', 'utf8');
+  }
+
+  findIssue(number) {
+    const issue = this.state.issues.find(candidate => candidate.number === Number(number));
+    if (!issue) throw new GitHubError(`Could not resolve to an issue with the number of ${number}`);
+    return issue;
+  }
+
+  searchIssues(text) {
+    this.record('searchIssues', text);
+    return this.state.issues.filter(issue => (issue.body || '').includes(text)).map(copy);
+  }
+
+  getIssue(number) {
+    this.record('getIssue', number);
+    return copy(this.findIssue(number));
+  }
+
+  createIssue({ title, body, labels = [] }) {
+    this.record('createIssue', { title, body, labels });
+    const missing = labels.filter(label => !this.state.labels.includes(label));
+    if (missing.length > 0) throw new GitHubError(`could not add label: '${missing[0]}' not found`);
+
+    // Issues and pull requests share one number sequence on GitHub
+    const number = 1 + Math.max(0, ...this.state.issues.map(issue => issue.number), ...this.state.pulls.map(pull => pull.number));
+    const issue = { number, title, body, state: 'open', labels: [...labels], url: `${this.baseUrl}/issues/${number}` };
+    this.state.issues.push(issue);
+    this.persist();
+    return copy(issue);
+  }
+
+  editIssueLabels(number, { add = [], remove = [] }) {
+    this.record('editIssueLabels', number, { add, remove });
+    const issue = this.findIssue(number);
+    const missing = add.filter(label => !this.state.labels.includes(label));
+    if (missing.length > 0) throw new GitHubError(`could not add label: '${missing[0]}' not found`);
+    issue.labels = [...issue.labels.filter(label => !remove.includes(label)), ...add.filter(label => !issue.labels.includes(label))];
+    this.persist();
+  }
+
+  setIssueState(number, state) {
+    this.record('setIssueState', number, state);
+    this.findIssue(number).state = state;
+    this.persist();
+  }
+
+  listLabels() {
+    this.record('listLabels');
+    return [...this.state.labels];
+  }
+
+  createLabel(name, options = {}) {
+    this.record('createLabel', name, options);
+    if (!this.state.labels.includes(name)) this.state.labels.push(name);
+    this.persist();
+  }
+
+  listPullRequests(branch) {
+    this.record('listPullRequests', branch);
+    return this.state.pulls
+      .filter(pull => pull.branch === branch)
+      .map(({ branch: head, ...pull }) => ({ draft: false, review: null, url: `${this.baseUrl}/pull/${pull.number}`, ...pull }));
+  }
+}
+
+function copy(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  GitHubError,
+  GhCliClient,
+  FakeGitHubClient,
+  GH_TIMEOUT_MS
+};
@@ -0,0 +1,388 @@
+#!/usr/bin/env node
+/**
+ * Kanban ↔ GitHub Sync
+ * ====================
+ * Optional: nothing talks to GitHub unless this script is run (by hand, from
+ * CI or on a schedule). Settings: github_sync in workflow-states.json.
+ *
+ * For every card, `sync`:
+ *   1. Links the card's GitHub issue (one whose body carries "Kanban card #ID"),
+ *      or creates one. Cards already in a close_in_columns column are only
+ *      linked, never created, so a first sync doesn't open issues for
+ *      finished work.
+ *   2. Mirrors the card's column as a label ("column:qa"), replacing the
+ *      previous column label, and closes the issue in close_in_columns
+ *      (reopens it when the card moves back).
+ *   3. Reads the pull request of the card's feature branch
+ *      (git.feature_prefix in placeholders.json + task ID, e.g. feature/014)
+ *      into the card, and sets the card status per pr_status when the PR
+ *      state changes (e.g., merged → completed).
+ *
+ * GitHub is changed first; the links and PR state are then written to
+ * kanban.json in one go (re-applied on fresh data if the board changed
+ * meanwhile). All GitHub calls go through kanban-github-client.js; --fake
+ * runs the sync against a local JSON file instead of GitHub.
+ *
+ * Usage:
+ *   node kanban-github.js sync [--task-id=X] [--dry-run]
+ *   node kanban-github.js link --task-id=X --issue=N
+ *   node kanban-github.js unlink --task-id=X
+ *
+ * Options:
+ *   --kanban-file   Path to kanban HTML file [optional, data file is kanban.json next to it]
+ *   --data-file     Path to kanban.json [optional]
+ *   --template      Path to kanban HTML template [optional]
+ *   --repo          owner/name [optional, default: github_sync.repo, else gh's current repository]
+ *   --actor         Recorded in card history [optional, default: GitHub for sync, human for link/unlink]
+ *   --fake          Use a FakeGitHubClient kept in this JSON file instead of gh [optional]
+ *   --dry-run       Show what would change (GitHub is read, not written) [optional]
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { KanbanStore, retryOnConflict, DEFAULT_ACTOR } = require('./kanban-store');
+const { renderBoard } = require('./kanban-renderer');
+const { issueBody } = require('./kanban-formats');
+const { GhCliClient, FakeGitHubClient } = require('./kanban-github-client');
+const { featureBranch } = require('./task-worktree');
+
+// Actor recorded for links and status changes made by the sync
+const SYNC_ACTOR = 'GitHub';
+
+const DEFAULT_SYNC_CONFIG = {
+  repo: null,
+  label_prefix: 'column:',
+  label_color: 'c5def5',
+  close_in_columns: null,
+  pr_status: {}
+};
+
+/**
+ * github_sync from workflow-states.json with defaults filled in
+ * @param {Object} workflow - workflow-states.json
+ * @returns {Object}
+ */
+function getSyncConfig(workflow) {
+  const config = { ...DEFAULT_SYNC_CONFIG, ...(workflow.github_sync || {}) };
+  if (!config.close_in_columns) {
+    config.close_in_columns = workflow.columns.filter(col => (col.next_states || []).length === 0).map(col => col.id);
+  }
+  return config;
+}
+
+// Text in the issue body that identifies the card
+function cardMarker(taskId) {
+  return `Kanban card #${taskId}`;
+}
+
+// Whether an issue body carries the card's marker (#100 is not #1000; the
+// marker is written in italics, so a trailing "_" ends it)
+function hasCardMarker(body, taskId) {
+  const marker = cardMarker(taskId).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`${marker}(?![A-Za-z0-9-])`).test(body || '');
+}
+
+function issueContent(task) {
+  const body = issueBody(task);
+  return {
+    title: task.title,
+    body: `${body ? `${body}\n\n` : ''}---\n_${cardMarker(task.id)}_`
+  };
+}
+
+/**
+ * Summary state of a pull request, the keys of github_sync.pr_status
+ * @param {Object|null} pr - PullRequest from the client
+ * @returns {string|null} - merged, closed, draft, changes_requested, approved, open
+ */
+function pullRequestState(pr) {
+  if (!pr) return null;
+  if (pr.state === 'merged') return 'merged';
+  if (pr.state === 'closed') return 'closed';
+  if (pr.draft) return 'draft';
+  if (pr.review === 'changes_requested') return 'changes_requested';
+  if (pr.review === 'approved') return 'approved';
+  return 'open';
+}
+
+// The branch's current PR: an open one, else the latest merged, else the latest
+function pickPullRequest(pulls) {
+  const rank = pr => (pr.state === 'open' ? 2 : pr.state === 'merged' ? 1 : 0);
+  return [...pulls].sort((a, b) => rank(b) - rank(a) || b.number - a.number)[0] || null;
+}
+
+/**
+ * Bring GitHub in line with the cards and read PR state back
+ * GitHub is only written when not a dry run; the store data is not changed
+ * (see applySyncResults).
+ * @param {Object} data - Store data (kanban.json)
+ * @param {Object} client - GitHub client (kanban-github-client.js interface)
+ * @param {Object} options - { config: getSyncConfig(), taskIds: only these cards, dryRun, branchFor(taskId) }
+ * @returns {Array} - Per card: { id, title, actions: [text], link, linkChanged, pr, status, error }
+ *   `status` is set only when the card status should change; `skipped` says why a card was left alone.
+ */
+function syncCards(data, client, options) {
+  const config = options.config;
+  const branchFor = options.branchFor || featureBranch;
+  const tasks = data.tasks.filter(task => !options.taskIds || options.taskIds.includes(task.id));
+  let knownLabels = null;
+
+  const ensureLabel = (name, actions) => {
+    if (knownLabels === null) knownLabels = new Set(client.listLabels());
+    if (knownLabels.has(name)) return;
+    actions.push(`${options.dryRun ? 'would create' : 'created'} label "${name}"`);
+    if (!options.dryRun) client.createLabel(name, { color: config.label_color, description: 'Kanban column (kanban-github.js)' });
+    knownLabels.add(name);
+  };
+
+  return tasks.map(task => {
+    const result = { id: task.id, title: task.title, actions: [], link: null, linkChanged: false, pr: null, status: undefined, skipped: null, error: null };
+    const label = `${config.label_prefix}${task.column}`;
+    const wantState = config.close_in_columns.includes(task.column) ? 'closed' : 'open';
+
+    try {
+      let issue = null;
+
+      if (task.github && task.github.issue) {
+        result.link = { issue: task.github.issue, url: task.github.url };
+      } else {
+        const marker = cardMarker(task.id);
+        const found = client.searchIssues(marker).find(candidate => hasCardMarker(candidate.body, task.id));
+        if (found) {
+          issue = found;
+          result.actions.push(`${options.dryRun ? 'would link' : 'linked'} to issue #${found.number}`);
+        } else if (wantState === 'closed') {
+          result.skipped = `no issue, already ${task.column} (link one with: link --task-id=${task.id} --issue=N)`;
+          return result;
+        } else {
+          ensureLabel(label, result.actions);
+          if (options.dryRun) {
+            result.actions.push(`would create an issue labelled "${label}"`);
+          } else {
+            issue = client.createIssue({ ...issueContent(task), labels: [label] });
+            result.actions.push(`created issue #${issue.number} ${issue.url}`);
+          }
+        }
+        if (issue) {
+          result.link = { issue: issue.number, url: issue.url };
+          result.linkChanged = true;
+        }
+      }
+
+      if (result.link) {
+        issue = issue || client.getIssue(result.link.issue);
+
+        // Column label: add the current one, drop labels of other columns
+        const stale = issue.labels.filter(name => name.startsWith(config.label_prefix) && name !== label);
+        const add = issue.labels.includes(label) ? [] : [label];
+        if (add.length > 0 || stale.length > 0) {
+          if (add.length > 0) ensureLabel(label, result.actions);
+          if (!options.dryRun) client.editIssueLabels(issue.number, { add, remove: stale });
+          result.actions.push(`${options.dryRun ? 'would set' : 'set'} labels ${[...add.map(name => `+${name}`), ...stale.map(name => `-${name}`)].join(' ')}`);
+        }
+
+        if (issue.state !== wantState) {
+          if (!options.dryRun) client.setIssueState(issue.number, wantState);
+          const verbs = wantState === 'closed' ? ['closed', 'would close'] : ['reopened', 'would reopen'];
+          result.actions.push(`${verbs[options.dryRun ? 1 : 0]} issue`);
+        }
+      }
+
+      // Pull request of the feature branch
+      const pr = pickPullRequest(client.listPullRequests(branchFor(task.id)));
+      const state = pullRequestState(pr);
+      result.pr = pr ? { number: pr.number, state, url: pr.url } : null;
+
+      const previous = task.github && task.github.pr ? task.github.pr.state : null;
+      if (state !== previous && state !== null) {
+        const status = config.pr_status[state];
+        const change = status !== undefined && status !== task.status ? ` → status ${status}` : '';
+        result.actions.push(`PR #${pr.number} ${state.replace('_', ' ')}${change}`);
+        if (change) result.status = status;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Record sync results in the store (links, PR state, status changes)
+ * @param {KanbanStore} store - Loaded store
+ * @param {Array} results - syncCards() output
+ * @returns {number} - Cards changed
+ */
+function applySyncResults(store, results) {
+  let changed = 0;
+  for (const result of results) {
+    const task = store.getTask(result.id);
+    if (!task || result.error || !result.link) continue;
+
+    const previousPr = JSON.stringify(task.github ? task.github.pr : null);
+    if (result.linkChanged) store.setGithubLink(task.id, result.link);
+    store.recordGithubSync(task.id, { pr: result.pr });
+    if (result.status !== undefined) store.setStatus(task.id, result.status);
+    if (result.linkChanged || result.status !== undefined || JSON.stringify(result.pr) !== previousPr) changed++;
+  }
+  return changed;
+}
+
+// ====================
+// CLI
+// ====================
+
+function main() {
+  const argv = process.argv.slice(2);
+  const command = argv[0] && !argv[0].startsWith('-') ? argv[0] : 'sync';
+  const args = argv.reduce((acc, arg) => {
+    if (!arg.startsWith('-')) return acc;
+    const eqIndex = arg.indexOf('=');
+    const key = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+    const value = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+    acc[key.replace(/^--?/, '')] = value?.replace(/^["']|["']$/g, '') || true;
+    return acc;
+  }, {});
+
+  if (args['help'] || args['h']) {
+    console.log(`
+🐙 Kanban GitHub Sync
+
+USAGE:
+  node kanban-github.js sync [--task-id=X] [--dry-run]   Create/link issues, mirror columns, read PRs
+  node kanban-github.js link --task-id=X --issue=N       Link a card to an existing issue
+  node kanban-github.js unlink --task-id=X               Forget a card's issue
+
+OPTIONS:
+  --kanban-file   Path to kanban HTML file (default: docs/kanban/kanban_dev.html)
+  --data-file     Path to kanban.json (default: next to the kanban HTML file)
+  --template      Custom kanban HTML template for rendering
+  --repo          owner/name (default: github_sync.repo in workflow-states.json, else gh's current repo)
+  --actor         Recorded in card history (default: ${SYNC_ACTOR} for sync, ${DEFAULT_ACTOR} for link/unlink)
+  --fake          Run against a local JSON file instead of GitHub (see kanban-github-client.js)
+  --dry-run       Show what would change; GitHub and kanban.json are not modified
+
+Requires the GitHub CLI (gh auth login) unless --fake is used.
+    `);
+    process.exit(0);
+  }
+
+  const kanbanFile = args['kanban-file'] || path.join(process.cwd(), 'docs', 'kanban', 'kanban_dev.html');
+  const dataFile = args['data-file'] || KanbanStore.pathForBoard(kanbanFile);
+  const templatePath = args['template'] || undefined;
+  const actor = typeof args['actor'] === 'string' && args['actor'].trim()
+    ? args['actor'].trim()
+    : command === 'sync' ? SYNC_ACTOR : DEFAULT_ACTOR;
+  const dryRun = args['dry-run'] === true;
+  const taskId = typeof args['task-id'] === 'string' ? args['task-id'] : null;
+
+  if (!fs.existsSync(dataFile)) {
+    console.error(`❌ Kanban data file not found: ${dataFile}`);
+    process.exit(1);
+  }
+
+  const snapshot = new KanbanStore(dataFile, { actor }).load();
+  const config = getSyncConfig(snapshot.workflow);
+  const repo = typeof args['repo'] === 'string' ? args['repo'] : config.repo;
+  const client = typeof args['fake'] === 'string'
+    ? FakeGitHubClient.fromFile(args['fake'])
+    : new GhCliClient({ repo });
+
+  // Load, change and save the board, again on fresh data if someone else wrote it meanwhile
+  // change() returns what changed; nothing (0, false) leaves the files untouched
+  const updateBoard = change => retryOnConflict(() => {
+    const store = new KanbanStore(dataFile, { actor }).load();
+    const result = change(store);
+    if (result) {
+      store.save({ views: [{ file: kanbanFile, render: data => renderBoard(data, { templatePath }) }] });
+    }
+    return result;
+  });
+
+  if (command === 'link' || command === 'unlink') {
+    const issueNumber = args['issue'];
+    if (!taskId || !snapshot.getTask(taskId)) {
+      console.error(`❌ ${taskId ? `Task #${taskId} does not exist` : '--task-id is required'}`);
+      process.exit(1);
+    }
+    if (command === 'link' && !/^\d+$/.test(String(issueNumber))) {
+      console.error('❌ --issue is required (e.g., --issue=42)');
+      process.exit(1);
+    }
+
+    const issue = command === 'link' ? client.getIssue(Number(issueNumber)) : null;
+    if (dryRun) {
+      console.log(`🔍 DRY RUN: #${taskId} would be ${issue ? `linked to issue #${issue.number}` : 'unlinked'}`);
+      return;
+    }
+    updateBoard(store => {
+      store.setGithubLink(taskId, issue ? { issue: issue.number, url: issue.url } : null);
+      return true;
+    });
+    console.log(`✅ #${taskId} ${issue ? `linked to issue #${issue.number} (${issue.url}); run sync to label it` : 'unlinked from GitHub'}`);
+    return;
+  }
+
+  if (command !== 'sync') {
+    console.error(`❌ Unknown command: "${command}". Must be one of: sync, link, unlink`);
+    process.exit(1);
+  }
+  if (taskId && !snapshot.getTask(taskId)) {
+    console.error(`❌ Task #${taskId} does not exist`);
+    process.exit(1);
+  }
+
+  console.log(`🐙 GitHub sync: ${args['fake'] ? `fake repository ${args['fake']}` : repo || "gh's current repository"}`);
+  if (dryRun) console.log('🔍 Mode: DRY RUN (no changes will be saved)');
+  console.log('');
+
+  const results = syncCards(snapshot.data, client, { config, taskIds: taskId ? [taskId] : null, dryRun });
+
+  for (const result of results) {
+    if (result.error) {
+      console.log(`❌ #${result.id} ${result.title}\n   ${result.error}`);
+    } else if (result.skipped) {
+      console.log(`⏭️  #${result.id} ${result.title}: ${result.skipped}`);
+    } else if (result.actions.length > 0) {
+      console.log(`🔗 #${result.id} ${result.title}${result.link ? ` (issue #${result.link.issue})` : ''}`);
+      result.actions.forEach(action => console.log(`   ${action}`));
+    }
+  }
+
+  const failed = results.filter(result => result.error);
+  const skipped = results.filter(result => result.skipped);
+  const active = results.filter(result => !result.error && !result.skipped && result.actions.length > 0);
+  const upToDate = results.length - active.length - skipped.length - failed.length;
+  console.log(`\n📊 ${results.length} card(s): ${active.length} changed, ${upToDate} up to date, ${skipped.length} skipped, ${failed.length} failed`);
+
+  if (!dryRun) {
+    const changed = updateBoard(store => applySyncResults(store, results));
+    console.log(changed > 0 ? `💾 ${changed} card(s) updated in ${dataFile}` : `💾 No card changed, ${dataFile} left as it was`);
+  }
+
+  if (failed.length > 0) process.exit(1);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`\n❌ ERROR: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SYNC_ACTOR,
+  getSyncConfig,
+  featureBranch,
+  cardMarker,
+  hasCardMarker,
+  pullRequestState,
+  syncCards,
+  applySyncResults
+};
@@ -0,0 +1,358 @@
+/**
+ * Kanban HTML Helpers
+ * ===================
+ * Locates column sections and cards inside a kanban_dev.html board
+ *
+ * Column markers come from html_markers in workflow-states.json. Generated
+ * boards suffix every marker with the sprint number
+ * (<!-- KANBAN_BACKLOG_START_2 -->); single-board files may omit it
+ * (<!-- KANBAN_BACKLOG_START -->), in which case the sprint is null.
+ *
+ * The parse* helpers read full card and sprint details so existing HTML
+ * boards can be imported into kanban.json.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WORKFLOW_STATES_FILE = path.join(__dirname, '..', 'config', 'workflow-states.json');
+const QUALITY_GATES_FILE = path.join(__dirname, '..', 'config', 'quality-gates.json');
+
+// Columns used by older 5- and 7-column boards, mapped onto the 4-column workflow
+const LEGACY_COLUMNS = {
+  ready: 'backlog',
+  sprint: 'in_progress',
+  review: 'qa',
+  staged: 'qa',
+  staging: 'qa',
+  done: 'live'
+};
+
+/**
+ * Load workflow-states.json
+ * @returns {Object} - Parsed workflow configuration
+ */
+function loadWorkflowStates() {
+  return JSON.parse(fs.readFileSync(WORKFLOW_STATES_FILE, 'utf8'));
+}
+
+/**
+ * Load quality-gates.json
+ * @returns {Object} - Gates per transition (e.g., backlog_to_in_progress)
+ */
+function loadQualityGates() {
+  return JSON.parse(fs.readFileSync(QUALITY_GATES_FILE, 'utf8'));
+}
+
+/**
+ * Build the marker prefixes for every workflow column
+ * Falls back to KANBAN_<COLUMN>_START/END when html_markers omits a column
+ * @param {Object} workflow - Parsed workflow-states.json
+ * @returns {Object} - Map of column id to { start, end } marker prefixes
+ */
+function getColumnMarkers(workflow) {
+  const markers = {};
+  for (const column of workflow.columns) {
+    const configured = (workflow.html_markers || {})[column.id];
+    markers[column.id] = configured || {
+      start: `<!-- KANBAN_${column.id.toUpperCase()}_START`,
+      end: `<!-- KANBAN_${column.id.toUpperCase()}_END`
+    };
+  }
+  return markers;
+}
+
+/**
+ * Find every column section in the board, across all sprint boards
+ * @param {string} html - Board HTML
+ * @param {Object} markers - Output of getColumnMarkers()
+ * @returns {Array} - Sections sorted by position:
+ *   { column, sprint, start, end, contentStart, contentEnd }
+ */
+function findColumnSections(html, markers) {
+  const sections = [];
+
+  for (const [column, marker] of Object.entries(markers)) {
+    const startRegex = new RegExp(`${escapeRegex(marker.start)}(?:_(\\d+))? -->`, 'g');
+    let match;
+
+    while ((match = startRegex.exec(html)) !== null) {
+      const sprint = match[1] ? parseInt(match[1], 10) : null;
+      const endMarker = `${marker.end}${sprint !== null ? `_${sprint}` : ''} -->`;
+      const contentStart = match.index + match[0].length;
+      const contentEnd = html.indexOf(endMarker, contentStart);
+
+      if (contentEnd === -1) continue;
+
+      sections.push({
+        column,
+        sprint,
+        start: match.index,
+        end: contentEnd + endMarker.length,
+        contentStart,
+        contentEnd
+      });
+    }
+  }
+
+  return sections.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find card elements (any <div> carrying data-id) within a range of the HTML
+ * Cards are matched by balancing <div> tags, so nested markup is kept intact.
+ * @param {string} html - Board HTML
+ * @param {number} from - Start offset
+ * @param {number} to - End offset
+ * @returns {Array} - Cards: { id, start, end, html }
+ */
+function findCards(html, from = 0, to = html.length) {
+  const cards = [];
+  const openRegex = /<div\b[^>]*\bdata-id="([^"]+)"[^>]*>/g;
+  openRegex.lastIndex = from;
+  let match;
+
+  while ((match = openRegex.exec(html)) !== null && match.index < to) {
+    const end = findClosingDiv(html, match.index + match[0].length);
+    if (end === -1 || end > to) break;
+
+    cards.push({
+      id: match[1],
+      start: match.index,
+      end,
+      html: html.slice(match.index, end)
+    });
+    openRegex.lastIndex = end;
+  }
+
+  return cards;
+}
+
+/**
+ * Locate a card by task ID in any column of any sprint board
+ * @param {string} html - Board HTML
+ * @param {Object} markers - Output of getColumnMarkers()
+ * @param {string} taskId - Task ID (e.g., "013")
+ * @returns {Array} - Matches: { section, card } (more than one means a duplicate ID)
+ */
+function locateCard(html, markers, taskId) {
+  const matches = [];
+
+  for (const section of findColumnSections(html, markers)) {
+    for (const card of findCards(html, section.contentStart, section.contentEnd)) {
+      if (card.id === taskId) {
+        matches.push({ section, card });
+      }
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * List all cards on the board with their column and sprint
+ * @param {string} html - Board HTML
+ * @param {Object} markers - Output of getColumnMarkers()
+ * @returns {Array} - Tasks: { id, title, column, sprint }
+ */
+function listCards(html, markers) {
+  const tasks = [];
+
+  for (const section of findColumnSections(html, markers)) {
+    for (const card of findCards(html, section.contentStart, section.contentEnd)) {
+      const titleMatch = card.html.match(/<h4[^>]*>([\s\S]*?)<\/h4>/);
+      tasks.push({
+        id: card.id,
+        title: titleMatch ? stripTags(titleMatch[1]) : '',
+        column: section.column,
+        sprint: section.sprint
+      });
+    }
+  }
+
+  return tasks;
+}
+
+/**
+ * Set (or add) an attribute on the opening tag of a card
+ * @param {string} cardHTML - Card HTML
+ * @param {string} name - Attribute name (e.g., "data-sprint")
+ * @param {string} value - New value
+ * @returns {string} - Updated card HTML
+ */
+function setCardAttribute(cardHTML, name, value) {
+  const openTagEnd = cardHTML.indexOf('>');
+  const openTag = cardHTML.slice(0, openTagEnd);
+  const rest = cardHTML.slice(openTagEnd);
+  const attrRegex = new RegExp(`(\\s${escapeRegex(name)}=")[^"]*(")`);
+
+  if (attrRegex.test(openTag)) {
+    return openTag.replace(attrRegex, `$1${value}$2`) + rest;
+  }
+  return `${openTag} ${name}="${value}"${rest}`;
+}
+
+/**
+ * Read the fields of a card from its HTML
+ * Handles both the current template (data-* attributes, acceptance list)
+ * and older boards ("#008 - Title" headings, .card-assignee spans).
+ * @param {string} cardHTML - Card HTML
+ * @returns {Object} - { id, title, description, type, priority, sprint, assignee, created, status, points, acceptance_criteria, notes, dependencies }
+ */
+function parseCardFields(cardHTML) {
+  const openTag = cardHTML.slice(0, cardHTML.indexOf('>') + 1);
+  const attr = name => {
+    const match = openTag.match(new RegExp(`\\s${escapeRegex(name)}="([^"]*)"`));
+    return match ? decodeEntities(match[1]) : null;
+  };
+
+  const detailsIdx = cardHTML.indexOf('card-details');
+  const summaryHTML = detailsIdx === -1 ? cardHTML : cardHTML.slice(0, detailsIdx);
+
+  const titleMatch = summaryHTML.match(/<h4[^>]*>([\s\S]*?)<\/h4>/);
+  const descriptionMatch = summaryHTML.match(/<p[^>]*>([\s\S]*?)<\/p>/);
+  const assigneeMatch = cardHTML.match(/<span class="card-assignee[^"]*">([\s\S]*?)<\/span>/);
+  const statusMatch = cardHTML.match(/class="card-status[^"]*\bstatus-(\w+)/);
+
+  const acceptance = [];
+  const itemRegex = /<li class="acceptance-item( done)?"[^>]*>([\s\S]*?)<\/li>/g;
+  let item;
+  while ((item = itemRegex.exec(cardHTML)) !== null) {
+    acceptance.push({ text: stripTags(item[2]), done: Boolean(item[1]) });
+  }
+
+  const notes = [];
+  const noteRegex = /<li class="card-note" data-timestamp="([^"]*)" data-actor="([^"]*)"[^>]*>([\s\S]*?)<\/li>/g;
+  let note;
+  while ((note = noteRegex.exec(cardHTML)) !== null) {
+    // Drop the rendered "date actor" prefix spans to get the note text
+    const text = stripTags(note[3].replace(/^\s*<span[^>]*>[^<]*<\/span>\s*<span[^>]*>[^<]*<\/span>/, ''));
+    notes.push({ timestamp: decodeEntities(note[1]), actor: decodeEntities(note[2]), text });
+  }
+
+  const sprint = attr('data-sprint');
+  const dependsOn = attr('data-depends-on');
+  const points = attr('data-points');
+
+  return {
+    id: attr('data-id'),
+    title: titleMatch ? stripTags(titleMatch[1]).replace(/^#\d+\s*[-–—:]\s*/, '') : '',
+    description: descriptionMatch ? stripTags(descriptionMatch[1]) : '',
+    type: attr('data-type'),
+    priority: attr('data-priority'),
+    sprint: sprint && /^\d+$/.test(sprint) ? parseInt(sprint, 10) : null,
+    assignee: attr('data-assignee') || (assigneeMatch ? stripTags(assigneeMatch[1]) : ''),
+    created: attr('data-created'),
+    status: statusMatch ? statusMatch[1] : null,
+    points: points && /^\d+(\.\d+)?$/.test(points) ? Number(points) : null,
+    acceptance_criteria: acceptance,
+    notes,
+    dependencies: dependsOn ? dependsOn.split(',').map(id => id.trim()).filter(Boolean) : []
+  };
+}
+
+/**
+ * Read sprint boards (id, name, goal, status) from the board HTML
+ * @param {string} html - Board HTML
+ * @returns {Array} - Sprints: { id, name, goal, status }
+ */
+function parseSprints(html) {
+  const sprints = [];
+  const boardRegex = /<div id="sprint-(\d+)" class="sprint-board[^"]*">/g;
+  const starts = [];
+  let match;
+
+  while ((match = boardRegex.exec(html)) !== null) {
+    starts.push({ id: parseInt(match[1], 10), index: match.index });
+  }
+
+  starts.forEach((start, i) => {
+    const end = i + 1 < starts.length ? starts[i + 1].index : html.length;
+    const boardHTML = html.slice(start.index, end);
+    const nameMatch = boardHTML.match(/<h2[^>]*>\s*Sprint \d+:?\s*([\s\S]*?)<\/h2>/);
+    const goalMatch = boardHTML.match(/<p class="text-gray-600[^"]*">([\s\S]*?)<\/p>/);
+    const tabMatch = html.match(new RegExp(`<button[^>]*class="sprint-tab([^"]*)"[^>]*data-sprint="${start.id}"[^>]*>([\\s\\S]*?)<\\/button>`));
+
+    let status = 'planned';
+    if (tabMatch && /sprint-tab-complete/.test(tabMatch[1])) {
+      status = 'complete';
+    } else if (tabMatch && /\(Active\)/.test(tabMatch[2])) {
+      status = 'active';
+    }
+
+    sprints.push({
+      id: start.id,
+      name: nameMatch ? stripTags(nameMatch[1]) : `Sprint ${start.id}`,
+      goal: goalMatch ? stripTags(goalMatch[1]) : '',
+      status
+    });
+  });
+
+  return sprints;
+}
+
+/**
+ * Read the project name from the board header (falls back to <title>)
+ * @param {string} html - Board HTML
+ * @returns {string|null} - Project name
+ */
+function parseProjectName(html) {
+  const match = html.match(/<h1[^>]*>([\s\S]*?)<\/h1>/) || html.match(/<title>([\s\S]*?)<\/title>/);
+  if (!match) return null;
+
+  return stripTags(match[1]).replace(/\s*-\s*(Dev(elopment)?\s*)?(Kanban\s*)?Board$/i, '');
+}
+
+// ====================
+// HELPER FUNCTIONS
+// ====================
+
+function findClosingDiv(html, from) {
+  const tagRegex = /<\/?div\b[^>]*>/gi;
+  tagRegex.lastIndex = from;
+  let depth = 1;
+  let match;
+
+  while ((match = tagRegex.exec(html)) !== null) {
+    depth += match[0][1] === '/' ? -1 : 1;
+    if (depth === 0) return match.index + match[0].length;
+  }
+
+  return -1;
+}
+
+function stripTags(str) {
+  return decodeEntities(str.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim());
+}
+
+function decodeEntities(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  LEGACY_COLUMNS,
+  loadWorkflowStates,
+  loadQualityGates,
+  getColumnMarkers,
+  findColumnSections,
+  findCards,
+  locateCard,
+  listCards,
+  setCardAttribute,
+  parseCardFields,
+  parseSprints,
+  parseProjectName,
+  escapeRegex
+};
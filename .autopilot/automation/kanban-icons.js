@@ -0,0 +1,67 @@
+/**
+ * Kanban Board Icons
+ * ==================
+ * SVG bodies of the Lucide icons used on kanban_dev.html, so the offline
+ * board needs no unpkg.com/lucide script (see kanban-offline.js).
+ *
+ * Icons from Lucide (https://lucide.dev), ISC License,
+ * Copyright (c) for portions of Lucide are held by Cole Bemis 2013-2022 as
+ * part of Feather (MIT). All other copyright (c) for Lucide are held by
+ * Lucide Contributors 2022.
+ *
+ * To use a new icon on the board, add its SVG children here (copy them
+ * from the icon's page on lucide.dev).
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+// Attributes lucide.createIcons() puts on every <svg>
+const ICON_ATTRIBUTES = {
+  xmlns: 'http://www.w3.org/2000/svg',
+  width: '24',
+  height: '24',
+  viewBox: '0 0 24 24',
+  fill: 'none',
+  stroke: 'currentColor',
+  'stroke-width': '2',
+  'stroke-linecap': 'round',
+  'stroke-linejoin': 'round'
+};
+
+const ICONS = {
+  'activity': '<path d="M22 12h-4l-3 9L9 3l-3 9H2"/>',
+  'archive': '<rect width="20" height="5" x="2" y="3" rx="1"/><path d="M4 8v11a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8"/><path d="M10 12h4"/>',
+  'arrow-right': '<path d="M5 12h14"/><path d="m12 5 7 7-7 7"/>',
+  'calendar': '<rect width="18" height="18" x="3" y="4" rx="2" ry="2"/><line x1="16" x2="16" y1="2" y2="6"/><line x1="8" x2="8" y1="2" y2="6"/><line x1="3" x2="21" y1="10" y2="10"/>',
+  'check-circle': '<path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/>',
+  'code-2': '<path d="m18 16 4-4-4-4"/><path d="m6 8-4 4 4 4"/><path d="m14.5 4-5 16"/>',
+  'inbox': '<polyline points="22 12 16 12 14 15 10 15 8 12 2 12"/><path d="M5.45 5.11 2 12v6a2 2 0 0 0 2 2h16a2 2 0 0 0 2-2v-6l-3.45-6.89A2 2 0 0 0 16.76 4H7.24a2 2 0 0 0-1.79 1.11z"/>',
+  'layers': '<polygon points="12 2 2 7 12 12 22 7 12 2"/><polyline points="2 17 12 22 22 17"/><polyline points="2 12 12 17 22 12"/>',
+  'loader': '<line x1="12" x2="12" y1="2" y2="6"/><line x1="12" x2="12" y1="18" y2="22"/><line x1="4.93" x2="7.76" y1="4.93" y2="7.76"/><line x1="16.24" x2="19.07" y1="16.24" y2="19.07"/><line x1="2" x2="6" y1="12" y2="12"/><line x1="18" x2="22" y1="12" y2="12"/><line x1="4.93" x2="7.76" y1="19.07" y2="16.24"/><line x1="16.24" x2="19.07" y1="7.76" y2="4.93"/>',
+  'rocket': '<path d="M4.5 16.5c-1.5 1.26-2 5-2 5s3.74-.5 5-2c.71-.84.7-2.13-.09-2.91a2.18 2.18 0 0 0-2.91-.09z"/><path d="m12 15-3-3a22 22 0 0 1 2-3.95A12.88 12.88 0 0 1 22 2c0 2.72-.78 7.5-6 11a22.35 22.35 0 0 1-4 2z"/><path d="M9 12H4s.55-3.03 2-4c1.62-1.08 5 0 5 0"/><path d="M12 15v5s3.03-.55 4-2c1.08-1.62 0-5 0-5"/>',
+  'search': '<circle cx="11" cy="11" r="8"/><path d="m21 21-4.3-4.3"/>',
+  'search-check': '<path d="m8 11 2 2 4-4"/><circle cx="11" cy="11" r="8"/><path d="m21 21-4.3-4.3"/>',
+  'target': '<circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="6"/><circle cx="12" cy="12" r="2"/>',
+  'trending-down': '<polyline points="22 17 13.5 8.5 8.5 13.5 2 7"/><polyline points="16 17 22 17 22 11"/>'
+};
+
+/**
+ * Inline <svg> for an icon, with the classes of the <i data-lucide> it replaces
+ * @param {string} name - Lucide icon name (e.g., "rocket")
+ * @param {string} classes - Classes of the placeholder element
+ * @returns {string|null} - SVG markup, null for an unknown icon
+ */
+function renderIcon(name, classes = '') {
+  if (!ICONS[name]) return null;
+
+  const attributes = Object.entries(ICON_ATTRIBUTES).map(([key, value]) => `${key}="${value}"`).join(' ');
+  const classList = ['lucide', `lucide-${name}`, ...classes.split(/\s+/).filter(Boolean)].join(' ');
+  return `<svg ${attributes} class="${classList}" data-lucide="${name}">${ICONS[name]}</svg>`;
+}
+
+module.exports = {
+  ICONS,
+  ICON_ATTRIBUTES,
+  renderIcon
+};
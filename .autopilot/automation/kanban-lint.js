@@ -0,0 +1,445 @@
+/**
+ * Kanban Board Linter
+ * ===================
+ * Checks kanban.json and kanban_dev.html for the damage hand edits leave
+ * behind, against workflow-states.json and the card schema in the
+ * template's Card Template Reference. Run with `kanban-updater.js lint`.
+ *
+ * Problems carry a file position (line and column, 1-based), a severity
+ * (error/warning), a rule, the task ID when they concern one card and, when
+ * a safe repair exists, a fix:
+ *   { kind: 'field', taskId, field, from, value }  Map a name, alias or size to its value ("High" → "high")
+ *   { kind: 'dependencies', taskId, value }        Drop self and repeated dependencies
+ *   { kind: 'sprint', sprint }                     Add the sprint a task refers to
+ *   { kind: 'render' }                             Regenerate kanban_dev.html from kanban.json
+ *
+ * kanban.json is the source of truth, so every kanban_dev.html problem is
+ * repaired by rendering the board again. That fix is withheld while the
+ * HTML holds cards kanban.json doesn't know, since a render would drop them.
+ *
+ * Rules:
+ *   kanban.json      invalid-json, duplicate-id, invalid-<field> (id, title, type, priority, status,
+ *                    column, sprint, points, created), missing-sprint, duplicate-sprint,
+ *                    invalid-sprint-status, dependency-missing, dependency-self,
+ *                    dependency-duplicate, dependency-cycle, archived-id
+ *   kanban_dev.html  marker-unclosed, marker-unmatched-end, marker-nested,
+ *                    card-outside-column, duplicate-id, missing-attribute,
+ *                    invalid-<field> (type, priority, status, points), sprint-mismatch,
+ *                    card-not-in-store, card-not-rendered, card-stale
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const { getColumnMarkers, findColumnSections, findCards } = require('./kanban-html');
+const { findDependencyCycles, parsePoints, SPRINT_STATUSES } = require('./kanban-store');
+
+// Card attributes the renderer only writes when the card has a value
+const OPTIONAL_CARD_ATTRIBUTES = ['data-status', 'data-points', 'data-depends-on'];
+
+// Used when the template has no Card Template Reference
+const DEFAULT_CARD_ATTRIBUTES = ['data-id', 'data-type', 'data-priority', 'data-sprint', 'data-created', 'data-assignee'];
+
+// Task fields checked one by one with KanbanStore.validateFields()
+const CHECKED_FIELDS = ['id', 'title', 'type', 'priority', 'status', 'column', 'sprint', 'points', 'created'];
+
+// Fields whose display names and aliases map back to an ID
+const LISTED_FIELDS = {
+  type: workflow => (workflow.card_properties || {}).task_types,
+  priority: workflow => (workflow.card_properties || {}).priorities,
+  status: workflow => (workflow.card_properties || {}).statuses,
+  column: workflow => workflow.columns
+};
+
+/**
+ * Required data-* attributes of a card, read from the template's Card
+ * Template Reference (optional attributes are left out)
+ * @param {string|null} templateHtml - Template HTML
+ * @returns {Array} - Attribute names
+ */
+function cardSchema(templateHtml) {
+  const reference = templateHtml && templateHtml.match(/&lt;div class="kanban-card[\s\S]*?&gt;/);
+  if (!reference) return DEFAULT_CARD_ATTRIBUTES;
+  const attributes = [...reference[0].matchAll(/\s(data-[\w-]+)="/g)].map(match => match[1]);
+  return attributes.filter(name => !OPTIONAL_CARD_ATTRIBUTES.includes(name));
+}
+
+/**
+ * Check that kanban.json parses
+ * @param {string} content - Raw kanban.json text
+ * @param {string} filePath - kanban.json path
+ * @returns {Object|null} - Problem, or null when the JSON is valid
+ */
+function lintJsonSyntax(content, filePath) {
+  try {
+    JSON.parse(content);
+    return null;
+  } catch (error) {
+    const at = error.message.match(/at position (\d+)/);
+    return {
+      file: filePath,
+      ...position(content, at ? Number(at[1]) : 0),
+      severity: 'error',
+      rule: 'invalid-json',
+      message: error.message.replace(/ in JSON at position \d+.*$/, '')
+    };
+  }
+}
+
+/**
+ * Check kanban.json
+ * Field values are read from the raw text, since loading normalizes them.
+ * @param {KanbanStore} store - Loaded store
+ * @param {string} content - Raw kanban.json text
+ * @returns {Array} - Problems
+ */
+function lintStore(store, content) {
+  const problems = [];
+  const file = store.filePath;
+  const raw = (JSON.parse(content).tasks || []).map(task => task || {});
+  const locate = taskLocator(content, raw.length);
+  const add = (index, field, severity, rule, message, fix) => problems.push({
+    file, ...locate(index, field), severity, rule, message, taskId: String(raw[index].id), ...(fix ? { fix } : {})
+  });
+
+  const seen = new Map();
+  raw.forEach((task, index) => {
+    const id = String(task.id);
+    if (seen.has(id)) {
+      add(index, 'id', 'error', 'duplicate-id', `Duplicate task ID "${id}" (first at line ${locate(seen.get(id), 'id').line})`);
+    } else {
+      seen.set(id, index);
+    }
+  });
+
+  raw.forEach((task, index) => {
+    const id = String(task.id);
+    // Fixes address a task by ID, so they are only offered when the ID is unique
+    const unique = raw.filter(item => String(item.id) === id).length === 1;
+    const dependencies = (Array.isArray(task.dependencies) ? task.dependencies : []).map(String);
+
+    for (const field of CHECKED_FIELDS) {
+      if (task[field] === undefined || (task[field] === null && field !== 'id')) continue;
+      // The CLI accepts sizes ("M"), kanban.json only the number they stand for
+      const [error] = field === 'points' && typeof task.points !== 'number'
+        ? [`Invalid points: ${JSON.stringify(task.points)}. Points are stored as a number`]
+        : store.validateFields({ [field]: task[field] });
+      if (!error) continue;
+
+      const mapped = suggestValue(field, task[field], store.workflow);
+      const fix = unique && mapped !== null ? { kind: 'field', taskId: id, field, from: task[field], value: mapped } : null;
+      add(index, field, 'error', `invalid-${field}`, `#${id}: ${error}${fix ? ` (means ${JSON.stringify(mapped)})` : ''}`, fix);
+    }
+
+    if (/^[1-9]\d*$/.test(String(task.sprint)) && !store.getSprint(task.sprint)) {
+      add(index, 'sprint', 'warning', 'missing-sprint', `#${id} is in sprint ${task.sprint}, which has no entry in "sprints"`,
+        { kind: 'sprint', sprint: Number(task.sprint) });
+    }
+
+    if (store.isArchived(id)) {
+      add(index, 'id', 'error', 'archived-id', `#${id} is on the board and also listed in archive.ids`);
+    }
+
+    const cleaned = [...new Set(dependencies)].filter(dependency => dependency !== id);
+    if (dependencies.includes(id)) {
+      add(index, 'dependencies', 'error', 'dependency-self', `#${id} depends on itself`,
+        unique ? { kind: 'dependencies', taskId: id, value: cleaned } : null);
+    }
+    if (new Set(dependencies).size !== dependencies.length) {
+      add(index, 'dependencies', 'warning', 'dependency-duplicate', `#${id} lists a dependency more than once`,
+        unique ? { kind: 'dependencies', taskId: id, value: cleaned } : null);
+    }
+    for (const dependency of cleaned.filter(item => !seen.has(item))) {
+      const archived = store.isArchived(dependency) ? ' (it is archived)' : '';
+      add(index, 'dependencies', 'error', 'dependency-missing', `#${id} depends on #${dependency}, which is not on the board${archived}`);
+    }
+  });
+
+  // Self-dependencies are reported above
+  for (const cycle of findDependencyCycles(store.tasks).filter(ids => ids.length > 1)) {
+    const index = raw.findIndex(task => String(task.id) === cycle[0]);
+    add(index, 'dependencies', 'error', 'dependency-cycle', `Dependency cycle: ${[...cycle, cycle[0]].map(id => `#${id}`).join(' → ')}`);
+  }
+
+  const sprintIds = new Set();
+  for (const sprint of store.sprints) {
+    const position = locateText(content, new RegExp(`"id":\\s*${Number(sprint.id)}\\b`));
+    if (sprintIds.has(sprint.id)) {
+      problems.push({ file, ...position, severity: 'error', rule: 'duplicate-sprint', message: `Sprint ${sprint.id} is listed more than once` });
+    }
+    sprintIds.add(sprint.id);
+    if (!SPRINT_STATUSES.includes(sprint.status)) {
+      problems.push({ file, ...position, severity: 'error', rule: 'invalid-sprint-status',
+        message: `Sprint ${sprint.id} has status "${sprint.status}". Must be one of: ${SPRINT_STATUSES.join(', ')}` });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check kanban_dev.html
+ * @param {string} html - Board HTML
+ * @param {Object} workflow - workflow-states.json
+ * @param {Object} options - { filePath, templateHtml, store (loaded KanbanStore, for the sync checks) }
+ * @returns {Array} - Problems
+ */
+function lintBoardHtml(html, workflow, options = {}) {
+  const problems = [];
+  const file = options.filePath;
+  const add = (offset, severity, rule, message, taskId) =>
+    problems.push({ file, ...position(html, offset), severity, rule, message, ...(taskId ? { taskId } : {}) });
+  const markers = getColumnMarkers(workflow);
+
+  problems.push(...lintMarkers(html, markers).map(problem => ({ file, ...position(html, problem.offset), ...problem, offset: undefined })));
+
+  const sections = findColumnSections(html, markers);
+  const required = cardSchema(options.templateHtml);
+  const props = workflow.card_properties || {};
+  const listed = {
+    type: (props.task_types || []).map(item => item.id),
+    priority: (props.priorities || []).map(item => item.id),
+    status: (props.statuses || []).map(item => item.id)
+  };
+
+  const cards = [];
+  const firstSeen = new Map();
+  for (const card of findCards(html)) {
+    const section = sections.find(item => card.start >= item.contentStart && card.end <= item.contentEnd) || null;
+    const openTag = card.html.slice(0, card.html.indexOf('>') + 1);
+    const attr = name => {
+      const match = openTag.match(new RegExp(`\\s${name}="([^"]*)"`));
+      return match ? { value: match[1], offset: card.start + match.index + 1 } : null;
+    };
+    cards.push({ card, section, attr });
+
+    if (!section) {
+      add(card.start, 'error', 'card-outside-column', `Card #${card.id} is not inside any column marker pair`, card.id);
+    }
+    if (firstSeen.has(card.id)) {
+      add(card.start, 'error', 'duplicate-id', `Duplicate data-id "${card.id}" (first at line ${position(html, firstSeen.get(card.id)).line})`, card.id);
+    } else {
+      firstSeen.set(card.id, card.start);
+    }
+
+    const missing = required.filter(name => !attr(name));
+    if (missing.length > 0) {
+      add(card.start, 'warning', 'missing-attribute', `Card #${card.id} lacks ${missing.join(', ')} (see the Card Template Reference)`, card.id);
+    }
+
+    for (const [field, ids] of Object.entries(listed)) {
+      const value = attr(`data-${field}`);
+      if (value && !ids.includes(value.value)) {
+        add(value.offset, 'error', `invalid-${field}`, `Card #${card.id} has data-${field}="${value.value}". Must be one of: ${ids.join(', ')}`, card.id);
+      }
+    }
+
+    const points = attr('data-points');
+    if (points && !/^\d+(\.\d+)?$/.test(points.value)) {
+      add(points.offset, 'error', 'invalid-points', `Card #${card.id} has data-points="${points.value}". Must be a number`, card.id);
+    }
+
+    const sprint = attr('data-sprint');
+    if (section && section.sprint !== null && sprint && sprint.value !== String(section.sprint)) {
+      add(sprint.offset, 'warning', 'sprint-mismatch', `Card #${card.id} says data-sprint="${sprint.value}" but sits on the sprint ${section.sprint} board`, card.id);
+    }
+  }
+
+  if (options.store) {
+    const store = options.store;
+    for (const { card, section } of cards) {
+      const task = store.getTask(card.id);
+      if (!task) {
+        const archived = store.isArchived(card.id) ? ' (it is archived)' : '';
+        add(card.start, 'warning', 'card-not-in-store',
+          `Card #${card.id} exists only in the HTML${archived}; the next render drops it (add it to kanban.json first)`, card.id);
+      } else if (section && (section.column !== task.column || (section.sprint !== null && section.sprint !== task.sprint))) {
+        add(card.start, 'warning', 'card-stale',
+          `Card #${card.id} is in ${section.column} (sprint ${section.sprint}) here but in ${task.column} (sprint ${task.sprint}) in kanban.json`, card.id);
+      }
+    }
+    for (const task of store.tasks.filter(item => !firstSeen.has(item.id))) {
+      add(0, 'warning', 'card-not-rendered', `#${task.id} ${task.title} is in kanban.json but not on the board`, task.id);
+    }
+
+    // kanban.json wins on every render; withhold it while the HTML has cards it would lose
+    const htmlOnly = problems.some(problem => problem.rule === 'card-not-in-store');
+    if (!htmlOnly) {
+      problems.filter(problem => renderRepairs(problem, store)).forEach(problem => { problem.fix = { kind: 'render' }; });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Whether rendering from kanban.json repairs a board problem (it doesn't
+ * when the card is just as wrong in kanban.json)
+ */
+function renderRepairs(problem, store) {
+  if (!problem.taskId) return true;
+  if (problem.rule === 'duplicate-id') {
+    return store.tasks.filter(task => task.id === problem.taskId).length === 1;
+  }
+  const field = problem.rule.startsWith('invalid-') ? problem.rule.slice('invalid-'.length) : null;
+  const task = store.getTask(problem.taskId);
+  if (!field || !task) return true;
+  if (field === 'points') return typeof task.points === 'number' && !Number.isNaN(task.points);
+  return store.validateFields({ [field]: task[field] }).length === 0;
+}
+
+/**
+ * Pair START/END column markers (sections do not nest)
+ * @returns {Array} - Problems with an `offset` instead of a position
+ */
+function lintMarkers(html, markers) {
+  const problems = [];
+  const found = [];
+
+  for (const [column, marker] of Object.entries(markers)) {
+    for (const [kind, prefix] of [['start', marker.start], ['end', marker.end]]) {
+      const regex = new RegExp(`${escapeRegex(prefix)}(?:_(\\d+))? -->`, 'g');
+      let match;
+      while ((match = regex.exec(html)) !== null) {
+        found.push({ column, kind, sprint: match[1] ? Number(match[1]) : null, offset: match.index, text: match[0] });
+      }
+    }
+  }
+  found.sort((a, b) => a.offset - b.offset);
+
+  const label = marker => `${marker.column}${marker.sprint !== null ? ` (sprint ${marker.sprint})` : ''}`;
+  let open = null;
+  for (const marker of found) {
+    if (marker.kind === 'start') {
+      if (open) {
+        problems.push({ offset: marker.offset, severity: 'error', rule: 'marker-nested',
+          message: `${marker.text} opens while the ${label(open)} section from line ${position(html, open.offset).line} is still open` });
+      }
+      open = marker;
+    } else if (open && open.column === marker.column && open.sprint === marker.sprint) {
+      open = null;
+    } else {
+      problems.push({ offset: marker.offset, severity: 'error', rule: 'marker-unmatched-end',
+        message: `${marker.text} has no matching START marker` });
+    }
+  }
+
+  // A START is unclosed when no END for it follows before the next START
+  found.forEach((marker, index) => {
+    if (marker.kind !== 'start') return;
+    const next = found.slice(index + 1).find(item => item.kind === 'start' || (item.column === marker.column && item.sprint === marker.sprint));
+    if (!next || next.kind === 'start') {
+      problems.push({ offset: marker.offset, severity: 'error', rule: 'marker-unclosed',
+        message: `${marker.text} has no END marker; its cards are invisible to the CLI` });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Apply the kanban.json fixes of a lint run (board re-rendering is up to the caller)
+ * @param {KanbanStore} store - Freshly loaded store
+ * @param {Array} problems - Problems with fixes
+ * @returns {Array} - Applied fixes (descriptions)
+ */
+function applyStoreFixes(store, problems) {
+  const applied = [];
+  for (const { fix } of problems) {
+    if (!fix || fix.kind === 'render') continue;
+
+    if (fix.kind === 'sprint') {
+      if (store.ensureSprint(fix.sprint)) applied.push(`Added sprint ${fix.sprint}`);
+    } else {
+      const field = fix.kind === 'field' ? fix.field : 'dependencies';
+      const task = store.getTask(fix.taskId);
+      if (!task || JSON.stringify(task[field]) === JSON.stringify(fix.value)) continue;
+      // Assigned directly: updateTask() re-checks every dependency and doesn't edit columns
+      const from = fix.from !== undefined ? fix.from : task[field];
+      store.recordHistory(task, { event: 'edited', changes: { [field]: { from, to: fix.value } } });
+      task[field] = fix.value;
+      applied.push(`#${task.id}: ${field} ${JSON.stringify(fix.value)}`);
+    }
+  }
+  return applied;
+}
+
+/**
+ * Sort problems by file and position
+ */
+function sortProblems(problems) {
+  const byFile = (a, b) => (a.file === b.file ? 0 : String(a.file) < String(b.file) ? -1 : 1);
+  return problems.sort((a, b) => byFile(a, b) || a.line - b.line || a.column - b.column);
+}
+
+// ====================
+// HELPER FUNCTIONS
+// ====================
+
+/**
+ * The valid value an invalid field most likely means, or null when unsure
+ * ("High" → "high", "In Progress" → "in_progress", "M" → 3, "2" → 2)
+ */
+function suggestValue(field, value, workflow) {
+  if (LISTED_FIELDS[field]) {
+    const wanted = String(value).trim().toLowerCase();
+    const item = (LISTED_FIELDS[field](workflow) || []).find(candidate =>
+      [candidate.id, candidate.name, ...(candidate.aliases || [])].some(name => name && String(name).toLowerCase() === wanted));
+    return item && item.id !== value ? item.id : null;
+  }
+  if (field === 'points') {
+    const points = parsePoints(value, workflow);
+    return points !== undefined && points !== value ? points : null;
+  }
+  return null;
+}
+
+/**
+ * Positions of task records in kanban.json text, by task index and field
+ * Task "id" keys are the least indented "id" keys after "tasks" (history
+ * entries nest deeper); falls back to the "tasks" line if the text doesn't line up.
+ */
+function taskLocator(content, taskCount) {
+  const tasksAt = Math.max(0, content.indexOf('"tasks"'));
+  const idKeys = [...content.slice(tasksAt).matchAll(/^([ \t]*)"id":/gm)]
+    .map(match => ({ offset: tasksAt + match.index + match[1].length, indent: match[1].length }));
+  const minIndent = Math.min(...idKeys.map(key => key.indent));
+  const starts = idKeys.filter(key => key.indent === minIndent).map(key => key.offset);
+  const aligned = starts.length === taskCount;
+
+  return (index, field) => {
+    if (!aligned || index < 0) return position(content, tasksAt);
+    const from = starts[index];
+    const to = index + 1 < starts.length ? starts[index + 1] : content.length;
+    const fieldAt = field ? content.slice(from, to).search(new RegExp(`^[ \\t]*"${field}":`, 'm')) : -1;
+    if (fieldAt === -1) return position(content, from);
+    const line = content.slice(from + fieldAt);
+    return position(content, from + fieldAt + line.indexOf('"'));
+  };
+}
+
+function locateText(content, regex) {
+  const match = content.match(regex);
+  return position(content, match ? match.index : 0);
+}
+
+function position(text, offset) {
+  const before = text.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  lintJsonSyntax,
+  lintStore,
+  lintBoardHtml,
+  lintMarkers,
+  cardSchema,
+  applyStoreFixes,
+  sortProblems,
+  OPTIONAL_CARD_ATTRIBUTES
+};
@@ -0,0 +1,726 @@
+#!/usr/bin/env node
+/**
+ * Kanban Flow Metrics
+ * ===================
+ * Computes the delivery metrics listed in TASK-LIFECYCLE.md from the card
+ * history in kanban.json and the git log of "chore: auto-progress" commits
+ * (written by evaluate-progression.js). Git fills in transitions that are
+ * missing from a card's history, e.g. for boards imported from HTML.
+ *
+ * Metrics (overall, per sprint and per task type):
+ *   Cycle time           In Progress → Live (first start to final deploy), days
+ *   Lead time            Created → Live, days
+ *   Throughput           Cards reaching Live per week
+ *   QA pass rate         Share of cards whose first exit from QA went to Live
+ *   Deploy frequency     Moves to Live per week
+ *   Change failure rate  Deploys later moved back out of Live, plus hotfix deploys,
+ *                        as a share of all deploys
+ *
+ * Sprint report (--report=sprint):
+ *   Burndown             Cards remaining per day of each sprint, against the ideal line
+ *   Velocity             Cards (and story points, for estimated cards) done per
+ *                        completed sprint, averaged over the last 3
+ *   Forecast             When the cards not yet Live land at that velocity
+ *
+ * Sprint windows use the sprint's start/end dates from kanban.json when set
+ * (kanban-updater.js sprint --start/--end), otherwise the first card created
+ * and the last card done in the sprint.
+ *
+ * Usage:
+ *   node kanban-metrics.js [options]
+ *
+ * Options:
+ *   --kanban-file   Path to kanban HTML file [optional, data file is kanban.json next to it]
+ *   --data-file     Path to kanban.json [optional]
+ *   --report        flow (default) or sprint (burndown, velocity, forecast)
+ *   --format        markdown (default) or json
+ *   --output        Write the report to a file instead of stdout [optional]
+ *   --sprint        Only cards in this sprint [optional]
+ *   --since         Only cards created on/after this date, YYYY-MM-DD [optional]
+ *   --no-git        Use card history only [optional]
+ *
+ * @version 1.1.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { KanbanStore } = require('./kanban-store');
+
+// Columns that mark the start of work and QA (see workflow-states.json);
+// done columns are the final ones (no next_states)
+const STARTED_COLUMN = 'in_progress';
+const QA_COLUMN = 'qa';
+
+// Targets from TASK-LIFECYCLE.md ("Metrics to Track")
+const METRIC_TARGETS = {
+  cycle_time_days: { max: 5, label: '< 5 days' },
+  lead_time_days: { max: 14, label: '< 2 weeks' },
+  qa_pass_rate: { min: 0.9, label: '> 90%' },
+  deploys_per_week: { min: 5, label: 'Daily' },
+  change_failure_rate: { max: 0.05, label: '< 5%' }
+};
+
+// "chore: auto-progress #013 (qa → live)"
+const AUTO_PROGRESS_REGEX = /^chore: auto-progress #(\d+) \((\w+) → (\w+)\)/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Velocity is averaged over this many of the latest completed sprints
+const VELOCITY_WINDOW = 3;
+
+// Sprint length used for forecasts until a sprint has been completed
+const DEFAULT_SPRINT_DAYS = 14;
+
+// Burndown charts stop after this many days
+const MAX_BURNDOWN_DAYS = 120;
+
+/**
+ * Read auto-progress commits from the git log
+ * @param {string} cwd - Repository directory
+ * @returns {Array} - { taskId, from, to, timestamp, sha } (empty outside a git repo)
+ */
+function readAutoProgressCommits(cwd = process.cwd()) {
+  try {
+    const log = execSync('git log --format="%H%x09%cI%x09%s" --grep="^chore: auto-progress"', {
+      cwd,
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'pipe'],
+      timeout: 30000
+    });
+    return parseAutoProgressLog(log);
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Parse `git log --format="%H%x09%cI%x09%s"` output
+ * @param {string} log - Log text
+ * @returns {Array} - { taskId, from, to, timestamp, sha }
+ */
+function parseAutoProgressLog(log) {
+  const commits = [];
+
+  for (const line of log.split('\n')) {
+    const [sha, date, subject] = line.split('\t');
+    const match = subject && subject.match(AUTO_PROGRESS_REGEX);
+    if (!match) continue;
+
+    commits.push({
+      taskId: match[1],
+      from: match[2],
+      to: match[3],
+      timestamp: new Date(date).toISOString(),
+      sha
+    });
+  }
+
+  return commits;
+}
+
+/**
+ * Column transitions per task, from card history plus git commits the
+ * history does not already cover (same task, from and to)
+ * @param {Array} tasks - Tasks from kanban.json
+ * @param {Array} commits - Output of readAutoProgressCommits()
+ * @returns {Map} - Task ID → transitions sorted by time: { timestamp, from, to, source }
+ */
+function collectTransitions(tasks, commits = []) {
+  const transitions = new Map();
+
+  for (const task of tasks) {
+    transitions.set(task.id, task.history
+      .filter(entry => entry.event === 'column_changed' && entry.from !== entry.to)
+      .map(entry => ({ timestamp: entry.timestamp, from: entry.from, to: entry.to, source: 'history' })));
+  }
+
+  for (const commit of commits) {
+    const events = transitions.get(commit.taskId);
+    if (!events) continue;
+    if (events.some(event => event.source === 'history' && event.from === commit.from && event.to === commit.to)) continue;
+    events.push({ timestamp: commit.timestamp, from: commit.from, to: commit.to, source: 'git' });
+  }
+
+  for (const events of transitions.values()) {
+    events.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  return transitions;
+}
+
+/**
+ * Flow timestamps of one task
+ * @param {Object} task - Task record
+ * @param {Array} events - The task's transitions (collectTransitions)
+ * @param {Array} doneColumns - Final columns (e.g., ['live'])
+ * @returns {Object} - { id, type, sprint, column, is_done, created, started, done, cycle_days, lead_days,
+ *   qa_first_pass, deploys, failed_deploys }
+ */
+function taskFlow(task, events, doneColumns) {
+  const createdEntry = task.history.find(entry => entry.event === 'created');
+  const created = createdEntry ? createdEntry.timestamp : `${task.created}T00:00:00.000Z`;
+
+  const startEvent = events.find(event => event.to === STARTED_COLUMN);
+  const deployEvents = events.filter(event => doneColumns.includes(event.to));
+  const isDone = doneColumns.includes(task.column);
+  const done = isDone && deployEvents.length > 0 ? deployEvents[deployEvents.length - 1].timestamp : null;
+
+  // A deploy failed when the card later left the done column again
+  const failedDeploys = deployEvents.filter(deploy =>
+    events.some(event => event.timestamp > deploy.timestamp && doneColumns.includes(event.from))
+  ).length;
+
+  const qaExit = events.find(event => event.from === QA_COLUMN);
+  const started = startEvent ? startEvent.timestamp : null;
+
+  return {
+    id: task.id,
+    type: task.type,
+    sprint: task.sprint,
+    points: task.points ?? null,
+    column: task.column,
+    is_done: isDone,
+    created,
+    started,
+    done,
+    cycle_days: started && done ? daysBetween(started, done) : null,
+    lead_days: done ? daysBetween(created, done) : null,
+    qa_first_pass: qaExit ? doneColumns.includes(qaExit.to) : null,
+    deploys: deployEvents.map(event => event.timestamp),
+    failed_deploys: failedDeploys + (task.type === 'hotfix' ? deployEvents.length : 0)
+  };
+}
+
+/**
+ * Aggregate metrics for a group of task flows
+ * @param {Array} flows - Output of taskFlow()
+ * @param {Date} now - End of the measuring window
+ * @returns {Object} - Metrics
+ */
+function summarize(flows, now = new Date()) {
+  const done = flows.filter(flow => flow.done);
+  const cycle = done.map(flow => flow.cycle_days).filter(value => value !== null);
+  const lead = done.map(flow => flow.lead_days).filter(value => value !== null);
+  const qa = flows.filter(flow => flow.qa_first_pass !== null);
+  const deploys = flows.reduce((sum, flow) => sum + flow.deploys.length, 0);
+  const failed = flows.reduce((sum, flow) => sum + flow.failed_deploys, 0);
+
+  // Window: first card created → now, at least one day
+  const firstCreated = flows.reduce((min, flow) => (flow.created < min ? flow.created : min), now.toISOString());
+  const weeks = Math.max(daysBetween(firstCreated, now.toISOString()), 1) / 7;
+
+  return {
+    tasks: flows.length,
+    done: done.length,
+    cycle_time_days: stats(cycle),
+    lead_time_days: stats(lead),
+    throughput_per_week: round(done.length / weeks),
+    qa_pass_rate: qa.length > 0 ? round(qa.filter(flow => flow.qa_first_pass).length / qa.length) : null,
+    qa_sample: qa.length,
+    deploys,
+    deploys_per_week: round(deploys / weeks),
+    change_failure_rate: deploys > 0 ? round(failed / deploys) : null,
+    window_days: round(weeks * 7)
+  };
+}
+
+/**
+ * Build the metrics report
+ * @param {Object} data - Store data (kanban.json)
+ * @param {Object} options - { commits, doneColumns, sprint, since, now }
+ * @returns {Object} - { generated, filters, sources, targets, overall, by_sprint, by_type, tasks }
+ */
+function computeMetrics(data, options = {}) {
+  const now = options.now || new Date();
+  const doneColumns = options.doneColumns || ['live'];
+  const commits = options.commits || [];
+
+  let tasks = data.tasks;
+  if (options.sprint !== undefined && options.sprint !== null) {
+    tasks = tasks.filter(task => task.sprint === Number(options.sprint));
+  }
+  if (options.since) {
+    tasks = tasks.filter(task => task.created >= options.since);
+  }
+
+  const transitions = collectTransitions(tasks, commits);
+  const flows = tasks.map(task => taskFlow(task, transitions.get(task.id), doneColumns));
+
+  const groupBy = key => {
+    const groups = {};
+    for (const value of [...new Set(flows.map(flow => flow[key]))].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))) {
+      groups[value] = summarize(flows.filter(flow => flow[key] === value), now);
+    }
+    return groups;
+  };
+
+  const gitTransitions = [...transitions.values()].flat().filter(event => event.source === 'git').length;
+
+  return {
+    generated: now.toISOString(),
+    filters: { sprint: options.sprint ?? null, since: options.since || null },
+    sources: {
+      history_transitions: [...transitions.values()].flat().length - gitTransitions,
+      git_transitions: gitTransitions
+    },
+    targets: METRIC_TARGETS,
+    overall: summarize(flows, now),
+    by_sprint: groupBy('sprint'),
+    by_type: groupBy('type'),
+    tasks: flows
+  };
+}
+
+/**
+ * Flow of every task (no filters)
+ * @param {Object} data - Store data (kanban.json)
+ * @param {Object} options - { commits, doneColumns }
+ * @returns {Array} - Output of taskFlow() per task
+ */
+function computeFlows(data, options = {}) {
+  const doneColumns = options.doneColumns || ['live'];
+  const transitions = collectTransitions(data.tasks, options.commits || []);
+  return data.tasks.map(task => taskFlow(task, transitions.get(task.id), doneColumns));
+}
+
+/**
+ * Date range of a sprint (YYYY-MM-DD)
+ * @param {Object} sprint - Sprint record ({ id, status, start?, end? })
+ * @param {Array} flows - All task flows
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object|null} - { start, end }, null when the sprint has no cards and no start date
+ */
+function sprintWindow(sprint, flows, today) {
+  const inSprint = flows.filter(flow => flow.sprint === sprint.id);
+  const created = inSprint.map(flow => flow.created.slice(0, 10)).sort();
+  const done = inSprint.filter(flow => flow.done).map(flow => flow.done.slice(0, 10)).sort();
+
+  const start = sprint.start || created[0];
+  if (!start) return null;
+
+  let end = sprint.end;
+  if (!end) {
+    end = sprint.status === 'complete' && done.length > 0 ? done[done.length - 1] : today;
+  }
+  return { start, end: end < start ? start : end };
+}
+
+/**
+ * Remaining cards per day of a sprint
+ * Cards that are Live without a recorded transition (e.g., imported) are left out.
+ * @param {Object} sprint - Sprint record
+ * @param {Array} flows - All task flows
+ * @param {Object} options - { today: YYYY-MM-DD }
+ * @returns {Object|null} - { sprint, name, start, end, scope, untracked, days: [{ date, remaining, ideal }] }
+ */
+function computeBurndown(sprint, flows, options = {}) {
+  const today = options.today || new Date().toISOString().slice(0, 10);
+  const window = sprintWindow(sprint, flows, today);
+  if (!window) return null;
+
+  const inSprint = flows.filter(flow => flow.sprint === sprint.id);
+  const tracked = inSprint.filter(flow => !flow.is_done || flow.done);
+  const dates = [];
+  for (let day = window.start; day <= window.end && dates.length < MAX_BURNDOWN_DAYS; day = addDays(day, 1)) {
+    dates.push(day);
+  }
+
+  const scopeOn = date => tracked.filter(flow => flow.created.slice(0, 10) <= date).length;
+  const initialScope = scopeOn(window.start);
+  const lastIndex = Math.max(dates.length - 1, 1);
+
+  return {
+    sprint: sprint.id,
+    name: sprint.name,
+    start: window.start,
+    end: window.end,
+    scope: tracked.length,
+    untracked: inSprint.length - tracked.length,
+    days: dates.map((date, index) => ({
+      date,
+      // Future days of an active sprint have no actuals yet
+      remaining: date > today ? null : tracked.filter(flow =>
+        flow.created.slice(0, 10) <= date && !(flow.done && flow.done.slice(0, 10) <= date)
+      ).length,
+      scope: scopeOn(date),
+      ideal: round(initialScope * (1 - index / lastIndex))
+    }))
+  };
+}
+
+/**
+ * Cards done per completed sprint
+ * @param {Object} data - Store data
+ * @param {Array} flows - All task flows
+ * @param {Object} options - { today, window: sprints to average (default 3) }
+ * @returns {Object} - { sprints: [{ sprint, name, completed, committed, completed_points, committed_points, days }],
+ *                      average, average_points, window }
+ */
+function computeVelocity(data, flows, options = {}) {
+  const today = options.today || new Date().toISOString().slice(0, 10);
+  const windowSize = options.window || VELOCITY_WINDOW;
+
+  const sprints = data.sprints
+    .filter(sprint => sprint.status === 'complete')
+    .sort((a, b) => a.id - b.id)
+    .map(sprint => {
+      const inSprint = flows.filter(flow => flow.sprint === sprint.id);
+      const window = sprintWindow(sprint, flows, today);
+      return {
+        sprint: sprint.id,
+        name: sprint.name,
+        committed: inSprint.length,
+        completed: inSprint.filter(flow => flow.is_done).length,
+        committed_points: sumPoints(inSprint),
+        completed_points: sumPoints(inSprint.filter(flow => flow.is_done)),
+        days: window ? daysBetween(`${window.start}T00:00:00Z`, `${window.end}T00:00:00Z`) + 1 : null
+      };
+    });
+
+  const recent = sprints.slice(-windowSize);
+  return {
+    sprints,
+    window: windowSize,
+    average: recent.length > 0 ? round(recent.reduce((sum, item) => sum + item.completed, 0) / recent.length) : null,
+    average_points: recent.length > 0 ? round(recent.reduce((sum, item) => sum + item.completed_points, 0) / recent.length) : null,
+    min: recent.length > 0 ? Math.min(...recent.map(item => item.completed)) : null,
+    max: recent.length > 0 ? Math.max(...recent.map(item => item.completed)) : null
+  };
+}
+
+/**
+ * Forecast when the cards that are not Live yet will land
+ * @param {Array} flows - All task flows
+ * @param {Object} velocity - Output of computeVelocity()
+ * @param {Object} options - { today }
+ * @returns {Object} - { remaining, remaining_points, sprints_needed, sprint_days, expected, optimistic, pessimistic, reason? }
+ */
+function computeForecast(flows, velocity, options = {}) {
+  const today = options.today || new Date().toISOString().slice(0, 10);
+  const remaining = flows.filter(flow => !flow.is_done).length;
+  const lengths = velocity.sprints.slice(-velocity.window).map(item => item.days).filter(Boolean);
+  const sprintDays = lengths.length > 0
+    ? Math.round(lengths.reduce((sum, days) => sum + days, 0) / lengths.length)
+    : DEFAULT_SPRINT_DAYS;
+
+  const forecast = { remaining, remaining_points: sumPoints(flows.filter(flow => !flow.is_done)), sprint_days: sprintDays, sprints_needed: null, expected: null, optimistic: null, pessimistic: null };
+
+  if (remaining === 0) {
+    return { ...forecast, sprints_needed: 0, expected: today, optimistic: today, pessimistic: today };
+  }
+  if (!velocity.average) {
+    return { ...forecast, reason: 'No completed sprints with done cards yet' };
+  }
+
+  const landing = perSprint => (perSprint > 0 ? addDays(today, Math.ceil(remaining / perSprint) * sprintDays) : null);
+  return {
+    ...forecast,
+    sprints_needed: Math.ceil(remaining / velocity.average),
+    expected: landing(velocity.average),
+    optimistic: landing(velocity.max),
+    pessimistic: landing(velocity.min)
+  };
+}
+
+/**
+ * Burndown for every sprint plus velocity and forecast
+ * @param {Object} data - Store data (kanban.json)
+ * @param {Object} options - { commits, doneColumns, sprint, now }
+ * @returns {Object} - { generated, burndown: [...], velocity, forecast }
+ */
+function computeSprintReport(data, options = {}) {
+  const now = options.now || new Date();
+  const today = now.toISOString().slice(0, 10);
+  const flows = computeFlows(data, options);
+  const velocity = computeVelocity(data, flows, { today });
+
+  const sprints = options.sprint !== undefined && options.sprint !== null
+    ? data.sprints.filter(sprint => sprint.id === Number(options.sprint))
+    : data.sprints;
+
+  return {
+    generated: now.toISOString(),
+    burndown: sprints.map(sprint => computeBurndown(sprint, flows, { today })).filter(Boolean),
+    velocity,
+    forecast: computeForecast(flows, velocity, { today })
+  };
+}
+
+/**
+ * Render the sprint report (burndown, velocity, forecast) as markdown
+ * @param {Object} report - Output of computeSprintReport()
+ * @param {Object} project - { name } [optional]
+ * @returns {string} - Markdown
+ */
+function formatSprintMarkdown(report, project = {}) {
+  const lines = [];
+  const { velocity, forecast } = report;
+
+  lines.push(`# Sprint Metrics${project.name ? ` - ${project.name}` : ''}`);
+  lines.push('');
+  lines.push(`Generated: ${report.generated.slice(0, 16).replace('T', ' ')} UTC`);
+  lines.push('');
+
+  lines.push('## Velocity');
+  lines.push('');
+  if (velocity.sprints.length === 0) {
+    lines.push('No completed sprints yet.');
+  } else {
+    // The points column only appears once cards carry estimates
+    const estimated = velocity.sprints.some(item => item.committed_points > 0);
+    lines.push(`| Sprint | Committed | Completed |${estimated ? ' Points (done / committed) |' : ''} Days |`);
+    lines.push(`|---|---|---|${estimated ? '---|' : ''}---|`);
+    velocity.sprints.forEach(item => lines.push(`| ${item.sprint}: ${item.name} | ${item.committed} | ${item.completed} |` +
+      `${estimated ? ` ${item.completed_points} / ${item.committed_points} |` : ''} ${item.days ?? '-'} |`));
+    lines.push('');
+    const points = velocity.average_points ? ` (${velocity.average_points} points/sprint)` : '';
+    lines.push(`Average velocity (last ${Math.min(velocity.window, velocity.sprints.length)}): **${velocity.average} cards/sprint**${points}`);
+  }
+  lines.push('');
+
+  lines.push('## Forecast');
+  lines.push('');
+  const remaining = `${forecast.remaining} card(s)${forecast.remaining_points ? ` (${forecast.remaining_points} points)` : ''}`;
+  if (forecast.expected) {
+    lines.push(`${remaining} not yet Live → ${forecast.sprints_needed} more sprint(s) of ~${forecast.sprint_days} days.`);
+    lines.push('');
+    lines.push(`- Expected: **${forecast.expected}**`);
+    lines.push(`- Range: ${forecast.optimistic} (best sprint) – ${forecast.pessimistic || 'unknown'} (worst sprint)`);
+  } else {
+    lines.push(`${remaining} not yet Live. No forecast: ${forecast.reason}.`);
+  }
+  lines.push('');
+
+  for (const burndown of report.burndown) {
+    lines.push(`## Burndown - Sprint ${burndown.sprint}: ${burndown.name}`);
+    lines.push('');
+    lines.push(`${burndown.start} → ${burndown.end}, ${burndown.scope} card(s)` +
+      `${burndown.untracked > 0 ? ` (${burndown.untracked} Live card(s) without history not shown)` : ''}`);
+    lines.push('');
+    lines.push('| Date | Remaining | Ideal | Scope |');
+    lines.push('|---|---|---|---|');
+    burndown.days.forEach(day => lines.push(`| ${day.date} | ${day.remaining ?? '-'} | ${day.ideal} | ${day.scope} |`));
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the report as markdown
+ * @param {Object} report - Output of computeMetrics()
+ * @param {Object} project - { name } [optional]
+ * @returns {string} - Markdown
+ */
+function formatMarkdown(report, project = {}) {
+  const lines = [];
+  const overall = report.overall;
+
+  lines.push(`# Flow Metrics${project.name ? ` - ${project.name}` : ''}`);
+  lines.push('');
+  lines.push(`Generated: ${report.generated.slice(0, 16).replace('T', ' ')} UTC`);
+  if (report.filters.sprint !== null) lines.push(`Sprint: ${report.filters.sprint}`);
+  if (report.filters.since) lines.push(`Cards created since: ${report.filters.since}`);
+  lines.push(`Sources: ${report.sources.history_transitions} transitions from card history, ${report.sources.git_transitions} from git auto-progress commits`);
+  lines.push('');
+
+  lines.push('## Summary');
+  lines.push('');
+  lines.push('| Metric | Value | Target | Status |');
+  lines.push('|--------|-------|--------|--------|');
+  lines.push(summaryRow('Cycle Time (median)', formatDays(overall.cycle_time_days.median), overall.cycle_time_days.median, 'cycle_time_days', report.targets));
+  lines.push(summaryRow('Lead Time (median)', formatDays(overall.lead_time_days.median), overall.lead_time_days.median, 'lead_time_days', report.targets));
+  lines.push(summaryRow('Throughput', `${overall.throughput_per_week} cards/week`, null, null, report.targets));
+  lines.push(summaryRow('QA Pass Rate', formatRate(overall.qa_pass_rate), overall.qa_pass_rate, 'qa_pass_rate', report.targets));
+  lines.push(summaryRow('Deploy Frequency', `${overall.deploys_per_week} deploys/week`, overall.deploys > 0 ? overall.deploys_per_week : null, 'deploys_per_week', report.targets));
+  lines.push(summaryRow('Change Failure Rate', formatRate(overall.change_failure_rate), overall.change_failure_rate, 'change_failure_rate', report.targets));
+  lines.push('');
+  lines.push(`${overall.done} of ${overall.tasks} cards done over ${overall.window_days} days.`);
+  lines.push('');
+
+  lines.push('## By Sprint');
+  lines.push('');
+  lines.push(...groupTable('Sprint', report.by_sprint));
+  lines.push('');
+
+  lines.push('## By Task Type');
+  lines.push('');
+  lines.push(...groupTable('Type', report.by_type));
+  lines.push('');
+
+  return lines.join('\n');
+}
+
+// ====================
+// HELPER FUNCTIONS
+// ====================
+
+function summaryRow(label, display, value, targetKey, targets) {
+  const target = targetKey ? targets[targetKey] : null;
+  let status = '-';
+  if (target && value !== null && value !== undefined) {
+    const met = target.max !== undefined ? value < target.max : value > target.min;
+    status = met ? '✅' : '⚠️';
+  }
+  return `| ${label} | ${display} | ${target ? target.label : '-'} | ${status} |`;
+}
+
+function groupTable(label, groups) {
+  const rows = [
+    `| ${label} | Cards | Done | Cycle (median) | Lead (median) | QA Pass | Deploys | Failure Rate |`,
+    '|---|---|---|---|---|---|---|---|'
+  ];
+  for (const [key, metrics] of Object.entries(groups)) {
+    rows.push(`| ${key} | ${metrics.tasks} | ${metrics.done} | ${formatDays(metrics.cycle_time_days.median)} | ` +
+      `${formatDays(metrics.lead_time_days.median)} | ${formatRate(metrics.qa_pass_rate)} | ${metrics.deploys} | ` +
+      `${formatRate(metrics.change_failure_rate)} |`);
+  }
+  return rows;
+}
+
+function stats(values) {
+  if (values.length === 0) return { count: 0, mean: null, median: null, p85: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+  return {
+    count: values.length,
+    mean: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+    median: round(sorted.length % 2 === 1
+      ? sorted[(sorted.length - 1) / 2]
+      : (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2),
+    p85: round(percentile(0.85))
+  };
+}
+
+// Story points of the estimated cards among flows
+function sumPoints(flows) {
+  return round(flows.reduce((sum, flow) => sum + (flow.points || 0), 0));
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+  return round((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function formatDays(value) {
+  return value === null ? '-' : `${value} d`;
+}
+
+function formatRate(value) {
+  return value === null ? '-' : `${Math.round(value * 100)}%`;
+}
+
+// ====================
+// CLI
+// ====================
+
+function main() {
+  const args = process.argv.slice(2).reduce((acc, arg) => {
+    if (!arg.startsWith('-')) return acc;
+    const eqIndex = arg.indexOf('=');
+    const key = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+    const value = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+    acc[key.replace(/^--?/, '')] = value?.replace(/^["']|["']$/g, '') || true;
+    return acc;
+  }, {});
+
+  if (args['help'] || args['h']) {
+    console.log(`
+📈 Kanban Flow Metrics
+
+USAGE:
+  node kanban-metrics.js [options]
+
+OPTIONS:
+  --kanban-file   Path to kanban HTML file (data: kanban.json next to it)
+  --data-file     Path to kanban.json
+  --report        flow (default) or sprint (burndown, velocity, forecast)
+  --format        markdown (default) or json
+  --output        Write the report to a file instead of stdout
+  --sprint        Only cards in this sprint
+  --since         Only cards created on/after this date (YYYY-MM-DD)
+  --no-git        Use card history only (skip the git log)
+  --help, -h      Show this help message
+
+EXAMPLES:
+  node kanban-metrics.js
+  node kanban-metrics.js --format=json --output=.autopilot/reports/metrics.json
+  node kanban-metrics.js --sprint=2 --output=.autopilot/reports/sprint-2-metrics.md
+  node kanban-metrics.js --report=sprint
+    `);
+    process.exit(0);
+  }
+
+  const kanbanFile = args['kanban-file'] || path.join(process.cwd(), 'docs', 'kanban', 'kanban_dev.html');
+  const dataFile = args['data-file'] || KanbanStore.pathForBoard(kanbanFile);
+  const format = args['format'] === true || args['format'] === undefined ? 'markdown' : args['format'];
+  const reportType = args['report'] === true || args['report'] === undefined ? 'flow' : args['report'];
+
+  const errors = [];
+  if (!fs.existsSync(dataFile)) errors.push(`Kanban data file not found: ${dataFile}`);
+  if (!['markdown', 'json'].includes(format)) errors.push(`Invalid --format: "${format}". Must be one of: markdown, json`);
+  if (!['flow', 'sprint'].includes(reportType)) errors.push(`Invalid --report: "${reportType}". Must be one of: flow, sprint`);
+  if (args['sprint'] !== undefined && !/^\d+$/.test(String(args['sprint']))) errors.push(`Invalid --sprint: "${args['sprint']}"`);
+  if (args['since'] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(args['since']))) errors.push(`Invalid --since: "${args['since']}". Use YYYY-MM-DD`);
+  if (errors.length > 0) {
+    errors.forEach(err => console.error(`❌ ${err}`));
+    process.exit(1);
+  }
+
+  const store = new KanbanStore(dataFile).load();
+  const options = {
+    commits: args['no-git'] ? [] : readAutoProgressCommits(path.dirname(path.resolve(dataFile))),
+    doneColumns: store.doneColumns,
+    sprint: args['sprint'] !== undefined ? parseInt(args['sprint'], 10) : null,
+    since: args['since']
+  };
+
+  let output;
+  if (reportType === 'sprint') {
+    const report = computeSprintReport(store.data, options);
+    output = format === 'json' ? JSON.stringify(report, null, 2) : formatSprintMarkdown(report, store.data.project);
+  } else {
+    const report = computeMetrics(store.data, options);
+    output = format === 'json' ? JSON.stringify(report, null, 2) : formatMarkdown(report, store.data.project);
+  }
+
+  if (args['output'] && args['output'] !== true) {
+    fs.mkdirSync(path.dirname(path.resolve(args['output'])), { recursive: true });
+    fs.writeFileSync(args['output'], output + '\n', 'utf8');
+    console.log(`✅ Metrics written: ${args['output']}`);
+  } else {
+    console.log(output);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  computeMetrics,
+  computeFlows,
+  computeBurndown,
+  computeVelocity,
+  computeForecast,
+  computeSprintReport,
+  collectTransitions,
+  taskFlow,
+  summarize,
+  formatMarkdown,
+  formatSprintMarkdown,
+  readAutoProgressCommits,
+  parseAutoProgressLog,
+  METRIC_TARGETS
+};
@@ -0,0 +1,503 @@
+/**
+ * Offline Kanban Board
+ * ====================
+ * Turns the rendered kanban_dev.html into a self-contained file: no
+ * cdn.tailwindcss.com and no unpkg.com/lucide at runtime, so the board looks
+ * the same on an offline laptop or as an air-gapped CI artifact.
+ *
+ *   - Tailwind: the Preflight base styles plus only the utility classes that
+ *     appear in the page (class attributes and the class names the board's
+ *     script sets) are generated and inlined in a <style> block
+ *   - Lucide: every <i data-lucide="..."> becomes its inline <svg>
+ *     (kanban-icons.js); lucide.createIcons() calls become no-ops
+ *
+ * The generator covers the Tailwind v3 utilities the board uses (spacing,
+ * sizing, flex/grid, typography, colors, borders, radius, shadows) with the
+ * sm/md/lg/xl, hover and focus variants. Classes it does not know are
+ * reported by buildOfflineBoard() so they can be added here.
+ *
+ * Offline output is on by default (board_render.offline in
+ * workflow-states.json); kanban-updater.js accepts --offline=false.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const { renderIcon } = require('./kanban-icons');
+
+// <script> lines the offline board drops
+const CDN_SCRIPTS = [
+  /^[ \t]*<script src="https:\/\/cdn\.tailwindcss\.com[^"]*"><\/script>\n/m,
+  /^[ \t]*<script src="https:\/\/unpkg\.com\/lucide[^"]*"><\/script>\n/m
+];
+
+// Keeps the template's lucide.createIcons() calls working without the library
+const LUCIDE_SHIM = '<script>window.lucide = window.lucide || { createIcons: function () {} };</script>';
+
+// Tailwind v3 default palette (only the families the board uses)
+const COLORS = {
+  gray: { 50: '#f9fafb', 100: '#f3f4f6', 200: '#e5e7eb', 300: '#d1d5db', 400: '#9ca3af', 500: '#6b7280', 600: '#4b5563', 700: '#374151', 800: '#1f2937', 900: '#111827' },
+  red: { 50: '#fef2f2', 100: '#fee2e2', 200: '#fecaca', 300: '#fca5a5', 400: '#f87171', 500: '#ef4444', 600: '#dc2626', 700: '#b91c1c', 800: '#991b1b', 900: '#7f1d1d' },
+  orange: { 50: '#fff7ed', 100: '#ffedd5', 200: '#fed7aa', 300: '#fdba74', 400: '#fb923c', 500: '#f97316', 600: '#ea580c', 700: '#c2410c', 800: '#9a3412', 900: '#7c2d12' },
+  amber: { 50: '#fffbeb', 100: '#fef3c7', 200: '#fde68a', 300: '#fcd34d', 400: '#fbbf24', 500: '#f59e0b', 600: '#d97706', 700: '#b45309', 800: '#92400e', 900: '#78350f' },
+  yellow: { 50: '#fefce8', 100: '#fef9c3', 200: '#fef08a', 300: '#fde047', 400: '#facc15', 500: '#eab308', 600: '#ca8a04', 700: '#a16207', 800: '#854d0e', 900: '#713f12' },
+  green: { 50: '#f0fdf4', 100: '#dcfce7', 200: '#bbf7d0', 300: '#86efac', 400: '#4ade80', 500: '#22c55e', 600: '#16a34a', 700: '#15803d', 800: '#166534', 900: '#14532d' },
+  emerald: { 50: '#ecfdf5', 100: '#d1fae5', 200: '#a7f3d0', 300: '#6ee7b7', 400: '#34d399', 500: '#10b981', 600: '#059669', 700: '#047857', 800: '#065f46', 900: '#064e3b' },
+  blue: { 50: '#eff6ff', 100: '#dbeafe', 200: '#bfdbfe', 300: '#93c5fd', 400: '#60a5fa', 500: '#3b82f6', 600: '#2563eb', 700: '#1d4ed8', 800: '#1e40af', 900: '#1e3a8a' },
+  indigo: { 50: '#eef2ff', 100: '#e0e7ff', 200: '#c7d2fe', 300: '#a5b4fc', 400: '#818cf8', 500: '#6366f1', 600: '#4f46e5', 700: '#4338ca', 800: '#3730a3', 900: '#312e81' },
+  violet: { 50: '#f5f3ff', 100: '#ede9fe', 200: '#ddd6fe', 300: '#c4b5fd', 400: '#a78bfa', 500: '#8b5cf6', 600: '#7c3aed', 700: '#6d28d9', 800: '#5b21b6', 900: '#4c1d95' },
+  purple: { 50: '#faf5ff', 100: '#f3e8ff', 200: '#e9d5ff', 300: '#d8b4fe', 400: '#c084fc', 500: '#a855f7', 600: '#9333ea', 700: '#7e22ce', 800: '#6b21a8', 900: '#581c87' },
+  pink: { 50: '#fdf2f8', 100: '#fce7f3', 200: '#fbcfe8', 300: '#f9a8d4', 400: '#f472b6', 500: '#ec4899', 600: '#db2777', 700: '#be185d', 800: '#9d174d', 900: '#831843' }
+};
+
+const SPECIAL_COLORS = { white: '#fff', black: '#000', transparent: 'transparent', current: 'currentColor' };
+
+const BREAKPOINTS = { sm: '640px', md: '768px', lg: '1024px', xl: '1280px', '2xl': '1536px' };
+
+const FONT_SIZES = {
+  xs: ['0.75rem', '1rem'],
+  sm: ['0.875rem', '1.25rem'],
+  base: ['1rem', '1.5rem'],
+  lg: ['1.125rem', '1.75rem'],
+  xl: ['1.25rem', '1.75rem'],
+  '2xl': ['1.5rem', '2rem'],
+  '3xl': ['1.875rem', '2.25rem'],
+  '4xl': ['2.25rem', '2.5rem']
+};
+
+const FONT_WEIGHTS = { light: 300, normal: 400, medium: 500, semibold: 600, bold: 700 };
+
+const RADII = { none: '0px', sm: '0.125rem', '': '0.25rem', md: '0.375rem', lg: '0.5rem', xl: '0.75rem', '2xl': '1rem', '3xl': '1.5rem', full: '9999px' };
+
+const SHADOWS = {
+  sm: '0 1px 2px 0 rgb(0 0 0 / 0.05)',
+  '': '0 1px 3px 0 rgb(0 0 0 / 0.1), 0 1px 2px -1px rgb(0 0 0 / 0.1)',
+  md: '0 4px 6px -1px rgb(0 0 0 / 0.1), 0 2px 4px -2px rgb(0 0 0 / 0.1)',
+  lg: '0 10px 15px -3px rgb(0 0 0 / 0.1), 0 4px 6px -4px rgb(0 0 0 / 0.1)',
+  none: '0 0 #0000'
+};
+
+const MAX_WIDTHS = {
+  xs: '20rem', sm: '24rem', md: '28rem', lg: '32rem', xl: '36rem', '2xl': '42rem', '3xl': '48rem',
+  '4xl': '56rem', '5xl': '64rem', '6xl': '72rem', '7xl': '80rem', full: '100%', none: 'none'
+};
+
+// Single-class utilities with fixed declarations
+const STATIC_UTILITIES = {
+  'block': 'display: block',
+  'inline-block': 'display: inline-block',
+  'inline': 'display: inline',
+  'flex': 'display: flex',
+  'inline-flex': 'display: inline-flex',
+  'grid': 'display: grid',
+  'hidden': 'display: none',
+  'flex-row': 'flex-direction: row',
+  'flex-col': 'flex-direction: column',
+  'flex-wrap': 'flex-wrap: wrap',
+  'flex-1': 'flex: 1 1 0%',
+  'flex-none': 'flex: none',
+  'shrink-0': 'flex-shrink: 0',
+  'flex-shrink-0': 'flex-shrink: 0',
+  'grow': 'flex-grow: 1',
+  'items-start': 'align-items: flex-start',
+  'items-center': 'align-items: center',
+  'items-end': 'align-items: flex-end',
+  'items-stretch': 'align-items: stretch',
+  'justify-start': 'justify-content: flex-start',
+  'justify-center': 'justify-content: center',
+  'justify-end': 'justify-content: flex-end',
+  'justify-between': 'justify-content: space-between',
+  'self-start': 'align-self: flex-start',
+  'self-center': 'align-self: center',
+  'relative': 'position: relative',
+  'absolute': 'position: absolute',
+  'sticky': 'position: sticky',
+  'overflow-hidden': 'overflow: hidden',
+  'overflow-auto': 'overflow: auto',
+  'overflow-x-auto': 'overflow-x: auto',
+  'overflow-y-auto': 'overflow-y: auto',
+  'min-h-screen': 'min-height: 100vh',
+  'min-w-0': 'min-width: 0px',
+  'text-left': 'text-align: left',
+  'text-center': 'text-align: center',
+  'text-right': 'text-align: right',
+  'uppercase': 'text-transform: uppercase',
+  'italic': 'font-style: italic',
+  'underline': 'text-decoration-line: underline',
+  'truncate': 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap',
+  'whitespace-nowrap': 'white-space: nowrap',
+  'break-words': 'overflow-wrap: break-word',
+  'tracking-tight': 'letter-spacing: -0.025em',
+  'tracking-wide': 'letter-spacing: 0.025em',
+  'tracking-wider': 'letter-spacing: 0.05em',
+  'leading-tight': 'line-height: 1.25',
+  'leading-relaxed': 'line-height: 1.625',
+  'align-middle': 'vertical-align: middle',
+  'cursor-pointer': 'cursor: pointer',
+  'select-none': 'user-select: none',
+  'pointer-events-none': 'pointer-events: none',
+  'border-dashed': 'border-style: dashed',
+  'border-solid': 'border-style: solid',
+  'transition': 'transition-property: color, background-color, border-color, text-decoration-color, fill, stroke, opacity, box-shadow, transform, filter, backdrop-filter; transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1); transition-duration: 150ms',
+  'transition-colors': 'transition-property: color, background-color, border-color, text-decoration-color, fill, stroke; transition-timing-function: cubic-bezier(0.4, 0, 0.2, 1); transition-duration: 150ms',
+  'sr-only': 'position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border-width: 0'
+};
+
+// Tailwind v3 core plugin order for the utilities above: rules are emitted in
+// this order (then hover, then focus variants; breakpoints last, in @media) so
+// that conflicting classes resolve as with the CDN, e.g. pl-2 wins over px-4.
+// The first matching pattern gives a utility its place.
+const UTILITY_ORDER = [
+  /^sr-only$/,
+  /^pointer-events-/,
+  /^(static|fixed|absolute|relative|sticky)$/,
+  /^inset-/,
+  /^(top|right|bottom|left)-/,
+  /^z-/,
+  /^col-span-/,
+  /^-?m-/,
+  /^-?m[xy]-/,
+  /^-?m[trbl]-/,
+  /^(block|inline-block|inline|flex|inline-flex|grid|hidden)$/,
+  /^h-/,
+  /^max-h-/,
+  /^min-h-/,
+  /^w-/,
+  /^min-w-/,
+  /^max-w-/,
+  /^flex-(1|none)$/,
+  /^(flex-)?shrink-/,
+  /^grow/,
+  /^cursor-/,
+  /^select-/,
+  /^grid-cols-/,
+  /^flex-(row|col)/,
+  /^flex-wrap/,
+  /^items-/,
+  /^justify-/,
+  /^gap-(?![xy]-)/,
+  /^gap-[xy]-/,
+  /^space-/,
+  /^self-/,
+  /^overflow-(?![xy]-)/,
+  /^overflow-[xy]-/,
+  /^truncate$/,
+  /^whitespace-/,
+  /^break-/,
+  /^rounded/,
+  /^border(-\d+)?$/,
+  /^border-[xy](-\d+)?$/,
+  /^border-[trbl](-\d+)?$/,
+  /^border-(solid|dashed|dotted|double|none)$/,
+  /^border-/,
+  /^bg-/,
+  /^p-/,
+  /^p[xy]-/,
+  /^p[trbl]-/,
+  /^text-(left|center|right|justify)$/,
+  /^align-/,
+  /^text-(xs|sm|base|lg|xl|[2-9]xl)$/,
+  /^font-/,
+  /^(uppercase|lowercase|capitalize|normal-case)$/,
+  /^(italic|not-italic)$/,
+  /^leading-/,
+  /^tracking-/,
+  /^text-/,
+  /^(underline|line-through|no-underline)$/,
+  /^opacity-/,
+  /^shadow/,
+  /^transition/
+];
+
+// Variant order within the base rules and within each breakpoint
+const PSEUDO_ORDER = ['', ':hover', ':focus', ':hover:focus', ':focus:hover'];
+
+// Tailwind Preflight (v3), condensed
+const PREFLIGHT = `*, ::before, ::after { box-sizing: border-box; border-width: 0; border-style: solid; border-color: #e5e7eb; }
+html { line-height: 1.5; -webkit-text-size-adjust: 100%; tab-size: 4; font-family: ui-sans-serif, system-ui, sans-serif, "Apple Color Emoji", "Segoe UI Emoji", "Segoe UI Symbol", "Noto Color Emoji"; }
+body { margin: 0; line-height: inherit; }
+hr { height: 0; color: inherit; border-top-width: 1px; }
+h1, h2, h3, h4, h5, h6 { font-size: inherit; font-weight: inherit; }
+a { color: inherit; text-decoration: inherit; }
+b, strong { font-weight: bolder; }
+code, kbd, samp, pre { font-family: ui-monospace, SFMono-Regular, Menlo, Monaco, Consolas, "Liberation Mono", "Courier New", monospace; font-size: 1em; }
+small { font-size: 80%; }
+table { text-indent: 0; border-color: inherit; border-collapse: collapse; }
+button, input, optgroup, select, textarea { font-family: inherit; font-size: 100%; font-weight: inherit; line-height: inherit; color: inherit; margin: 0; padding: 0; }
+button, select { text-transform: none; }
+button, [type='button'], [type='reset'], [type='submit'] { -webkit-appearance: button; background-color: transparent; background-image: none; }
+summary { display: list-item; }
+blockquote, dl, dd, h1, h2, h3, h4, h5, h6, hr, figure, p, pre { margin: 0; }
+fieldset { margin: 0; padding: 0; }
+ol, ul, menu { list-style: none; margin: 0; padding: 0; }
+textarea { resize: vertical; }
+input::placeholder, textarea::placeholder { opacity: 1; color: #9ca3af; }
+button, [role="button"] { cursor: pointer; }
+img, svg, video, canvas, audio, iframe, embed, object { display: block; vertical-align: middle; }
+img, video { max-width: 100%; height: auto; }
+[hidden] { display: none; }`;
+
+/**
+ * Make a rendered board self-contained
+ * @param {string} html - Board HTML using the Tailwind and Lucide CDNs
+ * @returns {Object} - { html, classes: generated utility count, unknownIcons: [], unknownClasses: [] }
+ */
+function buildOfflineBoard(html) {
+  const icons = inlineIcons(html);
+  const { css, classes, unknown } = generateCss(icons.html);
+
+  let offline = icons.html;
+  for (const pattern of CDN_SCRIPTS) {
+    offline = offline.replace(pattern, '');
+  }
+  offline = offline.replace('</head>', `    ${LUCIDE_SHIM}\n    <style data-generated="kanban-offline">\n${indentCss(css)}\n    </style>\n</head>`);
+
+  return { html: offline, classes, unknownIcons: icons.missing, unknownClasses: unknown };
+}
+
+/**
+ * Replace <i data-lucide="name" class="..."></i> placeholders with inline SVG
+ * @param {string} html - Board HTML
+ * @returns {Object} - { html, missing: icon names without SVG data }
+ */
+function inlineIcons(html) {
+  const missing = new Set();
+  const replaced = html.replace(/<i data-lucide="([\w-]+)"(?: class="([^"]*)")?><\/i>/g, (match, name, classes) => {
+    const svg = renderIcon(name, classes || '');
+    if (!svg) missing.add(name);
+    return svg || match;
+  });
+  return { html: replaced, missing: [...missing] };
+}
+
+/**
+ * Preflight plus CSS for the utility classes found in the HTML
+ * @param {string} html - Board HTML (markup and inline scripts)
+ * @returns {Object} - { css, classes: number of utilities, unknown: Tailwind-like classes not generated }
+ */
+function generateCss(html) {
+  const base = [];
+  const media = Object.fromEntries(Object.keys(BREAKPOINTS).map(name => [name, []]));
+  const unknown = new Set();
+  let classes = 0;
+
+  for (const token of candidateClasses(html)) {
+    const rule = utilityRule(token);
+    if (rule === null) {
+      if (token.includes(':') || /^(bg|text|border|p[xytrbl]?|m[xytrbl]?|w|h|gap|grid-cols|col-span|rounded|shadow)-/.test(token)) {
+        unknown.add(token);
+      }
+      continue;
+    }
+    classes += 1;
+    (rule.breakpoint ? media[rule.breakpoint] : base).push(rule);
+  }
+
+  const css = [PREFLIGHT, ...sortRules(base).map(rule => rule.css)];
+  for (const [name, rules] of Object.entries(media)) {
+    if (rules.length > 0) {
+      css.push(`@media (min-width: ${BREAKPOINTS[name]}) {\n${sortRules(rules).map(rule => `  ${rule.css}`).join('\n')}\n}`);
+    }
+  }
+
+  return { css: css.join('\n'), classes, unknown: [...unknown].sort() };
+}
+
+/**
+ * Class names used in class attributes and in script strings
+ * (e.g., board.className = 'grid grid-cols-1 gap-4 max-w-xl')
+ */
+function candidateClasses(html) {
+  const tokens = new Set();
+  const add = text => text.split(/\s+/).filter(Boolean).forEach(token => tokens.add(token));
+
+  for (const match of html.matchAll(/\bclass="([^"]*)"/g)) add(match[1]);
+
+  for (const script of html.matchAll(/<script>([\s\S]*?)<\/script>/g)) {
+    for (const match of script[1].matchAll(/'([^'\n]*)'/g)) add(match[1]);
+  }
+
+  // Template literals inside class attributes (${...}) are not classes
+  return [...tokens].filter(token => !/[${}<>"'`]/.test(token)).sort();
+}
+
+/**
+ * Rules in Tailwind's order: plain utilities before hover before focus, each
+ * by core plugin (UTILITY_ORDER), class name breaking ties
+ */
+function sortRules(rules) {
+  return [...rules].sort((a, b) => a.variant - b.variant || a.order - b.order ||
+    (a.className < b.className ? -1 : a.className > b.className ? 1 : 0));
+}
+
+/**
+ * Place of a utility (without variants) in UTILITY_ORDER; unlisted ones go last
+ */
+function utilityOrder(utility) {
+  const index = UTILITY_ORDER.findIndex(pattern => pattern.test(utility));
+  return index === -1 ? UTILITY_ORDER.length : index;
+}
+
+/**
+ * CSS rule for one class, with variants (e.g., "lg:grid-cols-3", "hover:bg-gray-50")
+ * @returns {Object|null} - { css, breakpoint, variant, order, className }, null when the class is not a known utility
+ */
+function utilityRule(className) {
+  const parts = className.split(':');
+  const utility = parts.pop();
+  let breakpoint = null;
+  let pseudo = '';
+
+  for (const variant of parts) {
+    if (BREAKPOINTS[variant] && !breakpoint) breakpoint = variant;
+    else if (variant === 'hover' || variant === 'focus') pseudo += `:${variant}`;
+    else return null;
+  }
+
+  const declarations = utilityDeclarations(utility);
+  if (!declarations) return null;
+
+  const selector = `.${escapeClass(className)}${pseudo}`;
+  const placement = { breakpoint, variant: PSEUDO_ORDER.indexOf(pseudo), order: utilityOrder(utility), className };
+  if (declarations.children) {
+    return { css: `${selector} > :not([hidden]) ~ :not([hidden]) { ${declarations.children}; }`, ...placement };
+  }
+  return { css: `${selector} { ${declarations}; }`, ...placement };
+}
+
+function utilityDeclarations(utility) {
+  if (STATIC_UTILITIES[utility]) return STATIC_UTILITIES[utility];
+
+  let match;
+
+  // Spacing: p-4, px-3, py-1.5, mt-10, mx-auto, -mt-1, gap-4, space-y-3
+  if ((match = utility.match(/^(-?)(p|px|py|pt|pr|pb|pl|m|mx|my|mt|mr|mb|ml)-(.+)$/))) {
+    const value = match[2].startsWith('m') && match[3] === 'auto' ? 'auto' : spacing(match[3], match[1]);
+    if (value === null) return null;
+    return sides(match[2].startsWith('p') ? 'padding' : 'margin', match[2].slice(1), value);
+  }
+  if ((match = utility.match(/^gap-(x-|y-)?(.+)$/))) {
+    const value = spacing(match[2]);
+    if (value === null) return null;
+    const property = { 'x-': 'column-gap', 'y-': 'row-gap' }[match[1]] || 'gap';
+    return `${property}: ${value}`;
+  }
+  if ((match = utility.match(/^space-(x|y)-(.+)$/))) {
+    const value = spacing(match[2]);
+    if (value === null) return null;
+    return { children: `margin-${match[1] === 'y' ? 'top' : 'left'}: ${value}` };
+  }
+
+  // Sizing: w-4, h-0.5, w-full, w-fit, h-auto, max-w-xl, max-w-[1600px]
+  if ((match = utility.match(/^(w|h|min-w|min-h|max-h)-(.+)$/))) {
+    const property = { w: 'width', h: 'height', 'min-w': 'min-width', 'min-h': 'min-height', 'max-h': 'max-height' }[match[1]];
+    const value = size(match[2], match[1].endsWith('w') ? 'vw' : 'vh');
+    return value === null ? null : `${property}: ${value}`;
+  }
+  if ((match = utility.match(/^max-w-(.+)$/))) {
+    const value = MAX_WIDTHS[match[1]] || arbitrary(match[1]);
+    return value ? `max-width: ${value}` : null;
+  }
+
+  // Grid: grid-cols-4, col-span-2
+  if ((match = utility.match(/^grid-cols-(\d+)$/))) return `grid-template-columns: repeat(${match[1]}, minmax(0, 1fr))`;
+  if ((match = utility.match(/^col-span-(\d+|full)$/))) {
+    return match[1] === 'full' ? 'grid-column: 1 / -1' : `grid-column: span ${match[1]} / span ${match[1]}`;
+  }
+
+  // Typography: text-xs, font-semibold
+  if ((match = utility.match(/^text-(xs|sm|base|lg|xl|[2-4]xl)$/))) {
+    const [fontSize, lineHeight] = FONT_SIZES[match[1]];
+    return `font-size: ${fontSize}; line-height: ${lineHeight}`;
+  }
+  if ((match = utility.match(/^font-(\w+)$/)) && FONT_WEIGHTS[match[1]]) return `font-weight: ${FONT_WEIGHTS[match[1]]}`;
+
+  // Colors: bg-blue-100, text-gray-900, border-gray-200, bg-blue-500/10
+  if ((match = utility.match(/^(bg|text|border)-(.+)$/))) {
+    const value = color(match[2]);
+    if (value !== null) {
+      return `${{ bg: 'background-color', text: 'color', border: 'border-color' }[match[1]]}: ${value}`;
+    }
+  }
+
+  // Borders and radius: border, border-t, border-2, rounded-lg, rounded-full
+  if ((match = utility.match(/^border(?:-([trbl]))?(?:-(\d+))?$/))) {
+    return sides('border', match[1] || '', `${match[2] || 1}px`, '-width');
+  }
+  if ((match = utility.match(/^rounded(?:-(none|sm|md|lg|xl|2xl|3xl|full))?$/))) return `border-radius: ${RADII[match[1] || '']}`;
+
+  // Effects: shadow-sm, opacity-75
+  if ((match = utility.match(/^shadow(?:-(sm|md|lg|none))?$/))) return `box-shadow: ${SHADOWS[match[1] || '']}`;
+  if ((match = utility.match(/^opacity-(\d+)$/))) return `opacity: ${Number(match[1]) / 100}`;
+
+  // Position offsets and z-index: top-0, right-2, z-10
+  if ((match = utility.match(/^(top|right|bottom|left|inset)-(.+)$/))) {
+    const value = spacing(match[2]);
+    if (value === null) return null;
+    return match[1] === 'inset' ? `top: ${value}; right: ${value}; bottom: ${value}; left: ${value}` : `${match[1]}: ${value}`;
+  }
+  if ((match = utility.match(/^z-(\d+)$/))) return `z-index: ${match[1]}`;
+
+  return null;
+}
+
+function spacing(value, sign = '') {
+  let result = null;
+  if (value === '0') return '0px';
+  if (value === 'px') result = '1px';
+  else if (/^\d+(\.5)?$/.test(value)) result = `${Number(value) * 0.25}rem`;
+  else result = arbitrary(value);
+  return result === null ? null : `${sign}${result}`;
+}
+
+function size(value, viewportUnit) {
+  if (value === 'full') return '100%';
+  if (value === 'auto') return 'auto';
+  if (value === 'fit') return 'fit-content';
+  if (value === 'screen') return `100${viewportUnit}`;
+  if (/^\d+\/\d+$/.test(value)) {
+    const [numerator, denominator] = value.split('/').map(Number);
+    return `${Number((numerator / denominator * 100).toFixed(6))}%`;
+  }
+  return spacing(value);
+}
+
+function sides(property, side, value, suffix = '') {
+  const names = { t: ['top'], r: ['right'], b: ['bottom'], l: ['left'], x: ['left', 'right'], y: ['top', 'bottom'] }[side];
+  if (!names) return `${property}${suffix}: ${value}`;
+  return names.map(name => `${property}-${name}${suffix}: ${value}`).join('; ');
+}
+
+function color(value) {
+  const [name, alpha] = value.split('/');
+  let hex = SPECIAL_COLORS[name];
+  const match = name.match(/^([a-z]+)-(\d+)$/);
+  if (!hex && match && COLORS[match[1]]) hex = COLORS[match[1]][match[2]];
+  if (!hex) return null;
+  if (alpha === undefined || !hex.startsWith('#')) return hex;
+
+  const full = hex.length === 4 ? hex.replace(/^#(.)(.)(.)$/, '#$1$1$2$2$3$3') : hex;
+  const rgb = [1, 3, 5].map(index => parseInt(full.slice(index, index + 2), 16));
+  return `rgb(${rgb.join(' ')} / ${Number(alpha) / 100})`;
+}
+
+// Arbitrary values: [1600px], [42rem]
+function arbitrary(value) {
+  const match = value.match(/^\[([\w.%#()+-]+)\]$/);
+  return match ? match[1] : null;
+}
+
+function escapeClass(className) {
+  return className.replace(/[^a-zA-Z0-9_-]/g, char => `\\${char}`);
+}
+
+function indentCss(css) {
+  return css.split('\n').map(line => `        ${line}`).join('\n');
+}
+
+module.exports = {
+  buildOfflineBoard,
+  inlineIcons,
+  generateCss,
+  utilityRule
+};
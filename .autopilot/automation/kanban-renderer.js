@@ -0,0 +1,528 @@
+/**
+ * Kanban Board Renderer
+ * =====================
+ * Regenerates kanban_dev.html from kanban.json using kanban_dev.html.template
+ *
+ * The template holds a single Sprint 1 tab and board between the
+ * SPRINT_TABS and SPRINT_BOARDS markers. Those blocks are repeated once per
+ * sprint in the store, renumbered, and filled with the sprint's cards.
+ *
+ * Each board gets its burndown chart ([SPRINT_N_BURNDOWN]) and the
+ * SPRINT_METRICS block holds velocity and the Backlog forecast
+ * (kanban-metrics.js, drawn by kanban-charts.js). Column headers total the
+ * story points of their cards (data-points, updateCounts() in the template).
+ *
+ * With board_render.offline (workflow-states.json) the result is made
+ * self-contained: Tailwind CSS and Lucide icons are inlined instead of
+ * loaded from their CDNs (kanban-offline.js). board_render.swimlanes sets
+ * the swimlanes the board opens with; filters and swimlanes themselves run
+ * in the page, so they work in the static file too. Once cards have been
+ * archived (kanban-archive.js) the header links to the archive.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWorkflowStates, getColumnMarkers } = require('./kanban-html');
+const { describeHistoryEntry, findBlockers, getColumnWipLimit, getAssigneeWipLimit } = require('./kanban-store');
+const { computeSprintReport } = require('./kanban-metrics');
+const { renderBurndownChart, renderVelocityChart } = require('./kanban-charts');
+const { buildOfflineBoard } = require('./kanban-offline');
+
+const DEFAULT_TEMPLATE_PATH = path.join(__dirname, '..', 'templates', 'kanban_dev.html.template');
+
+// Badge colors per task type (feature/bug/chore/refactor match the template legend)
+const TYPE_BADGES = {
+  feature: 'bg-blue-100 text-blue-700',
+  bug: 'bg-red-100 text-red-700',
+  hotfix: 'bg-amber-100 text-amber-700',
+  refactor: 'bg-purple-100 text-purple-700',
+  test: 'bg-emerald-100 text-emerald-700',
+  docs: 'bg-pink-100 text-pink-700',
+  chore: 'bg-gray-100 text-gray-700'
+};
+
+// Card status badges
+const STATUS_BADGES = {
+  completed: { label: '✅ COMPLETED', classes: 'bg-emerald-100 text-emerald-700' },
+  blocked: { label: '🚫 BLOCKED', classes: 'bg-red-100 text-red-700' },
+  review: { label: '👀 REVIEW', classes: 'bg-amber-100 text-amber-700' },
+  waiting: { label: '⏳ WAITING', classes: 'bg-gray-100 text-gray-700' }
+};
+
+// Sprint header badge per sprint status
+const SPRINT_BADGES = {
+  active: { label: 'In Progress', icon: 'activity', classes: 'bg-blue-100 text-blue-700' },
+  complete: { label: 'Complete', icon: 'check-circle', classes: 'bg-emerald-100 text-emerald-700' },
+  planned: { label: 'Planned', icon: 'calendar', classes: 'bg-gray-100 text-gray-700' }
+};
+
+const CARD_INDENT = ' '.repeat(28);
+
+// Label after story points when workflow-states.json has no estimation.unit
+const DEFAULT_POINTS_UNIT = 'pts';
+
+// Card attributes the board can group into swimlanes (setSwimlanes() in the template)
+const SWIMLANE_FIELDS = ['assignee', 'type', 'priority'];
+
+/**
+ * Render the full board HTML
+ * @param {Object} data - Store data (see kanban-store.js)
+ * @param {Object} options - { templatePath, now (Date, for the sprint charts),
+ *   offline (default: board_render.offline in workflow-states.json),
+ *   swimlanes: card attribute the board opens grouped by (default: board_render.swimlanes) }
+ * @returns {string} - Board HTML
+ */
+function renderBoard(data, options = {}) {
+  const templatePath = options.templatePath || DEFAULT_TEMPLATE_PATH;
+  const template = fs.readFileSync(templatePath, 'utf8');
+  const workflow = loadWorkflowStates();
+  const { tabs: tabMarkers, boards: boardMarkers, metrics: metricsMarkers } = getSprintMarkers(workflow);
+  const columnMarkers = getColumnMarkers(workflow);
+  const doneColumns = workflow.columns.filter(col => (col.next_states || []).length === 0).map(col => col.id);
+  const sprintReport = computeSprintReport(data, { doneColumns, now: options.now });
+  const context = {
+    tasks: data.tasks,
+    doneColumns,
+    wipLimits: workflow.wip_limits || {},
+    pointsUnit: workflow.estimation?.unit || DEFAULT_POINTS_UNIT,
+    burndowns: new Map(sprintReport.burndown.map(burndown => [burndown.sprint, burndown]))
+  };
+
+  const tabTemplate = extractBlock(template, tabMarkers);
+  const boardTemplate = extractBlock(template, boardMarkers);
+
+  const sprints = data.sprints.length > 0
+    ? [...data.sprints].sort((a, b) => a.id - b.id)
+    : [{ id: 1, name: 'Sprint 1', goal: '', status: 'active' }];
+  const shownSprint = (sprints.find(s => s.status === 'active') || sprints[0]).id;
+
+  const tabsHTML = sprints
+    .map(sprint => renderSprintTab(tabTemplate, sprint, sprint.id === shownSprint))
+    .join('\n');
+
+  const boardsHTML = sprints
+    .map(sprint => renderSprintBoard(boardTemplate, sprint, context, columnMarkers, sprint.id === shownSprint))
+    .join('\n');
+
+  let html = replaceBlock(template, tabMarkers, tabsHTML);
+  html = replaceBlock(html, boardMarkers, boardsHTML);
+  if (html.includes(metricsMarkers.start) && html.includes(metricsMarkers.end)) {
+    html = replaceBlock(html, metricsMarkers, renderSprintMetrics(sprintReport));
+  }
+  html = html.replace(/\[PROJECT_NAME\]/g, escapeHtml(data.project?.name || '[PROJECT_NAME]'));
+
+  const swimlanes = options.swimlanes ?? workflow.board_render?.swimlanes ?? null;
+  if (swimlanes && !SWIMLANE_FIELDS.includes(swimlanes)) {
+    console.warn(`⚠️  board_render.swimlanes must be one of ${SWIMLANE_FIELDS.join(', ')} (got "${swimlanes}"); rendering without swimlanes`);
+  }
+  html = html.replace(/\n([ \t]*)\[ARCHIVE_LINK\]/, (match, space) => {
+    const link = renderArchiveLink(data.archive);
+    return link ? `\n${space}${link}` : '';
+  });
+  html = html.replace(/\[POINTS_UNIT\]/g, escapeHtml(context.pointsUnit));
+  html = html.replace(/\[SWIMLANES\]/g, SWIMLANE_FIELDS.includes(swimlanes) ? swimlanes : '');
+
+  const offline = options.offline ?? workflow.board_render?.offline ?? false;
+  if (!offline) return html;
+
+  const result = buildOfflineBoard(html);
+  if (result.unknownIcons.length > 0) {
+    console.warn(`⚠️  Offline board: no SVG for icon(s) ${result.unknownIcons.join(', ')} (add them to kanban-icons.js)`);
+  }
+  if (result.unknownClasses.length > 0) {
+    console.warn(`⚠️  Offline board: no CSS for class(es) ${result.unknownClasses.join(', ')} (add them to kanban-offline.js)`);
+  }
+  return result.html;
+}
+
+/**
+ * Render one card in the Card Template Reference structure
+ * @param {Object} task - Task record
+ * @param {Object} context - { tasks, doneColumns } to mark cards blocked by dependencies [optional]
+ * @returns {string} - Card HTML
+ */
+function renderCard(task, context = null) {
+  const blockers = context && !context.doneColumns.includes(task.column)
+    ? findBlockers(task, context.tasks, context.doneColumns)
+    : [];
+  const hasPoints = task.points !== null && task.points !== undefined;
+  const lines = [
+    `<div class="kanban-card bg-white rounded-lg p-4 shadow-sm border border-gray-100 priority-${escapeHtml(task.priority)}${blockers.length > 0 ? ' card-blocked' : ''}"`,
+    `     data-id="${escapeHtml(task.id)}"`,
+    `     data-type="${escapeHtml(task.type)}"`,
+    `     data-priority="${escapeHtml(task.priority)}"`,
+    `     data-sprint="${escapeHtml(task.sprint)}"`,
+    `     data-created="${escapeHtml(task.created)}"`,
+    `     data-assignee="${escapeHtml(task.assignee)}"`,
+    ...(task.status ? [`     data-status="${escapeHtml(task.status)}"`] : []),
+    ...(hasPoints ? [`     data-points="${escapeHtml(task.points)}"`] : []),
+    ...(task.dependencies.length > 0 ? [`     data-depends-on="${escapeHtml(task.dependencies.join(','))}"`] : []),
+    `     onclick="toggleCard(this)">`,
+    '    <div class="flex items-start justify-between mb-2">',
+    `        <span class="text-xs text-gray-400">#${escapeHtml(task.id)}</span>`
+  ];
+
+  const typeBadge = `<span class="badge ${TYPE_BADGES[task.type] || TYPE_BADGES.chore}">${escapeHtml(task.type)}</span>`;
+  if (hasPoints) {
+    const unit = context?.pointsUnit || DEFAULT_POINTS_UNIT;
+    lines.push(
+      '        <span class="flex items-center gap-1">',
+      `            <span class="card-points badge bg-gray-100 text-gray-700" title="Story points">${escapeHtml(task.points)} ${escapeHtml(unit)}</span>`,
+      `            ${typeBadge}`,
+      '        </span>'
+    );
+  } else {
+    lines.push(`        ${typeBadge}`);
+  }
+
+  lines.push(
+    '    </div>',
+    `    <h4 class="font-medium text-gray-900 text-sm mb-2">${escapeHtml(task.title)}</h4>`
+  );
+
+  if (blockers.length > 0) {
+    const ids = blockers.map(blocker => `#${blocker.id}`).join(', ');
+    lines.push(`    <div class="card-blockers text-xs text-red-600 mb-2" title="Waiting for these tasks to go Live">⛔ Blocked by ${escapeHtml(ids)}</div>`);
+  }
+
+  if (task.status) {
+    const badge = STATUS_BADGES[task.status] || { label: task.status, classes: TYPE_BADGES.chore };
+    lines.push(`    <span class="card-status status-${escapeHtml(task.status)} badge ${badge.classes} mb-2">${escapeHtml(badge.label)}</span>`);
+  }
+
+  if (task.description) {
+    lines.push(`    <p class="text-xs text-gray-500 mb-3">${escapeHtml(task.description)}</p>`);
+  }
+
+  if (task.github && task.github.issue) {
+    // stopPropagation: following a link shouldn't also expand the card
+    const link = (url, text) => url
+      ? `<a href="${escapeHtml(url)}" class="text-blue-600 hover:underline" onclick="event.stopPropagation()">${escapeHtml(text)}</a>`
+      : escapeHtml(text);
+    const pr = task.github.pr;
+    const prLink = pr ? ` · ${link(pr.url, `PR #${pr.number} (${pr.state.replace('_', ' ')})`)}` : '';
+    lines.push(`    <div class="card-github text-xs text-gray-500 mb-2">${link(task.github.url, `Issue #${task.github.issue}`)}${prLink}</div>`);
+  }
+
+  lines.push(
+    '    <div class="flex items-center justify-between text-xs">',
+    `        <span class="text-gray-500">${escapeHtml(task.assignee)}</span>`,
+    `        <span class="text-gray-400">${escapeHtml(task.created)}</span>`,
+    '    </div>'
+  );
+
+  const details = renderCardDetails(task, blockers);
+  if (details.length > 0) {
+    lines.push('    <div class="card-details mt-4 pt-4 border-t border-gray-100">', ...details, '    </div>');
+  }
+
+  lines.push('</div>');
+  return lines.join('\n');
+}
+
+// ====================
+// HELPER FUNCTIONS
+// ====================
+
+// Header link to the archived cards (kanban-archive.js); the archive
+// directory is relative to kanban.json, which sits next to the board by default
+function renderArchiveLink(archive) {
+  const count = archive && archive.ids ? archive.ids.length : 0;
+  if (count === 0) return '';
+  const href = `${archive.directory}/index.html`;
+  return `<a href="${escapeHtml(href)}" class="flex items-center gap-1 text-sm text-gray-500 hover:underline" title="Live cards moved off the board (kanban-archive.js search)">` +
+    `<i data-lucide="archive" class="w-4 h-4"></i>${count} archived</a>`;
+}
+
+function renderCardDetails(task, blockers) {
+  const lines = [];
+
+  if (task.dependencies.length > 0) {
+    const blocking = blockers.map(blocker => blocker.id);
+    lines.push('        <h5 class="text-xs font-semibold text-gray-700 mb-2">Depends On</h5>');
+    lines.push('        <ul class="card-dependencies text-xs text-gray-600 space-y-1 mb-3">');
+    for (const id of task.dependencies) {
+      const color = blocking.includes(id) ? 'text-red-600' : 'text-emerald-700';
+      lines.push(`            <li class="${color}">#${escapeHtml(id)}${blocking.includes(id) ? ' (not Live)' : ' ✓'}</li>`);
+    }
+    lines.push('        </ul>');
+  }
+
+  if (task.acceptance_criteria.length > 0) {
+    lines.push('        <h5 class="text-xs font-semibold text-gray-700 mb-2">Acceptance Criteria</h5>');
+    lines.push('        <ul class="text-xs text-gray-600 space-y-2">');
+    for (const item of task.acceptance_criteria) {
+      lines.push(`            <li class="acceptance-item${item.done ? ' done' : ''}">${escapeHtml(item.text)}</li>`);
+    }
+    lines.push('        </ul>');
+  }
+
+  if (task.notes.length > 0) {
+    const margin = lines.length > 0 ? ' mt-3' : '';
+    lines.push(`        <h5 class="text-xs font-semibold text-gray-700${margin} mb-2">Notes</h5>`);
+    lines.push('        <ul class="card-notes text-xs text-gray-600 space-y-1">');
+    for (const note of task.notes) {
+      lines.push(
+        `            <li class="card-note" data-timestamp="${escapeHtml(note.timestamp)}" data-actor="${escapeHtml(note.actor)}">`,
+        `                <span class="text-gray-400">${escapeHtml(formatTimestamp(note.timestamp))}</span> <span class="font-medium text-gray-700">${escapeHtml(note.actor || '-')}</span> ${escapeHtml(note.text)}`,
+        '            </li>'
+      );
+    }
+    lines.push('        </ul>');
+  }
+
+  if (task.history.length > 0) {
+    const margin = lines.length > 0 ? ' mt-3' : '';
+    lines.push(`        <h5 class="text-xs font-semibold text-gray-700${margin} mb-2">History</h5>`);
+    lines.push('        <ol class="card-history text-xs text-gray-500 space-y-1">');
+    for (const entry of task.history) {
+      lines.push(...renderHistoryItem(entry));
+    }
+    lines.push('        </ol>');
+  }
+
+  return lines;
+}
+
+function renderHistoryItem(entry) {
+  const classes = [`history-item history-${entry.event}`];
+  if (entry.event === 'gates_checked' && !entry.passed) classes.push('history-gates-failed');
+  if (entry.forced) classes.push('history-forced');
+
+  // Failed gate reasons are shown on hover
+  const reasons = (entry.gates || [])
+    .filter(gate => !gate.passed && gate.reason)
+    .map(gate => `${gate.id}: ${gate.reason}`);
+  const title = reasons.length > 0 ? ` title="${escapeHtml(reasons.join('\n'))}"` : '';
+  return [
+    `            <li class="${classes.join(' ')}"${title}>`,
+    `                <span class="text-gray-400">${escapeHtml(formatTimestamp(entry.timestamp))}</span> <span class="font-medium text-gray-700">${escapeHtml(entry.actor || '-')}</span> ${escapeHtml(describeHistoryEntry(entry))}`,
+    '            </li>'
+  ];
+}
+
+function renderSprintTab(tabTemplate, sprint, shown) {
+  let tab = renumberSprint(tabTemplate, sprint.id);
+
+  tab = tab.replace(/class="sprint-tab sprint-tab-active /, () => {
+    if (shown) return 'class="sprint-tab sprint-tab-active ';
+    return sprint.status === 'complete' ? 'class="sprint-tab sprint-tab-complete ' : 'class="sprint-tab ';
+  });
+
+  const label = { active: '(Active)', complete: '(Complete)' }[sprint.status];
+  return label
+    ? tab.replace('(Active)', label)
+    : tab.replace(/\n\s*<span class="text-xs opacity-75">\(Active\)<\/span>/, '');
+}
+
+function renderSprintBoard(boardTemplate, sprint, context, columnMarkers, shown) {
+  let board = renumberSprint(boardTemplate, sprint.id)
+    .replace(`[SPRINT_${sprint.id}_NAME]`, escapeHtml(sprint.name))
+    .replace(`[SPRINT_${sprint.id}_GOAL]`, escapeHtml(sprint.goal || ''));
+
+  if (!shown) {
+    board = board.replace('class="sprint-board"', 'class="sprint-board sprint-hidden"');
+  }
+
+  // Column counters show "count / limit" (see updateCounts() in the template)
+  for (const column of Object.keys(columnMarkers)) {
+    const limit = getColumnWipLimit(context.wipLimits, column, sprint.id);
+    if (limit === null) continue;
+    board = board.replace(
+      new RegExp(`(id="(?:tab-)?${column}-count-${sprint.id}")`, 'g'),
+      `$1 data-wip-limit="${limit}"`
+    );
+  }
+
+  const assigneeWip = renderAssigneeWip(context);
+  board = board.replace(
+    new RegExp(`\\n([ \\t]*)\\[SPRINT_${sprint.id}_WIP\\]`),
+    (match, space) => (assigneeWip ? `\n${space}${assigneeWip}` : '')
+  );
+
+  // Planned sprints get a burndown once they have a start date
+  const burndown = sprint.status !== 'planned' || sprint.start ? context.burndowns.get(sprint.id) : null;
+  board = board.replace(
+    new RegExp(`\\n([ \\t]*)\\[SPRINT_${sprint.id}_BURNDOWN\\]`),
+    (match, space) => (burndown ? `\n${indent(renderBurndown(burndown), space)}` : '')
+  );
+
+  const badge = SPRINT_BADGES[sprint.status] || SPRINT_BADGES.planned;
+  board = board.replace(
+    /<span class="badge bg-blue-100 text-blue-700">\s*<i data-lucide="activity" class="w-3 h-3"><\/i>\s*In Progress\s*<\/span>/,
+    match => match
+      .replace('bg-blue-100 text-blue-700', badge.classes)
+      .replace('"activity"', `"${badge.icon}"`)
+      .replace('In Progress', badge.label)
+  );
+
+  for (const [column, marker] of Object.entries(columnMarkers)) {
+    const startMarker = `${marker.start}_${sprint.id} -->`;
+    const endMarker = `${marker.end}_${sprint.id} -->`;
+    const start = board.indexOf(startMarker);
+    const end = board.indexOf(endMarker);
+    if (start === -1 || end === -1) continue;
+
+    const cards = context.tasks
+      .filter(task => task.sprint === sprint.id && task.column === column)
+      .map(task => indent(renderCard(task, context), CARD_INDENT));
+
+    const content = cards.length > 0 ? `\n${cards.join('\n')}\n${CARD_INDENT}` : `\n\n${CARD_INDENT}`;
+    board = board.slice(0, start + startMarker.length) + content + board.slice(end);
+  }
+
+  return board;
+}
+
+/**
+ * Assignee WIP badges for the sprint header (assignee limits span all sprints)
+ */
+function renderAssigneeWip(context) {
+  const assigneeColumns = context.wipLimits.assignee_columns || [];
+  const counts = new Map();
+  for (const task of context.tasks) {
+    if (task.assignee && assigneeColumns.includes(task.column)) {
+      counts.set(task.assignee, (counts.get(task.assignee) || 0) + 1);
+    }
+  }
+
+  const badges = [...counts.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([assignee, count]) => {
+      const limit = getAssigneeWipLimit(context.wipLimits, assignee);
+      if (limit === null) return null;
+      let classes = 'bg-gray-100 text-gray-700';
+      if (count === limit) classes = 'bg-amber-100 text-amber-700';
+      if (count > limit) classes = 'bg-red-100 text-red-700';
+      return `<span class="badge ${classes}" title="Cards in ${escapeHtml(assigneeColumns.join(', '))}">${escapeHtml(assignee)} ${count} / ${limit}</span>`;
+    })
+    .filter(Boolean);
+
+  if (badges.length === 0) return '';
+  return `<div class="wip-assignees flex flex-wrap items-center gap-2 ml-7 mt-2"><span class="text-xs text-gray-400">WIP</span>${badges.join('')}</div>`;
+}
+
+/**
+ * Collapsible burndown chart under a sprint board
+ */
+function renderBurndown(burndown) {
+  const remaining = [...burndown.days].reverse().find(day => day.remaining !== null);
+  const summary = `${burndown.start} → ${burndown.end} · ${remaining ? remaining.remaining : burndown.scope} of ${burndown.scope} card(s) remaining`;
+  const untracked = burndown.untracked > 0
+    ? `\n    <p class="text-xs text-gray-400 mt-2">${burndown.untracked} Live card(s) without history are not shown.</p>`
+    : '';
+
+  return `<details class="sprint-burndown mt-6 bg-white border border-gray-200 rounded-xl p-5">
+    <summary class="flex items-center gap-2 cursor-pointer text-sm">
+        <i data-lucide="trending-down" class="w-4 h-4 text-gray-400"></i>
+        <span class="font-semibold text-gray-900">Burndown</span>
+        <span class="text-xs text-gray-500">${escapeHtml(summary)}</span>
+    </summary>
+    <div class="mt-4">
+${indent(renderBurndownChart(burndown), '        ')}
+    </div>
+    <div class="flex items-center gap-4 text-xs text-gray-500 mt-2">
+        <span><span class="inline-block w-3 h-0.5 align-middle bg-blue-500"></span> Remaining</span>
+        <span><span class="inline-block w-3 h-0.5 align-middle bg-gray-400"></span> Ideal</span>
+        <span><span class="inline-block w-3 h-0.5 align-middle bg-violet-300"></span> Scope</span>
+    </div>${untracked}
+</details>`;
+}
+
+/**
+ * Sprint Metrics panel: velocity chart and Backlog forecast
+ */
+function renderSprintMetrics(report) {
+  const { velocity, forecast } = report;
+  const velocityHTML = velocity.sprints.length > 0
+    ? `${indent(renderVelocityChart(velocity), '                    ')}
+                    <p class="text-xs text-gray-500 mt-2">Cards done per completed sprint (grey: committed). Average of the last ${Math.min(velocity.window, velocity.sprints.length)}: <strong>${velocity.average}</strong></p>`
+    : '                    <p class="text-sm text-gray-500">No completed sprints yet.</p>';
+
+  let forecastHTML;
+  if (forecast.remaining === 0) {
+    forecastHTML = '<p class="text-sm text-gray-600">No cards waiting to go Live.</p>';
+  } else if (forecast.expected) {
+    forecastHTML = `<p class="text-sm text-gray-600">${forecast.remaining} card(s) not yet Live → about <strong>${forecast.sprints_needed} sprint(s)</strong> of ~${forecast.sprint_days} days.</p>
+                    <p class="text-2xl font-semibold text-gray-900 mt-3">${forecast.expected}</p>
+                    <p class="text-xs text-gray-500 mt-1">Range: ${forecast.optimistic} (best sprint) – ${forecast.pessimistic || 'unknown'} (worst sprint)</p>`;
+  } else {
+    forecastHTML = `<p class="text-sm text-gray-600">${forecast.remaining} card(s) not yet Live.</p>
+                    <p class="text-xs text-gray-500 mt-1">No forecast: ${escapeHtml(forecast.reason)}.</p>`;
+  }
+
+  return `        <div id="sprint-metrics" class="mt-10 bg-white border border-gray-200 rounded-xl p-6">
+            <h3 class="font-semibold text-gray-900 mb-4">Sprint Metrics</h3>
+            <div class="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div class="lg:col-span-2">
+                    <h4 class="text-sm font-medium text-gray-700 mb-2">Velocity</h4>
+${velocityHTML}
+                </div>
+                <div>
+                    <h4 class="text-sm font-medium text-gray-700 mb-2">Forecast</h4>
+                    ${forecastHTML}
+                </div>
+            </div>
+        </div>`;
+}
+
+/**
+ * Rewrite the Sprint 1 references in a template block for another sprint
+ */
+function renumberSprint(block, sprintId) {
+  return block
+    .replace(/(id="[\w-]*)-1"/g, `$1-${sprintId}"`)
+    .replace(/data-sprint="1"/g, `data-sprint="${sprintId}"`)
+    .replace(/(showSprint|showAll)\(1\)/g, `$1(${sprintId})`)
+    .replace(/showPhase\('(\w+)', 1\)/g, `showPhase('$1', ${sprintId})`)
+    .replace(/(KANBAN_\w+?_(?:START|END))_1 -->/g, `$1_${sprintId} -->`)
+    .replace(/\[SPRINT_1_(\w+)\]/g, `[SPRINT_${sprintId}_$1]`)
+    .replace(/Sprint 1\b/g, `Sprint ${sprintId}`);
+}
+
+function getSprintMarkers(workflow) {
+  const config = workflow.sprint_config || {};
+  return {
+    tabs: config.tab_markers || { start: '<!-- SPRINT_TABS_START -->', end: '<!-- SPRINT_TABS_END -->' },
+    boards: config.board_markers || { start: '<!-- SPRINT_BOARDS_START -->', end: '<!-- SPRINT_BOARDS_END -->' },
+    metrics: config.metrics_markers || { start: '<!-- SPRINT_METRICS_START -->', end: '<!-- SPRINT_METRICS_END -->' }
+  };
+}
+
+function extractBlock(html, markers) {
+  const start = html.indexOf(markers.start);
+  const end = html.indexOf(markers.end);
+  if (start === -1 || end === -1) {
+    throw new Error(`Template is missing ${markers.start} / ${markers.end} markers`);
+  }
+  return html.slice(start + markers.start.length, end).replace(/^\s*\n/, '').replace(/\n\s*$/, '');
+}
+
+function replaceBlock(html, markers, content) {
+  const start = html.indexOf(markers.start) + markers.start.length;
+  const end = html.indexOf(markers.end);
+  const endIndent = html.slice(0, end).match(/[ \t]*$/)[0];
+  return `${html.slice(0, start)}\n${content}\n${endIndent}${html.slice(end)}`;
+}
+
+function formatTimestamp(timestamp) {
+  return String(timestamp || '').replace('T', ' ').slice(0, 16);
+}
+
+function indent(text, prefix) {
+  return text.split('\n').map(line => prefix + line).join('\n');
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = { renderBoard, renderCard, escapeHtml, DEFAULT_TEMPLATE_PATH, TYPE_BADGES, STATUS_BADGES };
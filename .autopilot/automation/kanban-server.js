@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+/**
+ * Kanban Board Server
+ * ===================
+ * Serves kanban_dev.html on a local port with drag-and-drop, edit and add
+ * (plain Node, no dependencies, no external service).
+ *
+ * Every change goes through the same rules as kanban-updater.js: the
+ * next_states state machine, the check_task_blockers gate, WIP limits and
+ * card_properties validation (KanbanStore.checkMove/checkAdd/checkEdit).
+ * Refused moves can be forced from the board after a confirmation; the
+ * override is recorded in the card history like --force on the CLI.
+ * Changes are written to kanban.json and kanban_dev.html is re-rendered,
+ * exactly as the CLI does.
+ *
+ * Usage:
+ *   node kanban-server.js [options]
+ *
+ * Options:
+ *   --kanban-file   Path to kanban HTML file [optional, data file is kanban.json next to it]
+ *   --data-file     Path to kanban.json [optional]
+ *   --template      Path to kanban HTML template [optional]
+ *   --port          Port [optional, default: 4180]
+ *   --host          Interface to listen on [optional, default: 127.0.0.1]
+ *   --actor         Recorded in card history for changes made on the board [optional, default: human]
+ *
+ * API (JSON):
+ *   GET   /api/board               Board data plus columns, transitions and card_properties
+ *   POST  /api/tasks               Create a card: { title, type, priority, sprint, column, ... }
+ *   PATCH /api/tasks/:id           Change card fields (same fields as `kanban-updater.js edit`)
+ *   POST  /api/tasks/:id/move      { to_column, sprint?, status?, note?, force? }
+ *
+ * Errors: 400 { error, errors } for invalid input, 404 for unknown cards,
+ * 409 { error, problems, can_force: true } when a rule refuses the change,
+ * 503 when other writers kept kanban.json busy (try again). Requests never
+ * block the server while waiting: a held lock or a conflicting write is
+ * retried a few times on a timer.
+ *
+ * Only the board's own page may use the API: requests must name the server
+ * as Host (localhost or 127.0.0.1 on its port, against DNS rebinding), may
+ * only come from that origin (403 otherwise), and changes must be sent as
+ * application/json (415 otherwise), which browsers never send cross-site
+ * without a CORS preflight the server does not answer.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { KanbanStore, KanbanConflictError, describeWipViolation, retryOnConflictAsync, DEFAULT_ACTOR, EDITABLE_FIELDS } = require('./kanban-store');
+const { FileLockError } = require('./kanban-files');
+const { loadQualityGates } = require('./kanban-html');
+const { transitionChecksBlockers } = require('./gate-plugins');
+const { renderBoard } = require('./kanban-renderer');
+
+const DEFAULT_PORT = 4180;
+const DEFAULT_HOST = '127.0.0.1';
+
+// Browser script added to the served board (not to kanban_dev.html on disk)
+const CLIENT_SCRIPT_FILE = path.join(__dirname, '..', 'templates', 'kanban-server-client.js');
+
+// Request bodies larger than this are refused
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Host names the server answers to (plus --host when it names one interface)
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1'];
+
+// Bind addresses that stand for every interface rather than a name to be reached by
+const WILDCARD_HOSTS = ['0.0.0.0', '::', '[::]'];
+
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Create the board server (not yet listening)
+ * @param {Object} options - { kanbanFile, dataFile, templatePath, actor, host }
+ * @returns {http.Server}
+ */
+function createServer(options) {
+  const actor = options.actor || DEFAULT_ACTOR;
+  const hostnames = options.host && !WILDCARD_HOSTS.includes(options.host)
+    ? [...new Set([...LOCAL_HOSTNAMES, options.host.toLowerCase()])]
+    : LOCAL_HOSTNAMES;
+
+  // The store is re-read on every request so CLI and Monitor changes show up
+  const loadStore = () => {
+    if (!fs.existsSync(options.dataFile)) {
+      throw new HttpError(500, `Kanban data file not found: ${options.dataFile}`);
+    }
+    return new KanbanStore(options.dataFile, { actor }).load();
+  };
+
+  // Never wait for the lock here: that would stall every other request
+  const writeBoard = store => {
+    store.save({
+      views: [{ file: options.kanbanFile, render: data => renderBoard(data, { templatePath: options.templatePath }) }],
+      lock: { timeout: 0 }
+    });
+  };
+
+  const routes = [
+    ['GET', /^\/$/, () => {
+      const store = loadStore();
+      return { html: withClientScript(renderBoard(store.data, { templatePath: options.templatePath })) };
+    }],
+    ['GET', /^\/api\/board$/, () => boardPayload(loadStore())],
+    ['POST', /^\/api\/tasks$/, (params, body) => {
+      const store = loadStore();
+      const task = addTask(store, body);
+      writeBoard(store);
+      return { status: 201, json: { task } };
+    }],
+    ['PATCH', /^\/api\/tasks\/([\w-]+)$/, ([taskId], body) => {
+      const store = loadStore();
+      const result = editTask(store, taskId, body);
+      if (Object.keys(result.changed).length > 0) writeBoard(store);
+      return result;
+    }],
+    ['POST', /^\/api\/tasks\/([\w-]+)\/move$/, ([taskId], body) => {
+      const store = loadStore();
+      const result = moveTask(store, taskId, body);
+      writeBoard(store);
+      return result;
+    }]
+  ];
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      const route = routes.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+      if (!route) {
+        const known = routes.some(([, pattern]) => pattern.test(url.pathname));
+        throw new HttpError(known ? 405 : 404, known ? `${req.method} not allowed on ${url.pathname}` : `Not found: ${url.pathname}`);
+      }
+
+      checkRequestSource(req, hostnames);
+      const params = url.pathname.match(route[1]).slice(1);
+      const body = req.method === 'GET' ? {} : await readJsonBody(req);
+      // A change made by the CLI or Monitor in the meantime is re-applied on
+      // fresh data, and a held lock is tried again, both after a timer
+      const result = await retryOnConflictAsync(() => route[2](params, body), { retryOn: isBusy });
+
+      if (result.html !== undefined) {
+        send(res, 200, 'text/html; charset=utf-8', result.html);
+      } else {
+        send(res, result.status || 200, 'application/json', JSON.stringify(result.json || result));
+      }
+      if (req.method !== 'GET') {
+        console.log(`✅ ${req.method} ${url.pathname} ${summarizeChange(body)}`);
+      }
+    } catch (error) {
+      // Other writers kept the board busy: the client may simply try again
+      const status = error instanceof HttpError ? error.status : (isBusy(error) ? 503 : 500);
+      if (status === 500) console.error(`❌ ${req.method} ${url.pathname}: ${error.message}`);
+      send(res, status, 'application/json', JSON.stringify({ error: error.message, ...(error.details || {}) }));
+    }
+  });
+}
+
+/**
+ * Another writer holds or just changed kanban.json
+ */
+function isBusy(error) {
+  return error instanceof KanbanConflictError || error instanceof FileLockError;
+}
+
+/**
+ * Board data for the browser: store contents plus the workflow rules
+ */
+function boardPayload(store) {
+  return {
+    project: store.data.project,
+    sprints: store.sprints,
+    tasks: store.tasks,
+    columns: store.workflow.columns.map(col => ({ id: col.id, name: col.name, next_states: col.next_states || [] })),
+    card_properties: store.workflow.card_properties || {},
+    editable_fields: EDITABLE_FIELDS
+  };
+}
+
+function addTask(store, body) {
+  const fields = cardFields(body, [...EDITABLE_FIELDS, 'column']);
+  const { errors, wipViolations } = store.checkAdd(fields);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid card', { errors });
+  }
+  refuseUnlessForced(body, wipViolations.map(violation => `WIP limit reached: ${violation.scope} ${describeWipViolation(violation)}`));
+
+  return store.addTask(fields);
+}
+
+function editTask(store, taskId, body) {
+  if (!store.getTask(taskId)) {
+    throw new HttpError(404, `Task #${taskId} does not exist in kanban`);
+  }
+
+  const fields = cardFields(body, EDITABLE_FIELDS);
+  if (Object.keys(fields).length === 0) {
+    throw new HttpError(400, 'Nothing to change', { errors: [`Pass at least one of: ${EDITABLE_FIELDS.join(', ')}`] });
+  }
+
+  const { errors, wipViolations } = store.checkEdit(taskId, fields);
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid card', { errors });
+  }
+  refuseUnlessForced(body, wipViolations.map(violation => `WIP limit reached: ${violation.scope} ${describeWipViolation(violation)}`));
+
+  return store.updateTask(taskId, fields);
+}
+
+function moveTask(store, taskId, body) {
+  const task = store.getTask(taskId);
+  if (!task) {
+    throw new HttpError(404, `Task #${taskId} does not exist in kanban`);
+  }
+
+  const errors = [];
+  const toColumn = body.to_column;
+  if (!store.columnIds.includes(toColumn)) {
+    errors.push(`Invalid to_column: "${toColumn}". Must be one of: ${store.columnIds.join(', ')}`);
+  }
+  if (body.sprint !== undefined && body.sprint !== null && !/^[1-9]\d*$/.test(String(body.sprint))) {
+    errors.push(`Invalid sprint: "${body.sprint}". Must be a sprint number (e.g., 2)`);
+  }
+  if (body.sprint !== undefined && body.sprint !== null && !store.getSprint(body.sprint)) {
+    errors.push(`Sprint ${body.sprint} does not exist in kanban`);
+  }
+  if (body.status) {
+    errors.push(...store.validateFields({ status: body.status }));
+  }
+  if (errors.length > 0) {
+    throw new HttpError(400, 'Invalid move', { errors });
+  }
+
+  const toSprint = body.sprint !== undefined && body.sprint !== null ? Number(body.sprint) : task.sprint;
+  const qualityGates = loadQualityGates();
+  const { allowed, targets, blockers, wipViolations } = store.checkMove(taskId, toColumn, toSprint, {
+    checksBlockers: (from, to) => transitionChecksBlockers(qualityGates, from, to)
+  });
+  refuseUnlessForced(body, [
+    ...(allowed ? [] : [`Transition not allowed: "${task.column}" → "${toColumn}" (allowed: ${targets.join(', ') || 'none - final column'})`]),
+    ...blockers.map(blocker => `Blocked by #${blocker.id} - ${blocker.title} [${blocker.column}]`),
+    ...wipViolations.map(violation => `WIP limit reached: ${violation.scope} ${describeWipViolation(violation)}`)
+  ]);
+
+  const result = store.moveTask(taskId, toColumn, toSprint, {
+    force: body.force === true,
+    blockedBy: blockers.map(blocker => blocker.id)
+  });
+  if (body.status) store.setStatus(taskId, body.status);
+  if (typeof body.note === 'string' && body.note.trim()) store.addNote(taskId, body.note);
+
+  return result;
+}
+
+/**
+ * Problems refuse the change (409) unless the request says force: true
+ */
+function refuseUnlessForced(body, problems) {
+  if (problems.length > 0 && body.force !== true) {
+    throw new HttpError(409, problems[0], { problems, can_force: true });
+  }
+}
+
+/**
+ * Card fields from a request body, in the shape validateFields/addTask expect
+ */
+function cardFields(body, allowedFields) {
+  const fields = {};
+  for (const field of allowedFields) {
+    if (body[field] === undefined) continue;
+    const value = body[field];
+
+    if (field === 'acceptance_criteria') {
+      const items = Array.isArray(value) ? value : String(value).split('|');
+      fields[field] = items
+        .map(item => (typeof item === 'object' && item !== null ? { text: String(item.text || '').trim(), done: Boolean(item.done) } : { text: String(item).trim(), done: false }))
+        .filter(item => item.text);
+    } else if (field === 'dependencies') {
+      const ids = Array.isArray(value) ? value : String(value).split(',');
+      fields[field] = ids.map(id => String(id).trim().replace('#', '')).filter(Boolean);
+    } else if (field === 'status') {
+      fields[field] = value === '' || value === null ? null : String(value);
+    } else {
+      fields[field] = value === null ? '' : String(value);
+    }
+  }
+  return fields;
+}
+
+function withClientScript(html) {
+  const script = fs.readFileSync(CLIENT_SCRIPT_FILE, 'utf8');
+  return html.replace('</body>', `<script>\n${script}\n</script>\n</body>`);
+}
+
+/**
+ * Refuse requests that did not come from the board's own page
+ * Host must be one of hostnames on the port the request arrived on, Origin
+ * (when sent) must be that same http origin, and changes must be JSON.
+ * @param {http.IncomingMessage} req - Request
+ * @param {Array} hostnames - Host names the server answers to
+ * @throws {HttpError} 403 or 415
+ */
+function checkRequestSource(req, hostnames) {
+  const port = req.socket.localPort;
+  const allowedHosts = hostnames.flatMap(name => (port === 80 ? [name, `${name}:${port}`] : [`${name}:${port}`]));
+
+  const host = (req.headers.host || '').toLowerCase();
+  if (!allowedHosts.includes(host)) {
+    throw new HttpError(403, `Host "${req.headers.host || ''}" not allowed (use http://localhost:${port}/)`);
+  }
+
+  const origin = req.headers.origin;
+  if (origin !== undefined && origin.toLowerCase() !== `http://${host}`) {
+    throw new HttpError(403, `Origin "${origin}" not allowed`);
+  }
+
+  if (req.method !== 'GET') {
+    const mediaType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (mediaType !== 'application/json') {
+      throw new HttpError(415, `${req.method} requests must be sent as application/json`);
+    }
+  }
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (!text.trim()) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+          return reject(new HttpError(400, 'Request body must be a JSON object'));
+        }
+        resolve(body);
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+  res.end(body);
+}
+
+function summarizeChange(body) {
+  const parts = Object.entries(body)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => `${key}=${JSON.stringify(value)}`);
+  return parts.join(' ');
+}
+
+// ====================
+// CLI
+// ====================
+
+function main() {
+  const args = process.argv.slice(2).reduce((acc, arg) => {
+    if (!arg.startsWith('-')) return acc;
+    const eqIndex = arg.indexOf('=');
+    const key = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+    const value = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+    acc[key.replace(/^--?/, '')] = value?.replace(/^["']|["']$/g, '') || true;
+    return acc;
+  }, {});
+
+  if (args['help'] || args['h']) {
+    console.log(`
+🖱️  Kanban Board Server
+
+USAGE:
+  node kanban-server.js [options]
+
+OPTIONS:
+  --kanban-file   Path to kanban HTML file (data: kanban.json next to it)
+  --data-file     Path to kanban.json
+  --template      Custom kanban HTML template for rendering
+  --port          Port (default: ${DEFAULT_PORT})
+  --host          Interface to listen on (default: ${DEFAULT_HOST})
+  --actor         Recorded in card history (default: ${DEFAULT_ACTOR})
+  --help, -h      Show this help message
+
+ON THE BOARD:
+  Drag a card      Move it (same rules as kanban-updater.js move; refused moves can be forced)
+  Double-click     Edit a card's fields
+  + Add card       Create a card in the visible sprint's Backlog
+
+EXAMPLES:
+  node kanban-server.js
+  node kanban-server.js --port=8080 --actor="[Codey]"
+    `);
+    process.exit(0);
+  }
+
+  const kanbanFile = args['kanban-file'] || path.join(process.cwd(), 'docs', 'kanban', 'kanban_dev.html');
+  const dataFile = args['data-file'] || KanbanStore.pathForBoard(kanbanFile);
+  const port = args['port'] !== undefined ? Number(args['port']) : DEFAULT_PORT;
+  const host = typeof args['host'] === 'string' ? args['host'] : DEFAULT_HOST;
+
+  const errors = [];
+  if (!fs.existsSync(dataFile)) {
+    errors.push(`Kanban data file not found: ${dataFile}`);
+    if (fs.existsSync(kanbanFile)) {
+      errors.push(`Convert the existing board first: node kanban-updater.js import-html --kanban-file="${kanbanFile}"`);
+    }
+  }
+  if (!Number.isInteger(port) || port < 0 || port > 65535) errors.push(`Invalid --port: "${args['port']}"`);
+  if (errors.length > 0) {
+    errors.forEach(err => console.error(`❌ ${err}`));
+    process.exit(1);
+  }
+
+  const server = createServer({
+    kanbanFile,
+    dataFile,
+    templatePath: typeof args['template'] === 'string' ? args['template'] : undefined,
+    actor: typeof args['actor'] === 'string' && args['actor'].trim() ? args['actor'].trim() : DEFAULT_ACTOR,
+    host
+  });
+
+  server.on('error', error => {
+    console.error(`❌ ${error.code === 'EADDRINUSE' ? `Port ${port} is already in use (try --port=...)` : error.message}`);
+    process.exit(1);
+  });
+
+  server.listen(port, host, () => {
+    console.log(`🖱️  Kanban board: http://${host}:${server.address().port}/`);
+    console.log(`💾 Data: ${dataFile}`);
+    console.log('   Press Ctrl+C to stop');
+  });
+
+  process.on('SIGINT', () => {
+    server.close();
+    process.exit(0);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  createServer,
+  HttpError,
+  DEFAULT_PORT
+};
@@ -0,0 +1,1250 @@
+/**
+ * Kanban Task Store
+ * =================
+ * kanban.json is the source of truth for tasks; kanban_dev.html is a view
+ * rendered from it (see kanban-renderer.js)
+ *
+ * Store layout:
+ *   {
+ *     "_version": "1.0.0",
+ *     "_updated": "2026-01-15T09:00:00.000Z",
+ *     "project": { "name": "My Project" },
+ *     "sprints": [{ "id": 1, "name": "Foundation", "goal": "...", "status": "active",
+ *                   "start": "2026-01-12", "end": "2026-01-23" }],
+ *     "tasks": [{ "id": "001", "title": "...", "column": "backlog", ... }]
+ *   }
+ *
+ * Each task keeps an append-only `history` (audit trail). Entries carry a
+ * timestamp, the event, the actor that caused it (a human, Monitor, or a
+ * persona such as "[Syntax]") and event details:
+ *   created         { column, sprint }
+ *   edited          { changes: { field: { from, to } } }
+ *   column_changed  { from, to, from_sprint?, to_sprint?, forced?, blocked_by?, wip_exceeded? }
+ *   status_changed  { from, to }
+ *   gates_checked   { from, to, passed, gates: [{ id, name, passed, reason? }], branch?, commit? }
+ *   notes_pruned    { count }
+ *   github_linked   { issue, url } (issue null when unlinked)
+ *   archived        { file, reason } (entry kept in the archive file)
+ *   restored        { file }
+ *
+ * Notes (`notes`: [{ timestamp, actor, text }]) are kept apart from the
+ * description, so progress notes never overwrite the PRD description.
+ *
+ * `points` is the story point estimate (null until estimated). Sizes from
+ * `estimation.sizes` in workflow-states.json ("M") are stored as their
+ * point values; see parsePoints().
+ *
+ * `dependencies` lists the IDs a task depends on. A task is blocked while
+ * any dependency has not reached a final column (one with no next_states,
+ * i.e. Live).
+ *
+ * Sprint `start`/`end` (YYYY-MM-DD) are optional; updateSprint() fills them
+ * in when a sprint becomes active or complete. Burndown and velocity
+ * (kanban-metrics.js) use them as the sprint window.
+ *
+ * `github` links a task to its GitHub issue and the pull request of its
+ * feature branch, kept up to date by kanban-github.js:
+ *   { issue, url, pr: { number, state, url } | null, synced }
+ *   pr.state: open, draft, approved, changes_requested, merged or closed
+ *
+ * `archive` lists the IDs of cards moved out to archive files by
+ * kanban-archive.js, so their IDs are never handed out again:
+ *   { directory: "archive", ids: ["003", ...] }
+ *
+ * WIP limits (wip_limits in workflow-states.json) cap cards per column of a
+ * sprint board and per assignee; see checkWipLimits().
+ *
+ * Writes are safe against concurrent writers (Monitor, the CLI, the board
+ * server): save() holds kanban.json.lock, refuses with KanbanConflictError
+ * if the file changed since load(), and replaces files atomically (see
+ * kanban-files.js). Callers re-run their change on fresh data with
+ * retryOnConflict(), or retryOnConflictAsync() where they must not block.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWorkflowStates } = require('./kanban-html');
+const { withFileLock, writeFileAtomic, fingerprint, hashContent, sleep } = require('./kanban-files');
+
+const STORE_VERSION = '1.0.0';
+
+// File name of the store, kept next to kanban_dev.html by default
+const DEFAULT_DATA_FILENAME = 'kanban.json';
+
+// Sprint lifecycle values
+const SPRINT_STATUSES = ['planned', 'active', 'complete'];
+
+// Sprint fields that updateSprint may change
+const SPRINT_FIELDS = ['name', 'goal', 'status', 'start', 'end'];
+
+// Fields that `edit` may change (column changes go through moveTask)
+const EDITABLE_FIELDS = ['title', 'description', 'type', 'priority', 'sprint', 'assignee', 'created', 'status', 'points', 'acceptance_criteria', 'dependencies'];
+
+// History event types (see the store layout above)
+const HISTORY_EVENTS = ['created', 'edited', 'column_changed', 'status_changed', 'gates_checked', 'notes_pruned', 'github_linked', 'archived', 'restored'];
+
+// Actor recorded when none is given
+const DEFAULT_ACTOR = 'human';
+
+// Attempts retryOnConflict() makes before giving up
+const MAX_WRITE_ATTEMPTS = 5;
+
+// Base pause before a retry; grows per attempt, with jitter so writers spread out
+const RETRY_DELAY_MS = 100;
+
+class KanbanConflictError extends Error {
+  constructor(filePath) {
+    super(`${filePath} was changed by another process since it was loaded`);
+    this.name = 'KanbanConflictError';
+    this.filePath = filePath;
+  }
+}
+
+class KanbanStore {
+  /**
+   * @param {string} filePath - Path to kanban.json
+   * @param {Object} options - { actor: who is making changes (default "human") }
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.actor = options.actor || DEFAULT_ACTOR;
+    this.workflow = loadWorkflowStates();
+    this.data = null;
+    // Hash of kanban.json as loaded; undefined when the data did not come from disk
+    this.loadedFingerprint = undefined;
+  }
+
+  /**
+   * Resolve the store path that belongs to a kanban HTML file
+   * @param {string} htmlPath - Path to kanban_dev.html
+   * @returns {string} - Path to kanban.json in the same directory
+   */
+  static pathForBoard(htmlPath) {
+    return path.join(path.dirname(htmlPath), DEFAULT_DATA_FILENAME);
+  }
+
+  /**
+   * Build a store object with no tasks
+   * @param {Object} project - Project info ({ name })
+   * @returns {Object} - Empty store data
+   */
+  static createEmpty(project = {}) {
+    return {
+      _version: STORE_VERSION,
+      _updated: new Date().toISOString(),
+      project: { name: project.name || '[PROJECT_NAME]' },
+      sprints: [],
+      tasks: []
+    };
+  }
+
+  /**
+   * Fill in defaults for a task record
+   * @param {Object} fields - Known task fields
+   * @returns {Object} - Task with every store field present
+   */
+  static normalizeTask(fields) {
+    return {
+      id: String(fields.id),
+      title: fields.title || '',
+      description: fields.description || '',
+      type: fields.type || 'feature',
+      priority: fields.priority || 'medium',
+      sprint: fields.sprint !== undefined && fields.sprint !== null ? Number(fields.sprint) : 1,
+      assignee: fields.assignee || '',
+      points: fields.points !== undefined && fields.points !== null ? Number(fields.points) : null,
+      column: fields.column || 'backlog',
+      status: fields.status || null,
+      created: fields.created || new Date().toISOString().slice(0, 10),
+      acceptance_criteria: fields.acceptance_criteria || [],
+      dependencies: (fields.dependencies || []).map(String),
+      notes: fields.notes || [],
+      github: fields.github || null,
+      history: fields.history || []
+    };
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Load kanban.json from disk
+   */
+  load() {
+    if (!this.exists()) {
+      throw new Error(`Kanban data file not found: ${this.filePath}`);
+    }
+    const content = fs.readFileSync(this.filePath, 'utf8');
+    try {
+      this.data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Kanban data file is not valid JSON: ${this.filePath} (${error.message})`);
+    }
+    this.loadedFingerprint = hashContent(content);
+    this.data.sprints = this.data.sprints || [];
+    this.data.tasks = (this.data.tasks || []).map(task => KanbanStore.normalizeTask(task));
+    return this;
+  }
+
+  /**
+   * Replace the in-memory data (e.g., from an import)
+   */
+  setData(data) {
+    this.data = data;
+    return this;
+  }
+
+  /**
+   * Write kanban.json to disk, plus views rendered from it (kanban_dev.html)
+   * Throws KanbanConflictError, writing nothing, if kanban.json changed
+   * since load(). Data set with setData() overwrites the file.
+   * @param {Object} options - { views: [{ file, render(data) => string, before? }], lock }
+   *   Views with `before` are written ahead of kanban.json (archive files,
+   *   so a crash in between leaves cards duplicated rather than lost).
+   *   lock is passed to withFileLock (e.g. { timeout: 0 } to fail at once
+   *   with FileLockError rather than wait for another writer).
+   */
+  save(options = {}) {
+    this.data._version = STORE_VERSION;
+    this.data._updated = new Date().toISOString();
+    const content = JSON.stringify(this.data, null, 2) + '\n';
+    this.writeFiles(content, options.views, options.lock);
+    this.loadedFingerprint = hashContent(content);
+    return this;
+  }
+
+  /**
+   * Re-render views of the loaded data without changing kanban.json
+   * Throws KanbanConflictError if kanban.json changed since load().
+   * @param {Array} views - [{ file, render(data) => string }]
+   */
+  saveViews(views) {
+    this.writeFiles(null, views);
+    return this;
+  }
+
+  /**
+   * Write kanban.json (unless content is null) and the views under the store lock
+   */
+  writeFiles(content, views = [], lock = {}) {
+    // Render first so a failing template leaves every file untouched
+    const rendered = views.map(view => ({ file: view.file, content: view.render(this.data), before: Boolean(view.before) }));
+
+    withFileLock(this.filePath, () => {
+      if (this.loadedFingerprint !== undefined && fingerprint(this.filePath) !== this.loadedFingerprint) {
+        throw new KanbanConflictError(this.filePath);
+      }
+      rendered.filter(view => view.before).forEach(view => writeFileAtomic(view.file, view.content));
+      if (content !== null) writeFileAtomic(this.filePath, content);
+      rendered.filter(view => !view.before).forEach(view => writeFileAtomic(view.file, view.content));
+    }, lock);
+  }
+
+  get tasks() {
+    return this.data.tasks;
+  }
+
+  get sprints() {
+    return this.data.sprints;
+  }
+
+  get columnIds() {
+    return this.workflow.columns.map(col => col.id);
+  }
+
+  /**
+   * Final columns (no next_states) - dependencies there no longer block
+   */
+  get doneColumns() {
+    return this.workflow.columns.filter(col => (col.next_states || []).length === 0).map(col => col.id);
+  }
+
+  getTask(taskId) {
+    return this.data.tasks.find(task => task.id === String(taskId)) || null;
+  }
+
+  /**
+   * IDs of cards moved to archive files (see kanban-archive.js)
+   */
+  get archivedIds() {
+    return (this.data.archive && this.data.archive.ids) || [];
+  }
+
+  isArchived(taskId) {
+    return this.archivedIds.includes(String(taskId));
+  }
+
+  getSprint(sprintId) {
+    return this.data.sprints.find(sprint => sprint.id === Number(sprintId)) || null;
+  }
+
+  /**
+   * Add a sprint board if it does not exist yet
+   * @param {number} sprintId - Sprint number
+   * @returns {boolean} - True if a sprint was created
+   */
+  ensureSprint(sprintId) {
+    if (this.getSprint(sprintId)) return false;
+
+    const id = Number(sprintId);
+    this.data.sprints.push({
+      id,
+      name: `Sprint ${id}`,
+      goal: '',
+      status: this.data.sprints.length === 0 ? 'active' : 'planned'
+    });
+    this.data.sprints.sort((a, b) => a.id - b.id);
+    return true;
+  }
+
+  /**
+   * Validate sprint changes (see updateSprint)
+   * @param {number} sprintId - Sprint number
+   * @param {Object} changes - Fields to change ('' clears start/end)
+   * @returns {Array} - Error messages (empty when valid)
+   */
+  validateSprintFields(sprintId, changes) {
+    const errors = [];
+    if (!/^[1-9]\d*$/.test(String(sprintId))) {
+      errors.push(`Invalid sprint: "${sprintId}". Must be a sprint number (e.g., 2)`);
+    }
+    for (const field of Object.keys(changes)) {
+      if (!SPRINT_FIELDS.includes(field)) errors.push(`Unknown sprint field: "${field}"`);
+    }
+    if (changes.status !== undefined && !SPRINT_STATUSES.includes(changes.status)) {
+      errors.push(`Invalid sprint status: "${changes.status}". Must be one of: ${SPRINT_STATUSES.join(', ')}`);
+    }
+    for (const field of ['start', 'end']) {
+      if (changes[field] !== undefined && changes[field] !== '' && !/^\d{4}-\d{2}-\d{2}$/.test(changes[field])) {
+        errors.push(`Invalid sprint ${field}: "${changes[field]}". Use YYYY-MM-DD`);
+      }
+    }
+    if (errors.length > 0) return errors;
+
+    const current = this.getSprint(sprintId) || {};
+    const start = changes.start !== undefined ? changes.start : current.start;
+    const end = changes.end !== undefined ? changes.end : current.end;
+    if (start && end && end < start) {
+      errors.push(`Sprint ${sprintId} would end (${end}) before it starts (${start})`);
+    }
+    return errors;
+  }
+
+  /**
+   * Change sprint fields (name, goal, status, start, end); creates the sprint if needed
+   * Becoming active sets a missing start date, becoming complete a missing end date.
+   * @param {number} sprintId - Sprint number
+   * @param {Object} changes - Fields to change ('' clears start/end)
+   * @returns {Object} - { sprint, changed: { field: { from, to } } }
+   */
+  updateSprint(sprintId, changes) {
+    const errors = this.validateSprintFields(sprintId, changes);
+    if (errors.length > 0) {
+      throw new Error(errors.join('\n'));
+    }
+
+    this.ensureSprint(sprintId);
+    const sprint = this.getSprint(sprintId);
+    const next = { ...changes };
+    const today = new Date().toISOString().slice(0, 10);
+    if (next.status === 'active' && !sprint.start && next.start === undefined) next.start = today;
+    if (next.status === 'complete' && !sprint.end && next.end === undefined) next.end = today;
+
+    const changed = {};
+    for (const [field, value] of Object.entries(next)) {
+      const from = sprint[field] === undefined ? null : sprint[field];
+      if (value === '' && (field === 'start' || field === 'end')) {
+        if (from !== null) changed[field] = { from, to: null };
+        delete sprint[field];
+        continue;
+      }
+      if (from === value) continue;
+      changed[field] = { from, to: value };
+      sprint[field] = value;
+    }
+
+    return { sprint, changed };
+  }
+
+  /**
+   * Next free numeric task ID, zero-padded like the existing IDs (min. 3 digits)
+   * @returns {string} - e.g., "014"
+   */
+  nextTaskId() {
+    // Archived IDs count too, so a new card never takes an archived card's ID
+    const numericIds = [...this.data.tasks.map(task => task.id), ...this.archivedIds].filter(id => /^\d+$/.test(id));
+    const max = numericIds.reduce((highest, id) => Math.max(highest, parseInt(id, 10)), 0);
+    const width = Math.max(3, ...numericIds.map(id => id.length));
+    return String(max + 1).padStart(width, '0');
+  }
+
+  /**
+   * Check task fields against card_properties in workflow-states.json
+   * Only the fields present in `fields` are checked.
+   * @param {Object} fields - Task fields
+   * @returns {Array} - Error messages (empty when valid)
+   */
+  validateFields(fields) {
+    const errors = [];
+    const props = this.workflow.card_properties || {};
+
+    const checkListed = (field, list) => {
+      if (fields[field] === undefined || fields[field] === null) return;
+      const ids = (list || []).map(item => item.id);
+      if (!ids.includes(fields[field])) {
+        errors.push(`Invalid ${field}: "${fields[field]}". Must be one of: ${ids.join(', ')}`);
+      }
+    };
+
+    checkListed('type', props.task_types);
+    checkListed('priority', props.priorities);
+    checkListed('status', props.statuses);
+
+    if (fields.id !== undefined && !/^\d+$/.test(String(fields.id))) {
+      errors.push(`Invalid id: "${fields.id}". Task IDs are numeric (e.g., "014")`);
+    }
+
+    if (fields.title !== undefined && !String(fields.title).trim()) {
+      errors.push('Title cannot be empty');
+    }
+
+    if (fields.column !== undefined && !this.columnIds.includes(fields.column)) {
+      errors.push(`Invalid column: "${fields.column}". Must be one of: ${this.columnIds.join(', ')}`);
+    }
+
+    if (fields.sprint !== undefined && !/^[1-9]\d*$/.test(String(fields.sprint))) {
+      errors.push(`Invalid sprint: "${fields.sprint}". Must be a sprint number (e.g., 2)`);
+    }
+
+    if (fields.points !== undefined && parsePoints(fields.points, this.workflow) === undefined) {
+      const sizes = Object.keys((this.workflow.estimation || {}).sizes || {});
+      const sizeHint = sizes.length > 0 ? ` or a size: ${sizes.join(', ')}` : '';
+      errors.push(`Invalid points: "${fields.points}". Use a number (e.g., 3)${sizeHint}`);
+    }
+
+    if (fields.created !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(fields.created))) {
+      errors.push(`Invalid created date: "${fields.created}". Use YYYY-MM-DD`);
+    }
+
+    if (fields.dependencies !== undefined) {
+      const invalid = (fields.dependencies || []).filter(id => !/^\d+$/.test(String(id)));
+      if (invalid.length > 0) {
+        errors.push(`Invalid dependencies: ${invalid.map(id => `"${id}"`).join(', ')}. Use task IDs (e.g., "003,007")`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check whether placing a task would exceed a WIP limit
+   * @param {string|null} taskId - Task being placed (null for a new task)
+   * @param {Object} placement - { column, sprint, assignee } after the change
+   * @returns {Array} - Exceeded limits: { scope: 'column'|'assignee', key, sprint?, count, limit }
+   */
+  checkWipLimits(taskId, placement) {
+    const config = this.workflow.wip_limits || {};
+    const others = this.data.tasks.filter(task => task.id !== (taskId === null ? null : String(taskId)));
+    const sprint = Number(placement.sprint);
+    const violations = [];
+
+    const columnLimit = getColumnWipLimit(config, placement.column, sprint);
+    if (columnLimit !== null) {
+      const count = others.filter(task => task.column === placement.column && task.sprint === sprint).length + 1;
+      if (count > columnLimit) {
+        violations.push({ scope: 'column', key: placement.column, sprint, count, limit: columnLimit });
+      }
+    }
+
+    const assigneeColumns = config.assignee_columns || [];
+    const assigneeLimit = getAssigneeWipLimit(config, placement.assignee);
+    if (assigneeLimit !== null && assigneeColumns.includes(placement.column)) {
+      const count = others.filter(task => task.assignee === placement.assignee && assigneeColumns.includes(task.column)).length + 1;
+      if (count > assigneeLimit) {
+        violations.push({ scope: 'assignee', key: placement.assignee, count, limit: assigneeLimit });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Check a task's dependency list against the board
+   * @param {string} taskId - Task that would get the dependencies
+   * @param {Array} dependencies - Task IDs
+   * @returns {Array} - Error messages (unknown IDs, self-dependency, cycles)
+   */
+  validateDependencies(taskId, dependencies) {
+    const errors = [];
+    const id = String(taskId);
+
+    for (const dependency of dependencies.map(String)) {
+      if (dependency === id) {
+        errors.push(`Task #${id} cannot depend on itself`);
+      } else if (this.isArchived(dependency)) {
+        errors.push(`Dependency #${dependency} is archived (restore it with kanban-archive.js restore)`);
+      } else if (!this.getTask(dependency)) {
+        errors.push(`Dependency #${dependency} does not exist`);
+      }
+    }
+    if (errors.length > 0) return errors;
+
+    const tasks = this.data.tasks
+      .filter(task => task.id !== id)
+      .concat({ id, dependencies: dependencies.map(String) });
+    for (const cycle of findDependencyCycles(tasks)) {
+      if (cycle.includes(id)) {
+        errors.push(`Dependency cycle: ${[...cycle, cycle[0]].map(item => `#${item}`).join(' → ')}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Dependencies of a task that are not done yet
+   * @param {string} taskId - Task ID
+   * @returns {Array} - Blocking dependencies: { id, title, column } (column null if the ID is unknown)
+   */
+  getBlockers(taskId) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+    return findBlockers(task, this.data.tasks, this.doneColumns);
+  }
+
+  /**
+   * Create a task; the ID is auto-assigned unless fields.id is given
+   * @param {Object} fields - Task fields (title required)
+   * @returns {Object} - The new task
+   */
+  addTask(fields) {
+    const errors = this.validateFields({ title: '', ...fields });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const id = fields.id !== undefined ? String(fields.id) : this.nextTaskId();
+    if (this.getTask(id)) {
+      throw new Error(`Task #${id} already exists`);
+    }
+    if (this.isArchived(id)) {
+      throw new Error(`Task #${id} is archived`);
+    }
+
+    const dependencyErrors = this.validateDependencies(id, fields.dependencies || []);
+    if (dependencyErrors.length > 0) {
+      throw new Error(dependencyErrors.join('; '));
+    }
+
+    const points = parsePoints(fields.points, this.workflow);
+    const task = KanbanStore.normalizeTask({ ...fields, id, points, history: [] });
+    this.ensureSprint(task.sprint);
+    this.recordHistory(task, { event: 'created', column: task.column, sprint: task.sprint });
+    this.data.tasks.push(task);
+    return task;
+  }
+
+  /**
+   * Change editable fields of a task
+   * @param {string} taskId - Task ID
+   * @param {Object} changes - Fields to change (see EDITABLE_FIELDS)
+   * @returns {Object} - { task, changed: { field: { from, to } } }
+   */
+  updateTask(taskId, changes) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+
+    const unknown = Object.keys(changes).filter(field => !EDITABLE_FIELDS.includes(field));
+    const errors = [
+      ...unknown.map(field => `Field "${field}" cannot be edited`),
+      ...this.validateFields(changes)
+    ];
+    if (errors.length === 0 && changes.dependencies) {
+      errors.push(...this.validateDependencies(task.id, changes.dependencies));
+    }
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const changed = {};
+    for (const [field, rawValue] of Object.entries(changes)) {
+      let value = rawValue;
+      if (field === 'sprint') value = Number(rawValue);
+      if (field === 'dependencies') value = rawValue.map(String);
+      if (field === 'points') value = parsePoints(rawValue, this.workflow);
+      if (JSON.stringify(task[field]) === JSON.stringify(value)) continue;
+      changed[field] = { from: task[field], to: value };
+      task[field] = value;
+    }
+
+    if (changed.sprint) {
+      this.ensureSprint(task.sprint);
+    }
+
+    // Status changes get their own audit entry
+    const { status, ...edited } = changed;
+    if (Object.keys(edited).length > 0) {
+      this.recordHistory(task, { event: 'edited', changes: edited });
+    }
+    if (status) {
+      this.recordHistory(task, { event: 'status_changed', from: status.from, to: status.to });
+    }
+
+    return { task, changed };
+  }
+
+  /**
+   * Remove a task from the store
+   * @param {string} taskId - Task ID
+   * @returns {Object} - The removed task
+   */
+  removeTask(taskId) {
+    const index = this.data.tasks.findIndex(task => task.id === String(taskId));
+    if (index === -1) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+    return this.data.tasks.splice(index, 1)[0];
+  }
+
+  /**
+   * Delete a task; refused while other tasks depend on it, since a missing
+   * dependency would block them for good
+   * @param {string} taskId - Task ID
+   * @returns {Object} - The deleted task
+   */
+  deleteTask(taskId) {
+    const dependents = this.getDependents(taskId);
+    if (dependents.length > 0) {
+      throw new Error(`Task #${taskId} cannot be deleted: ${dependents.map(task => `#${task.id}`).join(', ')} depend${dependents.length === 1 ? 's' : ''} on it`);
+    }
+    return this.removeTask(taskId);
+  }
+
+  /**
+   * Tasks that list a task as a dependency
+   * @param {string} taskId - Task ID
+   * @returns {Array} - Task records
+   */
+  getDependents(taskId) {
+    return this.data.tasks.filter(task => (task.dependencies || []).includes(String(taskId)));
+  }
+
+  /**
+   * Take a task off the board into an archive file; its ID stays reserved
+   * @param {string} taskId - Task ID
+   * @param {Object} details - { directory, file, reason } (file relative to kanban.json)
+   * @returns {Object} - The removed task, with the `archived` history entry
+   */
+  archiveTask(taskId, details) {
+    const task = this.removeTask(taskId);
+    this.recordHistory(task, { event: 'archived', file: details.file, reason: details.reason });
+    this.data.archive = {
+      directory: details.directory,
+      ids: [...this.archivedIds, task.id]
+    };
+    return task;
+  }
+
+  /**
+   * Put an archived task back on the board (in the column it was archived from)
+   * @param {Object} task - Task record from the archive file
+   * @param {Object} details - { file } (file relative to kanban.json)
+   * @returns {Object} - The restored task
+   */
+  restoreTask(task, details) {
+    if (!this.isArchived(task.id)) {
+      throw new Error(`Task #${task.id} is not archived`);
+    }
+    const restored = KanbanStore.normalizeTask(task);
+    this.recordHistory(restored, { event: 'restored', file: details.file });
+    this.data.archive.ids = this.archivedIds.filter(id => id !== restored.id);
+    this.ensureSprint(restored.sprint);
+    this.data.tasks.push(restored);
+    return restored;
+  }
+
+  /**
+   * Set a task's status card badge
+   * @param {string} taskId - Task ID
+   * @param {string|null} status - Status ID from card_properties, or null to clear
+   * @returns {boolean} - True if the status changed
+   */
+  setStatus(taskId, status) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+
+    const errors = this.validateFields({ status });
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    if (task.status === status) return false;
+
+    this.recordHistory(task, { event: 'status_changed', from: task.status, to: status });
+    task.status = status;
+    return true;
+  }
+
+  /**
+   * Append a timestamped note to a task (the description is left alone)
+   * @param {string} taskId - Task ID
+   * @param {string} text - Note text
+   * @returns {Object} - The new note: { timestamp, actor, text }
+   */
+  addNote(taskId, text) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+    if (!String(text || '').trim()) {
+      throw new Error('Note text cannot be empty');
+    }
+
+    const note = { timestamp: new Date().toISOString(), actor: this.actor, text: String(text).trim() };
+    task.notes.push(note);
+    return note;
+  }
+
+  /**
+   * Link a task to a GitHub issue (or unlink it with null)
+   * Keeps the pull request info of an existing link to the same issue.
+   * @param {string} taskId - Task ID
+   * @param {Object|null} link - { issue, url }
+   * @returns {boolean} - True if the linked issue changed
+   */
+  setGithubLink(taskId, link) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+
+    const previous = task.github ? task.github.issue : null;
+    const issue = link ? Number(link.issue) : null;
+    if (previous === issue) return false;
+
+    task.github = link ? { issue, url: link.url || null, pr: null, synced: null } : null;
+    this.recordHistory(task, { event: 'github_linked', issue, url: link ? link.url || null : null });
+    return true;
+  }
+
+  /**
+   * Store the result of a GitHub sync on a linked task (no history entry;
+   * resulting status changes go through setStatus)
+   * @param {string} taskId - Task ID
+   * @param {Object} info - { pr: { number, state, url } | null }
+   */
+  recordGithubSync(taskId, info) {
+    const task = this.getTask(taskId);
+    if (!task || !task.github) {
+      throw new Error(`Task #${taskId} is not linked to a GitHub issue`);
+    }
+    task.github.pr = info.pr || null;
+    task.github.synced = new Date().toISOString();
+  }
+
+  /**
+   * Remove old notes from a task
+   * @param {string} taskId - Task ID
+   * @param {Object} options - { keep: newest notes to keep, before: drop notes older than this date (YYYY-MM-DD) }
+   * @returns {Array} - Removed notes
+   */
+  pruneNotes(taskId, options = {}) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+
+    const keepFrom = options.keep !== undefined ? Math.max(task.notes.length - options.keep, 0) : 0;
+    const removed = [];
+    const kept = [];
+
+    task.notes.forEach((note, index) => {
+      const tooOld = options.before && note.timestamp < options.before;
+      (index < keepFrom || tooOld ? removed : kept).push(note);
+    });
+
+    if (removed.length > 0) {
+      task.notes = kept;
+      this.recordHistory(task, { event: 'notes_pruned', count: removed.length });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Record the outcome of a quality gate run for a column transition
+   * Repeated runs with the same outcome are not recorded again.
+   * @param {string} taskId - Task ID
+   * @param {string} toColumn - Column the gates guard
+   * @param {Array} results - Gate results: { id, name, passed, reason }
+   * @param {Object} source - { branch, commit } the gates checked, when known
+   * @returns {boolean} - True if an entry was added
+   */
+  recordGateResults(taskId, toColumn, results, source = {}) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+
+    const gates = results.map(result => ({
+      id: result.id,
+      name: result.name,
+      passed: Boolean(result.passed),
+      ...(result.reason ? { reason: result.reason } : {})
+    }));
+    const entry = {
+      event: 'gates_checked',
+      from: task.column,
+      to: toColumn,
+      passed: gates.every(gate => gate.passed),
+      gates,
+      ...(source.branch ? { branch: source.branch } : {}),
+      ...(source.commit ? { commit: source.commit } : {})
+    };
+
+    const last = [...task.history].reverse().find(item => item.event === 'gates_checked');
+    const lastChange = [...task.history].reverse().find(item => item.event === 'column_changed');
+    const unchanged = last &&
+      (!lastChange || last.timestamp >= lastChange.timestamp) &&
+      last.from === entry.from && last.to === entry.to && last.branch === entry.branch &&
+      JSON.stringify(last.gates) === JSON.stringify(gates);
+    if (unchanged) return false;
+
+    this.recordHistory(task, entry);
+    return true;
+  }
+
+  /**
+   * Append an entry to a task's history
+   * The store's actor is recorded unless the entry names one.
+   * @param {Object} task - Task record
+   * @param {Object} entry - { event, ...details }
+   */
+  recordHistory(task, entry) {
+    task.history.push({ timestamp: new Date().toISOString(), actor: this.actor, ...entry });
+  }
+
+  /**
+   * History entries across tasks, oldest first
+   * @param {Object} filter - { taskId, actor, event, since, until } (all optional;
+   *   actor matches case-insensitively, since/until are ISO dates or timestamps)
+   * @returns {Array} - Entries with task_id and title added
+   */
+  queryHistory(filter = {}) {
+    const actor = filter.actor ? String(filter.actor).toLowerCase() : null;
+    const entries = [];
+
+    for (const task of this.data.tasks) {
+      if (filter.taskId && task.id !== String(filter.taskId)) continue;
+
+      for (const entry of task.history) {
+        if (actor && String(entry.actor || '').toLowerCase() !== actor) continue;
+        if (filter.event && entry.event !== filter.event) continue;
+        if (filter.since && entry.timestamp < filter.since) continue;
+        if (filter.until && entry.timestamp.slice(0, filter.until.length) > filter.until) continue;
+        entries.push({ task_id: task.id, title: task.title, ...entry });
+      }
+    }
+
+    return entries.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  /**
+   * Columns a task may move to from `column` (next_states in workflow-states.json)
+   * @param {string} column - Current column
+   * @returns {Array} - Allowed destination columns
+   */
+  allowedTransitions(column) {
+    const state = this.workflow.columns.find(col => col.id === column);
+    return state ? state.next_states || [] : [];
+  }
+
+  /**
+   * Whether the state machine allows a column change
+   * Staying in the same column (e.g., a sprint change) is always allowed.
+   */
+  canTransition(fromColumn, toColumn) {
+    return fromColumn === toColumn || this.allowedTransitions(fromColumn).includes(toColumn);
+  }
+
+  /**
+   * What stands in the way of a move; kanban-updater.js and kanban-server.js
+   * refuse the move while anything is returned, unless forced
+   * @param {string} taskId - Task ID
+   * @param {string} toColumn - Destination column
+   * @param {number} toSprint - Destination sprint (defaults to the task's sprint)
+   * @param {Object} options - { checksBlockers(fromColumn, toColumn): whether the
+   *   transition is guarded by check_task_blockers (gate-plugins.js transitionChecksBlockers) }
+   * @returns {Object} - { allowed, targets: allowed destinations, blockers: unfinished
+   *   dependencies (only for transitions guarded by check_task_blockers), wipViolations }
+   */
+  checkMove(taskId, toColumn, toSprint, options = {}) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+
+    const sprint = toSprint !== undefined && toSprint !== null ? Number(toSprint) : task.sprint;
+    const placementChanged = task.column !== toColumn || task.sprint !== sprint;
+
+    return {
+      allowed: this.canTransition(task.column, toColumn),
+      targets: this.allowedTransitions(task.column),
+      blockers: options.checksBlockers && options.checksBlockers(task.column, toColumn) ? this.getBlockers(task.id) : [],
+      wipViolations: placementChanged
+        ? this.checkWipLimits(task.id, { column: toColumn, sprint, assignee: task.assignee })
+        : []
+    };
+  }
+
+  /**
+   * Validate a new card (fields, ID, dependencies) and its WIP limits
+   * @param {Object} fields - Fields for addTask()
+   * @returns {Object} - { errors, wipViolations }
+   */
+  checkAdd(fields) {
+    const errors = this.validateFields({ title: '', ...fields });
+    if (fields.id !== undefined && (this.getTask(fields.id) || this.isArchived(fields.id))) {
+      const state = this.isArchived(fields.id) ? 'is archived' : 'already exists';
+      errors.push(`Task #${fields.id} ${state} (omit the ID to use the next free one: ${this.nextTaskId()})`);
+    }
+    if (errors.length === 0 && fields.dependencies) {
+      errors.push(...this.validateDependencies(fields.id || this.nextTaskId(), fields.dependencies));
+    }
+    if (errors.length > 0) return { errors, wipViolations: [] };
+
+    return {
+      errors,
+      wipViolations: this.checkWipLimits(null, {
+        column: fields.column || 'backlog',
+        sprint: fields.sprint || 1,
+        assignee: fields.assignee || ''
+      })
+    };
+  }
+
+  /**
+   * Validate card changes and the WIP limits a new sprint or assignee would newly exceed
+   * @param {string} taskId - Task ID
+   * @param {Object} fields - Changes for updateTask()
+   * @returns {Object} - { errors, wipViolations }
+   */
+  checkEdit(taskId, fields) {
+    const task = this.getTask(taskId);
+    if (!task) return { errors: [`Task #${taskId} does not exist in kanban`], wipViolations: [] };
+
+    const errors = this.validateFields(fields);
+    if (errors.length === 0 && fields.dependencies) {
+      errors.push(...this.validateDependencies(task.id, fields.dependencies));
+    }
+    if (errors.length > 0) return { errors, wipViolations: [] };
+
+    const sprintChanged = fields.sprint !== undefined && Number(fields.sprint) !== task.sprint;
+    const assigneeChanged = fields.assignee !== undefined && fields.assignee !== task.assignee;
+    if (!sprintChanged && !assigneeChanged) return { errors, wipViolations: [] };
+
+    const violations = this.checkWipLimits(task.id, {
+      column: task.column,
+      sprint: sprintChanged ? Number(fields.sprint) : task.sprint,
+      assignee: assigneeChanged ? fields.assignee : task.assignee
+    });
+    return {
+      errors,
+      wipViolations: violations.filter(violation => (violation.scope === 'column' ? sprintChanged : assigneeChanged))
+    };
+  }
+
+  /**
+   * Move a task to another column and/or sprint
+   * @param {string} taskId - Task ID
+   * @param {string} toColumn - Destination column
+   * @param {number} toSprint - Destination sprint (defaults to the task's sprint)
+   * @param {Object} options - { force: allow a transition not in next_states,
+   *   blockedBy: IDs of unfinished dependencies the move overrides (recorded) }
+   *   WIP limits are checked for column/sprint changes; force overrides them too.
+   * @returns {Object} - { task, from: { column, sprint }, to: { column, sprint } }
+   */
+  moveTask(taskId, toColumn, toSprint, options = {}) {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`Task #${taskId} does not exist in ${this.filePath}`);
+    }
+
+    if (!this.columnIds.includes(toColumn)) {
+      throw new Error(`Unknown column "${toColumn}". Must be one of: ${this.columnIds.join(', ')}`);
+    }
+
+    const allowed = this.canTransition(task.column, toColumn);
+    if (!allowed && !options.force) {
+      const targets = this.allowedTransitions(task.column);
+      throw new Error(
+        `Transition "${task.column}" → "${toColumn}" is not allowed. ` +
+        `Allowed from "${task.column}": ${targets.length > 0 ? targets.join(', ') : '(none)'}`
+      );
+    }
+
+    const sprint = toSprint !== undefined && toSprint !== null ? Number(toSprint) : task.sprint;
+    if (!this.getSprint(sprint)) {
+      throw new Error(`Sprint ${sprint} does not exist in ${this.filePath}`);
+    }
+
+    const placementChanged = task.column !== toColumn || task.sprint !== sprint;
+    const wipExceeded = placementChanged
+      ? this.checkWipLimits(task.id, { column: toColumn, sprint, assignee: task.assignee })
+      : [];
+    if (wipExceeded.length > 0 && !options.force) {
+      throw new Error(`WIP limit reached: ${wipExceeded.map(describeWipViolation).join('; ')}`);
+    }
+
+    const from = { column: task.column, sprint: task.sprint };
+    task.column = toColumn;
+    task.sprint = sprint;
+
+    const entry = { event: 'column_changed', from: from.column, to: toColumn };
+    if (from.sprint !== sprint) {
+      entry.from_sprint = from.sprint;
+      entry.to_sprint = sprint;
+    }
+    if (!allowed) {
+      entry.forced = true;
+    }
+    if (options.blockedBy && options.blockedBy.length > 0) {
+      entry.blocked_by = options.blockedBy.map(String);
+    }
+    if (wipExceeded.length > 0) {
+      entry.wip_exceeded = wipExceeded;
+    }
+    this.recordHistory(task, entry);
+
+    return { task, from, to: { column: toColumn, sprint } };
+  }
+}
+
+/**
+ * Read a story point estimate: a number ("3", 0.5) or a size name from
+ * estimation.sizes in workflow-states.json ("M", case-insensitive)
+ * @param {*} value - Estimate as given
+ * @param {Object} workflow - workflow-states.json
+ * @returns {number|null|undefined} - Points; null for no estimate ("", "none"); undefined when invalid
+ */
+function parsePoints(value, workflow) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text === '' || text.toLowerCase() === 'none') return null;
+  if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+  const sizes = ((workflow || {}).estimation || {}).sizes || {};
+  const size = Object.keys(sizes).find(name => name.toLowerCase() === text.toLowerCase());
+  return size !== undefined ? Number(sizes[size]) : undefined;
+}
+
+/**
+ * WIP limit for a column on one sprint board (sprint overrides win)
+ * @param {Object} config - wip_limits from workflow-states.json
+ * @param {string} column - Column ID
+ * @param {number} sprint - Sprint number
+ * @returns {number|null} - Limit, or null when unlimited
+ */
+function getColumnWipLimit(config, column, sprint) {
+  const override = ((config.sprints || {})[String(sprint)] || {})[column];
+  const limit = override !== undefined ? override : (config.columns || {})[column];
+  return typeof limit === 'number' ? limit : null;
+}
+
+/**
+ * WIP limit for an assignee ("default" applies to anyone not listed)
+ * @param {Object} config - wip_limits from workflow-states.json
+ * @param {string} assignee - Assignee (unassigned cards have no limit)
+ * @returns {number|null} - Limit, or null when unlimited
+ */
+function getAssigneeWipLimit(config, assignee) {
+  if (!assignee) return null;
+  const limits = config.assignees || {};
+  const limit = limits[assignee] !== undefined ? limits[assignee] : limits.default;
+  return typeof limit === 'number' ? limit : null;
+}
+
+/**
+ * e.g., 'in_progress 6/5 (sprint 2)' or '[Syntax] 4/3'
+ */
+function describeWipViolation(violation) {
+  const where = violation.scope === 'column' ? `${violation.key} (sprint ${violation.sprint})` : violation.key;
+  return `${where} ${violation.count}/${violation.limit}`;
+}
+
+/**
+ * Dependencies of a task that have not reached a done column
+ * @param {Object} task - Task record
+ * @param {Array} tasks - All tasks
+ * @param {Array} doneColumns - Columns that count as done (e.g., ['live'])
+ * @returns {Array} - { id, title, column } per blocking dependency (column null if unknown)
+ */
+function findBlockers(task, tasks, doneColumns) {
+  const blockers = [];
+
+  for (const id of task.dependencies || []) {
+    const dependency = tasks.find(item => item.id === String(id));
+    if (!dependency) {
+      blockers.push({ id: String(id), title: '', column: null });
+    } else if (!doneColumns.includes(dependency.column)) {
+      blockers.push({ id: dependency.id, title: dependency.title, column: dependency.column });
+    }
+  }
+
+  return blockers;
+}
+
+/**
+ * Find dependency cycles (depth-first search over the dependency edges)
+ * @param {Array} tasks - Tasks with { id, dependencies }
+ * @returns {Array} - Cycles, each an array of task IDs in dependency order
+ */
+function findDependencyCycles(tasks) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const stack = [];
+  const cycles = [];
+  const seen = new Set();
+
+  const visit = id => {
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const dependency of (byId.get(id).dependencies || []).map(String)) {
+      if (!byId.has(dependency)) continue;
+
+      if (state.get(dependency) === 'visiting') {
+        const cycle = stack.slice(stack.indexOf(dependency));
+        // Same cycle found from another starting point: compare by rotation
+        const start = cycle.indexOf([...cycle].sort()[0]);
+        const key = [...cycle.slice(start), ...cycle.slice(0, start)].join('>');
+        if (!seen.has(key)) {
+          seen.add(key);
+          cycles.push(cycle);
+        }
+      } else if (!state.has(dependency)) {
+        visit(dependency);
+      }
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const task of tasks) {
+    if (!state.has(task.id)) visit(task.id);
+  }
+
+  return cycles;
+}
+
+/**
+ * One-line, human-readable summary of a history entry
+ * @param {Object} entry - History entry
+ * @returns {string} - e.g., 'Moved in_progress → qa'
+ */
+function describeHistoryEntry(entry) {
+  switch (entry.event) {
+    case 'created':
+      return `Created in ${entry.column} (sprint ${entry.sprint})`;
+    case 'edited':
+      return `Edited ${Object.keys(entry.changes || {}).join(', ')}`;
+    case 'column_changed': {
+      const sprint = entry.to_sprint !== undefined ? ` (sprint ${entry.from_sprint} → ${entry.to_sprint})` : '';
+      const blocked = entry.blocked_by ? ` [blocked by ${entry.blocked_by.map(id => `#${id}`).join(', ')}]` : '';
+      const wip = entry.wip_exceeded ? ` [WIP limit exceeded: ${entry.wip_exceeded.map(describeWipViolation).join(', ')}]` : '';
+      return `Moved ${entry.from} → ${entry.to}${sprint}${entry.forced ? ' [forced]' : ''}${blocked}${wip}`;
+    }
+    case 'status_changed':
+      return `Status ${entry.from || 'none'} → ${entry.to || 'none'}`;
+    case 'gates_checked': {
+      const gates = entry.gates || [];
+      const failed = gates.filter(gate => !gate.passed).map(gate => gate.id);
+      const source = entry.branch ? ` on ${entry.branch}${entry.commit ? ` at ${entry.commit.slice(0, 7)}` : ''}` : '';
+      return `Gates ${entry.from} → ${entry.to}${source}: ${entry.passed ? 'passed' : 'failed'} ` +
+        `(${gates.length - failed.length}/${gates.length}${failed.length > 0 ? `; failed: ${failed.join(', ')}` : ''})`;
+    }
+    case 'notes_pruned':
+      return `Pruned ${entry.count} note(s)`;
+    case 'github_linked':
+      return entry.issue ? `Linked to GitHub issue #${entry.issue}` : 'Unlinked from GitHub';
+    case 'archived':
+      return `Archived to ${entry.file}${entry.reason ? ` (${entry.reason})` : ''}`;
+    case 'restored':
+      return `Restored from ${entry.file}`;
+    default:
+      return entry.event;
+  }
+}
+
+/**
+ * Run a load-change-save function again on fresh data when another process
+ * wrote kanban.json in between
+ * @param {Function} fn - Loads the store, applies the change and saves
+ * @param {Object} options - { attempts (default 5), onRetry(error, attempt) }
+ * @returns {*} - Whatever fn returns
+ */
+function retryOnConflict(fn, options = {}) {
+  const attempts = options.attempts || MAX_WRITE_ATTEMPTS;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return fn();
+    } catch (error) {
+      if (!(error instanceof KanbanConflictError) || attempt >= attempts) throw error;
+      if (options.onRetry) options.onRetry(error, attempt);
+      sleep(RETRY_DELAY_MS * attempt * (0.5 + Math.random()));
+    }
+  }
+}
+
+/**
+ * retryOnConflict() for callers that must not block, like the board server:
+ * the pause between attempts is a timer rather than a sleep
+ * @param {Function} fn - Loads the store, applies the change and saves
+ * @param {Object} options - { attempts (default 5), onRetry(error, attempt), retryOn(error) (default: conflicts only) }
+ * @returns {Promise<*>} - Whatever fn returns
+ */
+async function retryOnConflictAsync(fn, options = {}) {
+  const attempts = options.attempts || MAX_WRITE_ATTEMPTS;
+  const retryOn = options.retryOn || (error => error instanceof KanbanConflictError);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!retryOn(error) || attempt >= attempts) throw error;
+      if (options.onRetry) options.onRetry(error, attempt);
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * attempt * (0.5 + Math.random())));
+    }
+  }
+}
+
+module.exports = {
+  KanbanStore,
+  KanbanConflictError,
+  retryOnConflict,
+  retryOnConflictAsync,
+  describeHistoryEntry,
+  findBlockers,
+  findDependencyCycles,
+  parsePoints,
+  getColumnWipLimit,
+  getAssigneeWipLimit,
+  describeWipViolation,
+  STORE_VERSION,
+  DEFAULT_DATA_FILENAME,
+  DEFAULT_ACTOR,
+  MAX_WRITE_ATTEMPTS,
+  SPRINT_STATUSES,
+  SPRINT_FIELDS,
+  EDITABLE_FIELDS,
+  HISTORY_EVENTS
+};
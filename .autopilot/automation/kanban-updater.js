@@ -1,44 +1,198 @@
 #!/usr/bin/env node
 /**
  * Kanban Board Automation Script
- * Version: 1.0.0
- * Purpose: Programmatically update kanban HTML file (move cards, update status)
+ * Version: 2.0.0
+ * Purpose: Programmatically update the kanban board (move cards, update status)
+ *
+ * Tasks live in kanban.json (next to kanban_dev.html). Every change is saved
+ * to the JSON store first and kanban_dev.html is then regenerated from
+ * templates/kanban_dev.html.template. Both files are written under a lock
+ * and replaced atomically; if another process (e.g. Monitor) changed
+ * kanban.json since this command read it, the command is re-run on the new
+ * data (up to 5 attempts) instead of overwriting that change.
  *
  * Usage:
- *   node kanban-updater.js --task-id="013" --from-column="in_progress" --to-column="review" --status="completed"
+ *   node kanban-updater.js [command] [options]
+ *
+ * Commands:
+ *   move            Move a card between columns/sprints (default)
+ *   add             Create a card (next free numeric ID is assigned automatically)
+ *   edit            Change card fields (title, type, priority, sprint, assignee, ...)
+ *   delete          Remove a card
+ *   show            Print a card's fields and history
+ *   history         Print the audit trail (all cards, or one with --task-id)
+ *   note            Add a timestamped note to a card (--text)
+ *   notes           List notes (all cards, or one with --task-id)
+ *   prune-notes     Remove old notes (--keep=N newest and/or --before=YYYY-MM-DD)
+ *   graph           Print the dependency graph and detect cycles
+ *   wip             Print WIP counts against the limits in workflow-states.json
+ *   sprint          List sprints, or set a sprint's name/goal/status/start/end
+ *   export          Write cards to CSV, JSON or GitHub Issues JSON (--output)
+ *   import          Add/update cards from a CSV, JSON or GitHub Issues JSON file (--input)
+ *   import-html     Convert an existing kanban_dev.html board into kanban.json (one-time)
+ *   render          Regenerate kanban_dev.html from kanban.json
+ *   lint            Check kanban.json and kanban_dev.html for broken markers, duplicate or
+ *                   misplaced cards and unknown values (exit 1 on errors; see kanban-lint.js)
+ *
+ * Old Live cards are moved off the board with kanban-archive.js (archive,
+ * search, restore).
  *
- * Options:
+ * Move Options:
  *   --task-id       Task ID (e.g., "013")
- *   --from-column   Source column (backlog/ready/in_progress/review/qa/staging/done)
+ *   --from-column   Source column (backlog/in_progress/qa/live, per workflow-states.json)
  *   --to-column     Destination column
- *   --status        Card status (completed/blocked/review) [optional]
- *   --add-note      Add note to card description [optional]
+ *   --sprint        Destination sprint board [optional, defaults to the card's current sprint]
+ *   --status        Card status (completed/blocked/review/waiting) [optional]
+ *   --add-note      Add a timestamped note to the card (description is kept) [optional]
+ *   --force         Allow a move outside next_states, past unfinished dependencies or over
+ *                   a WIP limit [optional, recorded in card history]
+ *
+ * Moves follow the next_states state machine in workflow-states.json
+ * (e.g., Backlog → In Progress only). Transitions guarded by the
+ * check_task_blockers gate (quality-gates.json) are refused while any of the
+ * card's dependencies is not Live. Moves, adds and edits that would exceed a
+ * WIP limit (wip_limits in workflow-states.json) are refused unless --force.
+ *
+ * History Options:
+ *   --task-id       Only this card [optional]
+ *   --actor         Only entries by this actor (e.g., "Monitor", "[Syntax]") [optional]
+ *   --event         Only this event (created/edited/column_changed/status_changed/gates_checked) [optional]
+ *   --since, --until  Date range, YYYY-MM-DD (inclusive) [optional]
+ *
+ * Sprint Options:
+ *   --sprint        Sprint number (omit to list all sprints)
+ *   --name, --goal  Sprint board title and goal [optional]
+ *   --status        planned/active/complete; active sets a missing start date,
+ *                   complete a missing end date (today) [optional]
+ *   --start, --end  Sprint window, YYYY-MM-DD ("none" clears); used for burndown
+ *                   and velocity (kanban-metrics.js --report=sprint) [optional]
+ *
+ * Card Field Options (add/edit):
+ *   --title, --description, --type, --priority, --sprint, --assignee,
+ *   --created (YYYY-MM-DD), --status, --criteria ("First|Second" acceptance items),
+ *   --depends-on ("003,007" task IDs; "none" clears),
+ *   --points (story points, e.g. 3, or a size from estimation.sizes such as M; "none" clears)
+ *   Types, priorities and statuses are checked against card_properties in workflow-states.json.
+ *   add also accepts --column (default: backlog) and --id (default: next free ID).
+ *
+ * Export / Import Options:
+ *   --output        export: file to write (format from the extension: .csv, .json)
+ *   --input         import: file to read (.json arrays of issues are read as GitHub issues)
+ *   --format        csv, json or github [optional, overrides the extension]
+ *   --sprint        export: only this sprint [optional]
+ *   --new-ids       import: add every row as a new card instead of updating matching IDs [optional]
+ *   Imported types, priorities, statuses and columns may use card_properties /
+ *   column IDs or display names. Rows whose ID exists update that card (column
+ *   changes are recorded as forced moves); other rows become new cards.
+ *   Use --dry-run to preview the changes. See kanban-formats.js for the formats.
+ *
+ * Lint Options:
+ *   --fix           Repair what is safe: display names and aliases become IDs ("High" → high),
+ *                   sizes become points, repeated and self dependencies are dropped, missing
+ *                   sprints are added and kanban_dev.html is regenerated [optional]
+ *   --json          Print the problems as JSON [optional]
+ *
+ * Common Options:
  *   --kanban-file   Path to kanban HTML file [optional, uses config default]
- *   --dry-run       Show what would change without modifying file [optional]
+ *   --data-file     Path to kanban.json [optional, defaults to the kanban HTML directory]
+ *   --template      Path to kanban HTML template [optional]
+ *   --actor         Who is making the change, recorded in card history [optional, default: human]
+ *   --offline       true/false: inline Tailwind CSS and Lucide icons instead of loading them
+ *                   from their CDNs [optional, default: board_render.offline in workflow-states.json]
+ *   --dry-run       Show what would change without modifying files [optional]
  *
  * Examples:
- *   # Move task from Ready to In Progress
- *   node kanban-updater.js --task-id="010" --from-column="ready" --to-column="in_progress"
+ *   # Move task from Backlog to In Progress
+ *   node kanban-updater.js --task-id="010" --from-column="backlog" --to-column="in_progress"
  *
- *   # Complete task and move to Done
- *   node kanban-updater.js --task-id="013" --from-column="staging" --to-column="done" \
+ *   # Complete task and move to Live
+ *   node kanban-updater.js --task-id="013" --from-column="qa" --to-column="live" \
  *     --status="completed" --add-note="Deployed successfully"
  *
+ *   # Carry an unfinished task over to Sprint 3's backlog
+ *   node kanban-updater.js --task-id="021" --from-column="in_progress" --to-column="backlog" --sprint=3
+ *
+ *   # Create a task from the PRD
+ *   node kanban-updater.js add --title="User login page" --type=feature --priority=high \
+ *     --sprint=1 --assignee="[Aesthetica]" --criteria="Form validates email|Errors are shown inline"
+ *
+ *   # Convert an existing board
+ *   node kanban-updater.js import-html --kanban-file="docs/kanban/kanban_dev.html"
+ *
+ *   # Hand the board to a spreadsheet and read the edits back
+ *   node kanban-updater.js export --output=board.csv
+ *   node kanban-updater.js import --input=board.csv --dry-run
+ *
+ *   # Estimate task 015 (5 points, or a T-shirt size)
+ *   node kanban-updater.js edit --task-id="015" --points=5
+ *   node kanban-updater.js edit --task-id="015" --points=M
+ *
+ *   # Task 015 can't start before 012 and 013 are live
+ *   node kanban-updater.js edit --task-id="015" --depends-on="012,013"
+ *   node kanban-updater.js graph
+ *
+ *   # Keep only the 5 newest notes on every card
+ *   node kanban-updater.js prune-notes --keep=5
+ *
+ *   # Everything the Monitor did to a card
+ *   node kanban-updater.js history --task-id="013" --actor="Monitor"
+ *
+ *   # Close Sprint 1 and start Sprint 2
+ *   node kanban-updater.js sprint --sprint=1 --status=complete
+ *   node kanban-updater.js sprint --sprint=2 --status=active --end=2026-02-13
+ *
+ *   # After editing kanban.json or kanban_dev.html by hand
+ *   node kanban-updater.js lint
+ *   node kanban-updater.js lint --fix --dry-run
+ *
  * Framework: AI-DOCS v1.0.0
  * Maintainer: [Codey] (TPM)
  */
 
 const fs = require('fs');
 const path = require('path');
+const {
+  LEGACY_COLUMNS,
+  loadWorkflowStates,
+  loadQualityGates,
+  getColumnMarkers,
+  findColumnSections,
+  findCards,
+  parseCardFields,
+  parseSprints,
+  parseProjectName
+} = require('./kanban-html');
+const {
+  KanbanStore,
+  describeHistoryEntry,
+  SPRINT_FIELDS,
+  findDependencyCycles,
+  getColumnWipLimit,
+  getAssigneeWipLimit,
+  describeWipViolation,
+  HISTORY_EVENTS,
+  DEFAULT_ACTOR,
+  retryOnConflict
+} = require('./kanban-store');
+const { renderBoard, DEFAULT_TEMPLATE_PATH } = require('./kanban-renderer');
+const { transitionChecksBlockers } = require('./gate-plugins');
+const { FORMATS, detectFormat, exportBoard, parseImport, applyImport } = require('./kanban-formats');
+const { lintJsonSyntax, lintStore, lintBoardHtml, applyStoreFixes, sortProblems } = require('./kanban-lint');
 
 // ====================
 // CONFIGURATION
 // ====================
 
-// Parse command line arguments
-const args = process.argv.slice(2).reduce((acc, arg) => {
-  const [key, value] = arg.split('=');
-  acc[key.replace(/^--/, '')] = value?.replace(/^["']|["']$/g, '') || true;
+// Parse command line arguments (first bare word is the command)
+const argv = process.argv.slice(2);
+const COMMAND = argv[0] && !argv[0].startsWith('-') ? argv[0] : 'move';
+
+const args = argv.reduce((acc, arg) => {
+  if (!arg.startsWith('-')) return acc;
+  const eqIndex = arg.indexOf('=');
+  const key = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+  const value = eqIndex === -1 ? undefined : arg.slice(eqIndex + 1);
+  acc[key.replace(/^--?/, '')] = value?.replace(/^["']|["']$/g, '') || true;
   return acc;
 }, {});
 
@@ -48,19 +202,50 @@ const FROM_COLUMN = args['from-column'];
 const TO_COLUMN = args['to-column'];
 
 // Optional arguments
+const SPRINT = args['sprint'] !== undefined ? String(args['sprint']) : null;
 const STATUS = args['status'];
 const ADD_NOTE = args['add-note'];
 const DRY_RUN = args['dry-run'] === true;
+const FORCE = args['force'] === true;
+const JSON_OUTPUT = args['json'] === true;
+
+// Recorded as the actor of every history entry (history command: filter instead)
+const ACTOR = typeof args['actor'] === 'string' && args['actor'].trim() ? args['actor'].trim() : DEFAULT_ACTOR;
 
 // Default kanban file path (can be overridden)
 const DEFAULT_KANBAN_PATH = path.join(process.cwd(), 'docs', 'kanban', 'kanban_dev.html');
 const KANBAN_FILE = args['kanban-file'] || DEFAULT_KANBAN_PATH;
+const DATA_FILE = args['data-file'] || KanbanStore.pathForBoard(KANBAN_FILE);
+const TEMPLATE_FILE = args['template'] || undefined;
+
+// Self-contained board (no CDNs); undefined falls back to workflow-states.json
+const OFFLINE = args['offline'] === undefined ? undefined : args['offline'] !== 'false';
+
+// Columns and HTML markers come from workflow-states.json
+const WORKFLOW = loadWorkflowStates();
+const VALID_COLUMNS = WORKFLOW.columns.map(col => col.id);
+const VALID_STATUSES = (WORKFLOW.card_properties?.statuses || []).map(status => status.id);
+
+// Card fields accepted by add/edit, mapped from their CLI flag
+const FIELD_OPTIONS = {
+  'title': 'title',
+  'description': 'description',
+  'type': 'type',
+  'priority': 'priority',
+  'points': 'points',
+  'sprint': 'sprint',
+  'assignee': 'assignee',
+  'created': 'created',
+  'status': 'status',
+  'criteria': 'acceptance_criteria',
+  'depends-on': 'dependencies'
+};
 
 // ====================
 // VALIDATION
 // ====================
 
-function validateArgs() {
+function validateMoveArgs() {
   const errors = [];
 
   if (!TASK_ID) {
@@ -68,179 +253,997 @@ function validateArgs() {
   }
 
   if (!FROM_COLUMN) {
-    errors.push('--from-column is required (backlog/ready/in_progress/review/qa/staging/done)');
+    errors.push(`--from-column is required (${VALID_COLUMNS.join('/')})`);
   }
 
   if (!TO_COLUMN) {
-    errors.push('--to-column is required (backlog/ready/in_progress/review/qa/staging/done)');
+    errors.push(`--to-column is required (${VALID_COLUMNS.join('/')})`);
   }
 
-  const validColumns = ['backlog', 'ready', 'in_progress', 'review', 'qa', 'staging', 'done'];
-  if (FROM_COLUMN && !validColumns.includes(FROM_COLUMN)) {
-    errors.push(`Invalid --from-column: "${FROM_COLUMN}". Must be one of: ${validColumns.join(', ')}`);
+  if (FROM_COLUMN && !VALID_COLUMNS.includes(FROM_COLUMN)) {
+    errors.push(`Invalid --from-column: "${FROM_COLUMN}". Must be one of: ${VALID_COLUMNS.join(', ')}`);
   }
 
-  if (TO_COLUMN && !validColumns.includes(TO_COLUMN)) {
-    errors.push(`Invalid --to-column: "${TO_COLUMN}". Must be one of: ${validColumns.join(', ')}`);
+  if (TO_COLUMN && !VALID_COLUMNS.includes(TO_COLUMN)) {
+    errors.push(`Invalid --to-column: "${TO_COLUMN}". Must be one of: ${VALID_COLUMNS.join(', ')}`);
   }
 
-  if (STATUS && !['completed', 'blocked', 'review'].includes(STATUS)) {
-    errors.push(`Invalid --status: "${STATUS}". Must be: completed, blocked, or review`);
+  if (SPRINT !== null && !/^\d+$/.test(SPRINT)) {
+    errors.push(`Invalid --sprint: "${SPRINT}". Must be a sprint number (e.g., --sprint=2)`);
   }
 
-  if (!fs.existsSync(KANBAN_FILE)) {
-    errors.push(`Kanban file not found: ${KANBAN_FILE}`);
+  if (STATUS && !VALID_STATUSES.includes(STATUS)) {
+    errors.push(`Invalid --status: "${STATUS}". Must be one of: ${VALID_STATUSES.join(', ')}`);
+  }
+
+  errors.push(...dataFileErrors());
+
+  exitOnErrors(errors, 'node kanban-updater.js --task-id="XXX" --from-column="backlog" --to-column="in_progress"');
+}
+
+function dataFileErrors() {
+  if (fs.existsSync(DATA_FILE)) return [];
+
+  const errors = [`Kanban data file not found: ${DATA_FILE}`];
+  if (fs.existsSync(KANBAN_FILE)) {
+    errors.push(`Convert the existing board first: node kanban-updater.js import-html --kanban-file="${KANBAN_FILE}"`);
   }
+  return errors;
+}
+
+/**
+ * Collect card fields given on the command line (add/edit)
+ * @returns {Object} - Task fields keyed by store field name
+ */
+function collectFieldArgs() {
+  const fields = {};
+
+  for (const [option, field] of Object.entries(FIELD_OPTIONS)) {
+    if (args[option] === undefined) continue;
+    const value = args[option] === true ? '' : String(args[option]);
+
+    if (field === 'acceptance_criteria') {
+      fields[field] = value.split('|').map(text => text.trim()).filter(Boolean).map(text => ({ text, done: false }));
+    } else if (field === 'dependencies') {
+      fields[field] = value === 'none' ? [] : value.split(',').map(id => id.trim().replace('#', '')).filter(Boolean);
+    } else if (field === 'status' && value === 'none') {
+      fields[field] = null;
+    } else {
+      fields[field] = value;
+    }
+  }
+
+  return fields;
+}
+
+function requireTaskId(usage) {
+  exitOnErrors([
+    ...(TASK_ID ? [] : ['--task-id is required (e.g., --task-id="013")']),
+    ...dataFileErrors()
+  ], usage);
+}
 
+function exitOnErrors(errors, usage) {
   if (errors.length > 0) {
     console.error('❌ Validation Errors:\n');
     errors.forEach(err => console.error(`   - ${err}`));
-    console.error('\n📖 Usage: node kanban-updater.js --task-id="XXX" --from-column="ready" --to-column="in_progress"\n');
+    console.error(`\n📖 Usage: ${usage}\n`);
     process.exit(1);
   }
 }
 
 // ====================
-// MAIN LOGIC
+// COMMANDS
 // ====================
 
-function main() {
-  console.log('🤖 Kanban Updater v1.0.0\n');
+function moveCommand() {
   console.log(`📌 Task ID: #${TASK_ID}`);
   console.log(`📦 Moving: ${FROM_COLUMN} → ${TO_COLUMN}`);
+  if (SPRINT !== null) console.log(`🗂️  Sprint: ${SPRINT}`);
   if (STATUS) console.log(`📊 Status: ${STATUS}`);
   if (ADD_NOTE) console.log(`📝 Note: ${ADD_NOTE}`);
   if (DRY_RUN) console.log(`🔍 Mode: DRY RUN (no changes will be saved)`);
   console.log('');
 
   // Validate arguments
-  validateArgs();
+  validateMoveArgs();
 
-  // Read kanban HTML file
-  let kanbanHTML = fs.readFileSync(KANBAN_FILE, 'utf8');
-  const originalHTML = kanbanHTML;
+  const store = new KanbanStore(DATA_FILE, { actor: ACTOR }).load();
+  const task = store.getTask(TASK_ID);
 
-  // Find the card HTML by task ID
-  const cardRegex = new RegExp(
-    `(<div class="card"[^>]*data-id="${TASK_ID}"[^>]*>[\\s\\S]*?<\\/div>\\s*<\\/div>)`,
-    'i'
-  );
-
-  const cardMatch = kanbanHTML.match(cardRegex);
-
-  if (!cardMatch) {
+  if (!task) {
     console.error(`❌ Card not found: Task #${TASK_ID} does not exist in kanban`);
-    console.error(`   File: ${KANBAN_FILE}`);
+    console.error(`   File: ${DATA_FILE}`);
+    process.exit(1);
+  }
+
+  if (task.column !== FROM_COLUMN) {
+    console.error(`❌ Card #${TASK_ID} not found in "${FROM_COLUMN}" column`);
+    console.error(`   It is currently in the "${task.column}" column${formatSprint(task.sprint)}`);
     process.exit(1);
   }
 
-  let cardHTML = cardMatch[0];
-  console.log(`✅ Found card #${TASK_ID}`);
+  console.log(`✅ Found card #${TASK_ID}${formatSprint(task.sprint)}`);
+
+  const toSprint = SPRINT !== null ? parseInt(SPRINT, 10) : task.sprint;
+  const qualityGates = loadQualityGates();
+  const { allowed, targets, blockers, wipViolations } = store.checkMove(TASK_ID, TO_COLUMN, toSprint, {
+    checksBlockers: (from, to) => transitionChecksBlockers(qualityGates, from, to)
+  });
+
+  // Enforce the workflow state machine unless explicitly overridden
+  if (!allowed) {
+    if (!FORCE) {
+      console.error(`❌ Transition not allowed: "${FROM_COLUMN}" → "${TO_COLUMN}"`);
+      console.error(`   Allowed from "${FROM_COLUMN}": ${targets.length > 0 ? targets.join(', ') : '(none - final column)'}`);
+      console.error(`   Use --force to override (the override is recorded in the card history)`);
+      process.exit(1);
+    }
+    console.warn(`⚠️  Forcing transition "${FROM_COLUMN}" → "${TO_COLUMN}" (allowed: ${targets.join(', ') || 'none'})`);
+  }
+
+  // Dependencies must be Live before the card can start
+  if (blockers.length > 0) {
+    if (!FORCE) {
+      console.error(`❌ Card #${TASK_ID} is blocked by unfinished dependencies:`);
+      blockers.forEach(blocker => console.error(`   - ${formatDependency(blocker)}`));
+      console.error(`   Use --force to override (the override is recorded in the card history)`);
+      process.exit(1);
+    }
+    console.warn(`⚠️  Ignoring blocking dependencies: ${blockers.map(blocker => `#${blocker.id}`).join(', ')}`);
+  }
+
+  // WIP limits of the destination column and the card's assignee
+  enforceWipLimits(wipViolations);
+
+  const { from, to } = store.moveTask(TASK_ID, TO_COLUMN, SPRINT !== null ? parseInt(SPRINT, 10) : undefined, {
+    force: FORCE,
+    blockedBy: blockers.map(blocker => blocker.id)
+  });
+  console.log(`✅ Moved card to "${TO_COLUMN}" column${formatSprint(to.sprint)}`);
 
   // Update card status if provided
   if (STATUS) {
-    const statusEmoji = {
-      completed: '✅ COMPLETED',
-      blocked: '🚫 BLOCKED',
-      review: '👀 REVIEW'
-    }[STATUS];
-
-    // Check if card already has a status badge
-    if (cardHTML.includes('<span class="card-status')) {
-      // Replace existing status
-      cardHTML = cardHTML.replace(
-        /<span class="card-status[^"]*">[^<]*<\/span>/,
-        `<span class="card-status status-${STATUS}">${statusEmoji}</span>`
-      );
-      console.log(`✅ Updated status: ${STATUS}`);
-    } else {
-      // Add status badge after title
-      cardHTML = cardHTML.replace(
-        /(<h4 class="card-title">.*?<\/h4>)/,
-        `$1\n            <span class="card-status status-${STATUS}">${statusEmoji}</span>`
-      );
-      console.log(`✅ Added status: ${STATUS}`);
+    const hadStatus = Boolean(task.status);
+    if (store.setStatus(TASK_ID, STATUS)) {
+      console.log(`✅ ${hadStatus ? 'Updated' : 'Added'} status: ${STATUS}`);
     }
   }
 
-  // Add note to description if provided
+  // Add note to the card's notes list if provided
   if (ADD_NOTE) {
-    cardHTML = cardHTML.replace(
-      /(<p class="card-description">)(.*?)(<\/p>)/,
-      `$1${STATUS === 'completed' ? '✅ COMPLETED: ' : ''}${ADD_NOTE}$3`
-    );
-    console.log(`✅ Added note to description`);
-  }
-
-  // Remove card from source column
-  const fromMarkerStart = `<!-- KANBAN_${FROM_COLUMN.toUpperCase()}_START -->`;
-  const fromMarkerEnd = `<!-- KANBAN_${FROM_COLUMN.toUpperCase()}_END -->`;
-
-  const fromSectionRegex = new RegExp(
-    `${escapeRegex(fromMarkerStart)}([\\s\\S]*?)${escapeRegex(fromMarkerEnd)}`,
-    'g'
-  );
-
-  let cardRemoved = false;
-  kanbanHTML = kanbanHTML.replace(fromSectionRegex, (match, content) => {
-    if (content.includes(`data-id="${TASK_ID}"`)) {
-      const updatedContent = content.replace(cardRegex, ''); // Remove card
-      cardRemoved = true;
-      return `${fromMarkerStart}${updatedContent}${fromMarkerEnd}`;
+    store.addNote(TASK_ID, ADD_NOTE);
+    console.log(`✅ Added note`);
+  }
+
+  // Write updated store and board (or show dry run)
+  if (DRY_RUN) {
+    console.log('\n🔍 DRY RUN: Changes would be applied (files not modified)');
+    console.log('\n📄 Updated Task:\n');
+    console.log(JSON.stringify(task, null, 2));
+  } else {
+    writeBoard(store);
+    console.log(`\n🎯 Summary: Task #${TASK_ID} moved from "${from.column}"${formatSprint(from.sprint)} → "${to.column}"${formatSprint(to.sprint)}`);
+  }
+}
+
+function addCommand() {
+  const usage = 'node kanban-updater.js add --title="Task title" [--type=feature] [--priority=medium] [--sprint=1]';
+  const fields = collectFieldArgs();
+  if (args['column'] !== undefined) fields.column = String(args['column']);
+  if (args['id'] !== undefined) fields.id = String(args['id']).replace('#', '');
+
+  const store = new KanbanStore(DATA_FILE, { actor: ACTOR });
+  if (store.exists()) {
+    store.load();
+  } else {
+    exitOnErrors(fs.existsSync(KANBAN_FILE) ? dataFileErrors() : [], usage);
+    store.setData(KanbanStore.createEmpty());
+    console.log(`📄 Creating new kanban data file: ${DATA_FILE}`);
+  }
+
+  const { errors, wipViolations } = store.checkAdd(fields);
+  exitOnErrors(errors, usage);
+  enforceWipLimits(wipViolations);
+
+  const sprintExisted = Boolean(store.getSprint(fields.sprint || 1));
+  const task = store.addTask(fields);
+  console.log(`✅ Created card #${task.id}: ${task.title}`);
+  console.log(`   Column: ${task.column}${formatSprint(task.sprint)}`);
+  if (!sprintExisted) console.log(`✅ Created sprint ${task.sprint} board`);
+
+  if (DRY_RUN) {
+    console.log('\n🔍 DRY RUN: Changes would be applied (files not modified)');
+    console.log('\n📄 New Task:\n');
+    console.log(JSON.stringify(task, null, 2));
+  } else {
+    writeBoard(store);
+  }
+}
+
+function editCommand() {
+  const usage = 'node kanban-updater.js edit --task-id="XXX" --priority=high [--title=...] [--assignee=...]';
+  requireTaskId(usage);
+
+  const fields = collectFieldArgs();
+  if (Object.keys(fields).length === 0) {
+    exitOnErrors([`Nothing to change. Pass at least one of: ${Object.keys(FIELD_OPTIONS).map(opt => `--${opt}`).join(', ')}`], usage);
+  }
+
+  const store = new KanbanStore(DATA_FILE, { actor: ACTOR }).load();
+  if (!store.getTask(TASK_ID)) {
+    exitOnErrors([`Task #${TASK_ID} does not exist in kanban`], usage);
+  }
+  // A new sprint or assignee counts against their WIP limits
+  const { errors, wipViolations } = store.checkEdit(TASK_ID, fields);
+  exitOnErrors(errors, usage);
+  enforceWipLimits(wipViolations);
+
+  const { task, changed } = store.updateTask(TASK_ID, fields);
+
+  if (Object.keys(changed).length === 0) {
+    console.log(`ℹ️  Card #${task.id} already has these values - nothing to change`);
+    return;
+  }
+
+  for (const [field, { from, to }] of Object.entries(changed)) {
+    console.log(`✅ ${field}: ${formatValue(from)} → ${formatValue(to)}`);
+  }
+
+  if (DRY_RUN) {
+    console.log('\n🔍 DRY RUN: Changes would be applied (files not modified)');
+  } else {
+    writeBoard(store);
+  }
+}
+
+function deleteCommand() {
+  const usage = 'node kanban-updater.js delete --task-id="XXX"';
+  requireTaskId(usage);
+
+  const store = new KanbanStore(DATA_FILE).load();
+  if (!store.getTask(TASK_ID)) {
+    exitOnErrors([`Task #${TASK_ID} does not exist in kanban`], usage);
+  }
+
+  const dependents = store.getDependents(TASK_ID);
+  if (dependents.length > 0) {
+    exitOnErrors([
+      `Task #${TASK_ID} has dependents: ${dependents.map(task => `#${task.id}`).join(', ')}`,
+      `Remove it from their dependencies first: edit --task-id="${dependents[0].id}" --depends-on="..."`
+    ], usage);
+  }
+
+  const task = store.deleteTask(TASK_ID);
+  console.log(`✅ Deleted card #${task.id}: ${task.title} (was in "${task.column}"${formatSprint(task.sprint)})`);
+
+  if (DRY_RUN) {
+    console.log('\n🔍 DRY RUN: Changes would be applied (files not modified)');
+  } else {
+    writeBoard(store);
+  }
+}
+
+function showCommand() {
+  const usage = 'node kanban-updater.js show --task-id="XXX" [--json]';
+  requireTaskId(usage);
+
+  const store = new KanbanStore(DATA_FILE).load();
+  const task = store.getTask(TASK_ID);
+  if (!task && store.isArchived(TASK_ID)) {
+    exitOnErrors([`Task #${TASK_ID} is archived. Show it with: node kanban-archive.js search --task-id="${TASK_ID}"`], usage);
+  }
+  if (!task) {
+    exitOnErrors([`Task #${TASK_ID} does not exist in kanban`], usage);
+  }
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify(task, null, 2));
+    return;
+  }
+
+  console.log(`📌 #${task.id} - ${task.title}`);
+  console.log(`   Column:      ${task.column}${formatSprint(task.sprint)}`);
+  console.log(`   Type:        ${task.type}`);
+  console.log(`   Priority:    ${task.priority}`);
+  console.log(`   Points:      ${task.points !== null ? task.points : '-'}`);
+  console.log(`   Assignee:    ${task.assignee || '-'}`);
+  console.log(`   Created:     ${task.created}`);
+  console.log(`   Status:      ${task.status || '-'}`);
+  if (task.description) {
+    console.log(`   Description: ${task.description}`);
+  }
+  if (task.dependencies.length > 0) {
+    const blocking = store.getBlockers(task.id).map(blocker => blocker.id);
+    console.log(`   Depends on:  ${task.dependencies.map(id => `#${id}${blocking.includes(id) ? ' (blocking)' : ''}`).join(', ')}`);
+  }
+  if (task.acceptance_criteria.length > 0) {
+    console.log('   Acceptance Criteria:');
+    task.acceptance_criteria.forEach(item => console.log(`     [${item.done ? 'x' : ' '}] ${item.text}`));
+  }
+  if (task.notes.length > 0) {
+    console.log('   Notes:');
+    task.notes.forEach(note => console.log(`     ${formatNote(note)}`));
+  }
+  if (task.history.length > 0) {
+    console.log('   History:');
+    task.history.forEach(entry => console.log(`     ${formatHistoryEntry(entry)}`));
+  }
+}
+
+function historyCommand() {
+  const usage = 'node kanban-updater.js history [--task-id="XXX"] [--actor="Monitor"] [--event=column_changed] [--since=YYYY-MM-DD]';
+  const errors = dataFileErrors();
+  const filter = {
+    taskId: TASK_ID,
+    actor: typeof args['actor'] === 'string' ? args['actor'] : undefined,
+    event: typeof args['event'] === 'string' ? args['event'] : undefined,
+    since: typeof args['since'] === 'string' ? args['since'] : undefined,
+    until: typeof args['until'] === 'string' ? args['until'] : undefined
+  };
+
+  if (filter.event && !HISTORY_EVENTS.includes(filter.event)) {
+    errors.push(`Invalid --event: "${filter.event}". Must be one of: ${HISTORY_EVENTS.join(', ')}`);
+  }
+  for (const option of ['since', 'until']) {
+    if (filter[option] && !/^\d{4}-\d{2}-\d{2}$/.test(filter[option])) {
+      errors.push(`Invalid --${option}: "${filter[option]}". Use YYYY-MM-DD`);
     }
-    return match;
-  });
+  }
+  exitOnErrors(errors, usage);
 
-  if (!cardRemoved) {
-    console.error(`❌ Card #${TASK_ID} not found in "${FROM_COLUMN}" column`);
-    console.error(`   Tip: Verify the card is currently in the "${FROM_COLUMN}" column in the kanban`);
+  const store = new KanbanStore(DATA_FILE).load();
+  if (TASK_ID && !store.getTask(TASK_ID)) {
+    exitOnErrors([`Task #${TASK_ID} does not exist in kanban`], usage);
+  }
+
+  const entries = store.queryHistory(filter);
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log('ℹ️  No history entries match');
+    return;
+  }
+
+  for (const entry of entries) {
+    console.log(`#${entry.task_id}  ${formatHistoryEntry(entry)}`);
+  }
+  console.log(`\n📜 ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`);
+}
+
+function noteCommand() {
+  const usage = 'node kanban-updater.js note --task-id="XXX" --text="Waiting on API keys"';
+  const text = typeof args['text'] === 'string' ? args['text'] : '';
+  exitOnErrors([
+    ...(TASK_ID ? [] : ['--task-id is required (e.g., --task-id="013")']),
+    ...(text.trim() ? [] : ['--text is required (the note)']),
+    ...dataFileErrors()
+  ], usage);
+
+  const store = new KanbanStore(DATA_FILE, { actor: ACTOR }).load();
+  if (!store.getTask(TASK_ID)) {
+    exitOnErrors([`Task #${TASK_ID} does not exist in kanban`], usage);
+  }
+
+  store.addNote(TASK_ID, text);
+  console.log(`✅ Added note to card #${TASK_ID}: ${text.trim()}`);
+
+  if (DRY_RUN) {
+    console.log('\n🔍 DRY RUN: Changes would be applied (files not modified)');
+  } else {
+    writeBoard(store);
+  }
+}
+
+function notesCommand() {
+  const usage = 'node kanban-updater.js notes [--task-id="XXX"] [--json]';
+  exitOnErrors(dataFileErrors(), usage);
+
+  const store = new KanbanStore(DATA_FILE).load();
+  if (TASK_ID && !store.getTask(TASK_ID)) {
+    exitOnErrors([`Task #${TASK_ID} does not exist in kanban`], usage);
+  }
+
+  const tasks = store.tasks.filter(task => (!TASK_ID || task.id === TASK_ID) && task.notes.length > 0);
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify(tasks.map(task => ({ id: task.id, title: task.title, notes: task.notes })), null, 2));
+    return;
+  }
+
+  if (tasks.length === 0) {
+    console.log('ℹ️  No notes');
+    return;
+  }
+
+  for (const task of tasks) {
+    console.log(`📌 #${task.id} - ${task.title}`);
+    task.notes.forEach(note => console.log(`   ${formatNote(note)}`));
+  }
+}
+
+function pruneNotesCommand() {
+  const usage = 'node kanban-updater.js prune-notes [--task-id="XXX"] --keep=5 | --before=YYYY-MM-DD';
+  const keep = args['keep'];
+  const before = args['before'];
+  const errors = dataFileErrors();
+
+  if (keep === undefined && before === undefined) {
+    errors.push('Pass --keep=N (newest notes to keep) and/or --before=YYYY-MM-DD');
+  }
+  if (keep !== undefined && !/^\d+$/.test(String(keep))) {
+    errors.push(`Invalid --keep: "${keep}". Must be a number (e.g., --keep=5)`);
+  }
+  if (before !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(String(before))) {
+    errors.push(`Invalid --before: "${before}". Use YYYY-MM-DD`);
+  }
+  exitOnErrors(errors, usage);
+
+  const store = new KanbanStore(DATA_FILE, { actor: ACTOR }).load();
+  if (TASK_ID && !store.getTask(TASK_ID)) {
+    exitOnErrors([`Task #${TASK_ID} does not exist in kanban`], usage);
+  }
+
+  const options = {
+    keep: keep !== undefined ? parseInt(keep, 10) : undefined,
+    before: before !== undefined ? String(before) : undefined
+  };
+
+  let total = 0;
+  for (const task of store.tasks.filter(item => !TASK_ID || item.id === TASK_ID)) {
+    const removed = store.pruneNotes(task.id, options);
+    if (removed.length === 0) continue;
+
+    total += removed.length;
+    console.log(`🗑️  #${task.id}: removed ${removed.length} note(s)`);
+    if (args['verbose']) {
+      removed.forEach(note => console.log(`     ${formatNote(note)}`));
+    }
+  }
+
+  if (total === 0) {
+    console.log('ℹ️  No notes to prune');
+    return;
+  }
+
+  console.log(`✅ Pruned ${total} note(s)`);
+
+  if (DRY_RUN) {
+    console.log('\n🔍 DRY RUN: Changes would be applied (files not modified)');
+  } else {
+    writeBoard(store);
+  }
+}
+
+function graphCommand() {
+  const usage = 'node kanban-updater.js graph [--task-id="XXX"] [--format=text|mermaid] [--json]';
+  const format = typeof args['format'] === 'string' ? args['format'] : 'text';
+  const errors = dataFileErrors();
+  if (!['text', 'mermaid'].includes(format)) {
+    errors.push(`Invalid --format: "${format}". Must be one of: text, mermaid`);
+  }
+  exitOnErrors(errors, usage);
+
+  const store = new KanbanStore(DATA_FILE).load();
+  if (TASK_ID && !store.getTask(TASK_ID)) {
+    exitOnErrors([`Task #${TASK_ID} does not exist in kanban`], usage);
+  }
+
+  // With --task-id, only the card and everything it (transitively) depends on
+  let tasks = store.tasks;
+  if (TASK_ID) {
+    const included = new Set();
+    const queue = [TASK_ID];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (included.has(id) || !store.getTask(id)) continue;
+      included.add(id);
+      queue.push(...store.getTask(id).dependencies);
+    }
+    tasks = tasks.filter(task => included.has(task.id));
+  }
+
+  const cycles = findDependencyCycles(tasks);
+  const withDependencies = tasks.filter(task => task.dependencies.length > 0);
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify({
+      nodes: tasks.map(task => ({ id: task.id, title: task.title, column: task.column, dependencies: task.dependencies })),
+      blocked: withDependencies
+        .map(task => ({ id: task.id, blocked_by: store.getBlockers(task.id).map(blocker => blocker.id) }))
+        .filter(item => item.blocked_by.length > 0),
+      cycles
+    }, null, 2));
+  } else if (format === 'mermaid') {
+    console.log('graph LR');
+    for (const task of tasks) {
+      console.log(`  T${task.id}["#${task.id} ${task.title.replace(/"/g, "'")} (${task.column})"]`);
+    }
+    for (const task of withDependencies) {
+      task.dependencies.forEach(id => console.log(`  T${id} --> T${task.id}`));
+    }
+  } else if (withDependencies.length === 0) {
+    console.log('ℹ️  No card declares dependencies (set them with: edit --task-id="XXX" --depends-on="001,002")');
+  } else {
+    for (const task of withDependencies) {
+      const blocking = store.getBlockers(task.id).map(blocker => blocker.id);
+      console.log(`${blocking.length > 0 ? '⛔' : '✅'} #${task.id} - ${task.title} [${task.column}]`);
+      for (const id of task.dependencies) {
+        const dependency = store.getTask(id);
+        console.log(`   ${blocking.includes(id) ? '✗' : '✓'} depends on ${formatDependency(dependency || { id, column: null })}`);
+      }
+    }
+  }
+
+  if (cycles.length > 0) {
+    console.error('');
+    cycles.forEach(cycle => console.error(`❌ Dependency cycle: ${[...cycle, cycle[0]].map(id => `#${id}`).join(' → ')}`));
     process.exit(1);
   }
+}
+
+function wipCommand() {
+  exitOnErrors(dataFileErrors(), 'node kanban-updater.js wip [--sprint=N] [--json]');
+
+  const store = new KanbanStore(DATA_FILE).load();
+  const config = WORKFLOW.wip_limits || {};
+  const sprintIds = SPRINT !== null ? [parseInt(SPRINT, 10)] : store.sprints.map(sprint => sprint.id);
+
+  const columns = [];
+  for (const sprint of sprintIds) {
+    for (const column of VALID_COLUMNS) {
+      const limit = getColumnWipLimit(config, column, sprint);
+      if (limit === null) continue;
+      const count = store.tasks.filter(task => task.column === column && task.sprint === sprint).length;
+      columns.push({ sprint, column, count, limit });
+    }
+  }
+
+  const assigneeColumns = config.assignee_columns || [];
+  const assignees = [...new Set(store.tasks.map(task => task.assignee).filter(Boolean))]
+    .map(assignee => ({
+      assignee,
+      count: store.tasks.filter(task => task.assignee === assignee && assigneeColumns.includes(task.column)).length,
+      limit: getAssigneeWipLimit(config, assignee)
+    }))
+    .filter(item => item.limit !== null);
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify({ columns, assignees }, null, 2));
+    return;
+  }
+
+  const icon = item => (item.count > item.limit ? '❌' : item.count === item.limit ? '⚠️ ' : '✅');
+  const width = Math.max(12, ...assignees.map(item => item.assignee.length));
+
+  if (columns.length === 0 && assignees.length === 0) {
+    console.log('ℹ️  No WIP limits configured (wip_limits in workflow-states.json)');
+    return;
+  }
+
+  for (const sprint of sprintIds) {
+    const rows = columns.filter(item => item.sprint === sprint);
+    if (rows.length === 0) continue;
+    console.log(`🗂️  Sprint ${sprint}`);
+    rows.forEach(item => console.log(`   ${icon(item)} ${item.column.padEnd(width)} ${item.count}/${item.limit}`));
+  }
+
+  if (assignees.length > 0) {
+    console.log(`👤 Assignees (${assigneeColumns.join(', ')})`);
+    assignees.forEach(item => console.log(`   ${icon(item)} ${item.assignee.padEnd(width)} ${item.count}/${item.limit}`));
+  }
+}
+
+function sprintCommand() {
+  const usage = 'node kanban-updater.js sprint [--sprint=N] [--name="..."] [--goal="..."] [--status=active] [--start=YYYY-MM-DD] [--end=YYYY-MM-DD]';
+  const errors = dataFileErrors();
+  if (SPRINT !== null && !/^[1-9]\d*$/.test(SPRINT)) {
+    errors.push(`Invalid --sprint: "${SPRINT}". Must be a sprint number (e.g., 2)`);
+  }
+
+  const changes = {};
+  for (const field of SPRINT_FIELDS) {
+    if (args[field] === undefined) continue;
+    const value = args[field] === true ? '' : String(args[field]);
+    changes[field] = (field === 'start' || field === 'end') && value === 'none' ? '' : value;
+  }
+  if (Object.keys(changes).length > 0 && SPRINT === null) {
+    errors.push('--sprint is required to change a sprint (e.g., --sprint=2)');
+  }
+  exitOnErrors(errors, usage);
+
+  const store = new KanbanStore(DATA_FILE, { actor: ACTOR }).load();
 
-  console.log(`✅ Removed card from "${FROM_COLUMN}" column`);
+  if (Object.keys(changes).length === 0) {
+    const sprints = SPRINT !== null ? store.sprints.filter(sprint => sprint.id === Number(SPRINT)) : store.sprints;
+    if (SPRINT !== null && sprints.length === 0) {
+      exitOnErrors([`Sprint ${SPRINT} does not exist in kanban`], usage);
+    }
 
-  // Add card to destination column
-  const toMarkerStart = `<!-- KANBAN_${TO_COLUMN.toUpperCase()}_START -->`;
-  const toMarkerEnd = `<!-- KANBAN_${TO_COLUMN.toUpperCase()}_END -->`;
+    if (JSON_OUTPUT) {
+      console.log(JSON.stringify(sprints, null, 2));
+      return;
+    }
+    for (const sprint of sprints) {
+      const count = store.tasks.filter(task => task.sprint === sprint.id).length;
+      const dates = sprint.start || sprint.end ? `  ${sprint.start || '?'} → ${sprint.end || '?'}` : '';
+      console.log(`🗂️  Sprint ${sprint.id}: ${sprint.name} [${sprint.status}]${dates}  (${count} card(s))`);
+      if (sprint.goal) console.log(`   🎯 ${sprint.goal}`);
+    }
+    return;
+  }
 
-  const toSectionRegex = new RegExp(
-    `${escapeRegex(toMarkerStart)}([\\s\\S]*?)${escapeRegex(toMarkerEnd)}`,
-    'g'
-  );
+  exitOnErrors(store.validateSprintFields(SPRINT, changes), usage);
+  const { sprint, changed } = store.updateSprint(SPRINT, changes);
 
-  kanbanHTML = kanbanHTML.replace(toSectionRegex, (match, content) => {
-    // Add card at the beginning of the column (prepend)
-    return `${toMarkerStart}\n          ${cardHTML}\n${content}${toMarkerEnd}`;
+  if (Object.keys(changed).length === 0) {
+    console.log(`ℹ️  Sprint ${sprint.id} already up to date`);
+    return;
+  }
+  for (const [field, change] of Object.entries(changed)) {
+    console.log(`✏️  Sprint ${sprint.id} ${field}: ${formatValue(change.from)} → ${formatValue(change.to)}`);
+  }
+
+  if (DRY_RUN) {
+    console.log('\n🔍 DRY RUN: Changes would be applied (files not modified)');
+  } else {
+    writeBoard(store);
+  }
+}
+
+function exportCommand() {
+  const usage = 'node kanban-updater.js export --output="board.csv" [--format=csv|json|github] [--sprint=N]';
+  const output = typeof args['output'] === 'string' ? args['output'] : null;
+  const format = typeof args['format'] === 'string' ? args['format'] : output && detectFormat(output);
+
+  const errors = [];
+  if (!output) {
+    errors.push('--output is required (e.g., --output="board.csv")');
+  } else if (!format) {
+    errors.push(`Can't tell the format from "${output}"; add --format=${FORMATS.join('|')}`);
+  } else if (!FORMATS.includes(format)) {
+    errors.push(`Invalid --format: "${format}". Must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (SPRINT !== null && !/^\d+$/.test(SPRINT)) {
+    errors.push(`Invalid --sprint: "${SPRINT}". Must be a sprint number (e.g., --sprint=2)`);
+  }
+  errors.push(...dataFileErrors());
+  exitOnErrors(errors, usage);
+
+  const store = new KanbanStore(DATA_FILE).load();
+  const count = store.tasks.filter(task => SPRINT === null || task.sprint === Number(SPRINT)).length;
+
+  if (DRY_RUN) {
+    console.log(`🔍 DRY RUN: ${count} card(s) would be written to ${output} (${format})`);
+    return;
+  }
+
+  fs.writeFileSync(output, exportBoard(store.data, format, store.workflow, { sprint: SPRINT }), 'utf8');
+  console.log(`✅ Exported ${count} card(s) to ${output} (${format})`);
+}
+
+function importCommand() {
+  const usage = 'node kanban-updater.js import --input="board.csv" [--format=csv|json|github] [--new-ids] [--dry-run]';
+  const input = typeof args['input'] === 'string' ? args['input'] : null;
+
+  const errors = [];
+  if (!input) {
+    errors.push('--input is required (e.g., --input="board.csv")');
+  } else if (!fs.existsSync(input)) {
+    errors.push(`Input file not found: ${input}`);
+  }
+  errors.push(...dataFileErrors());
+  exitOnErrors(errors, usage);
+
+  const content = fs.readFileSync(input, 'utf8');
+  const format = typeof args['format'] === 'string' ? args['format'] : detectFormat(input, content);
+  if (!FORMATS.includes(format)) {
+    exitOnErrors([format
+      ? `Invalid --format: "${format}". Must be one of: ${FORMATS.join(', ')}`
+      : `Can't tell the format from "${input}"; add --format=${FORMATS.join('|')}`], usage);
+  }
+
+  console.log(`📥 Importing: ${input} (${format})`);
+  console.log(`💾 Into: ${DATA_FILE}`);
+  if (DRY_RUN) console.log(`🔍 Mode: DRY RUN (no changes will be saved)`);
+  console.log('');
+
+  const store = new KanbanStore(DATA_FILE, { actor: ACTOR }).load();
+  const parsed = parseImport(content, format, store.workflow);
+  exitOnErrors(parsed.errors, usage);
+  if (parsed.ignoredColumns) {
+    console.warn(`⚠️  Ignoring unknown column(s): ${parsed.ignoredColumns.join(', ')}`);
+  }
+
+  const result = applyImport(store, parsed, { newIds: args['new-ids'] === true });
+
+  result.sprints.forEach(({ sprint, changed }) => {
+    console.log(`~ Sprint ${sprint.id}: ${describeChanges(changed)}`);
+  });
+  result.added.forEach(task => {
+    console.log(`+ #${task.id} ${task.title} (${task.column}, sprint ${task.sprint})`);
   });
+  result.updated.forEach(({ task, changed }) => {
+    console.log(`~ #${task.id} ${task.title}: ${describeChanges(changed)}`);
+  });
+  console.log(`\n📊 ${parsed.rows.length} row(s): ${result.added.length} added, ${result.updated.length} updated, ${result.unchanged.length} unchanged`);
 
-  console.log(`✅ Added card to "${TO_COLUMN}" column`);
+  if (result.errors.length > 0) {
+    console.error(`\n❌ ${result.errors.length} row(s) could not be imported (nothing was saved):\n`);
+    result.errors.forEach(error => console.error(`   - ${error}`));
+    process.exit(1);
+  }
+
+  const changes = result.added.length + result.updated.length + result.sprints.length;
+  if (changes === 0) {
+    console.log('\nℹ️  Nothing to change');
+  } else if (DRY_RUN) {
+    console.log('\n🔍 DRY RUN: Changes would be applied (files not modified)');
+  } else {
+    writeBoard(store);
+  }
+}
+
+function importHtmlCommand() {
+  console.log(`📥 Importing: ${KANBAN_FILE}`);
+  console.log(`💾 Into: ${DATA_FILE}`);
+  if (DRY_RUN) console.log(`🔍 Mode: DRY RUN (no changes will be saved)`);
+  console.log('');
+
+  const errors = [];
+  if (!fs.existsSync(KANBAN_FILE)) {
+    errors.push(`Kanban file not found: ${KANBAN_FILE}`);
+  }
+  if (fs.existsSync(DATA_FILE) && !FORCE) {
+    errors.push(`Kanban data file already exists: ${DATA_FILE} (use --force to overwrite)`);
+  }
+  exitOnErrors(errors, 'node kanban-updater.js import-html --kanban-file="docs/kanban/kanban_dev.html"');
 
-  // Check if anything actually changed
-  if (kanbanHTML === originalHTML) {
-    console.warn('⚠️  Warning: No changes were made to the kanban file');
-    console.warn('   This might indicate an issue with the update logic');
+  const html = fs.readFileSync(KANBAN_FILE, 'utf8');
+  const data = KanbanStore.createEmpty({ name: parseProjectName(html) || undefined });
+  data.sprints = parseSprints(html);
+
+  // Accept markers from older 5/7-column boards and map them onto the current columns
+  const markers = getColumnMarkers(WORKFLOW);
+  for (const legacyColumn of Object.keys(LEGACY_COLUMNS)) {
+    if (!markers[legacyColumn]) {
+      markers[legacyColumn] = {
+        start: `<!-- KANBAN_${legacyColumn.toUpperCase()}_START`,
+        end: `<!-- KANBAN_${legacyColumn.toUpperCase()}_END`
+      };
+    }
+  }
+
+  const seen = new Set();
+  for (const section of findColumnSections(html, markers)) {
+    const column = VALID_COLUMNS.includes(section.column) ? section.column : LEGACY_COLUMNS[section.column];
+
+    for (const card of findCards(html, section.contentStart, section.contentEnd)) {
+      const fields = parseCardFields(card.html);
+
+      if (seen.has(fields.id)) {
+        console.warn(`⚠️  Skipped duplicate card #${fields.id} in "${section.column}" column${formatSprint(section.sprint)}`);
+        continue;
+      }
+      seen.add(fields.id);
+
+      const task = KanbanStore.normalizeTask({
+        ...stripEmpty(fields),
+        column,
+        sprint: section.sprint !== null ? section.sprint : (fields.sprint || 1)
+      });
+      data.tasks.push(task);
+
+      if (column !== section.column) {
+        console.log(`   #${task.id}: "${section.column}" → "${column}"`);
+      }
+    }
+  }
+
+  // Every sprint a task refers to needs a board
+  for (const sprintId of new Set(data.tasks.map(task => task.sprint))) {
+    if (!data.sprints.some(sprint => sprint.id === sprintId)) {
+      data.sprints.push({ id: sprintId, name: `Sprint ${sprintId}`, goal: '', status: sprintId === 1 ? 'active' : 'planned' });
+    }
+  }
+  data.sprints.sort((a, b) => a.id - b.id);
+
+  console.log(`✅ Found ${data.tasks.length} cards across ${data.sprints.length} sprint(s)`);
+  for (const column of VALID_COLUMNS) {
+    console.log(`   ${column}: ${data.tasks.filter(task => task.column === column).length}`);
   }
 
-  // Write updated HTML (or show dry run)
   if (DRY_RUN) {
-    console.log('\n🔍 DRY RUN: Changes would be applied (file not modified)');
-    console.log('\n📄 Updated Card HTML:\n');
-    console.log(cardHTML);
+    console.log('\n🔍 DRY RUN: kanban.json would be written (file not modified)');
+    return;
+  }
+
+  const store = new KanbanStore(DATA_FILE).setData(data);
+  store.save();
+  console.log(`\n✅ Kanban data written: ${DATA_FILE}`);
+  console.log(`   Run "node kanban-updater.js render" to regenerate the board from it`);
+}
+
+function renderCommand() {
+  if (!fs.existsSync(DATA_FILE)) {
+    exitOnErrors([`Kanban data file not found: ${DATA_FILE}`], 'node kanban-updater.js render');
+  }
+
+  const store = new KanbanStore(DATA_FILE).load();
+
+  if (DRY_RUN) {
+    console.log(`🔍 DRY RUN: ${KANBAN_FILE} would be regenerated from ${store.tasks.length} tasks`);
+    return;
+  }
+
+  store.saveViews([boardView()]);
+  console.log(`✅ Kanban file rendered: ${KANBAN_FILE} (${store.tasks.length} tasks)`);
+}
+
+function lintCommand() {
+  const usage = 'node kanban-updater.js lint [--fix] [--dry-run] [--json]';
+  const fix = args['fix'] === true;
+  if (!fs.existsSync(DATA_FILE) && !fs.existsSync(KANBAN_FILE)) {
+    exitOnErrors([`Neither ${DATA_FILE} nor ${KANBAN_FILE} exists`], usage);
+  }
+
+  let { problems, store } = lintBoard();
+
+  if (fix && !JSON_OUTPUT) {
+    const fixable = problems.filter(problem => problem.fix);
+    if (fixable.length === 0) {
+      console.log('🔧 Nothing --fix can repair\n');
+    } else if (DRY_RUN) {
+      console.log(`🔍 DRY RUN: --fix would repair ${fixable.length} problem(s):`);
+      fixable.filter(problem => problem.fix.kind !== 'render')
+        .forEach(problem => console.log(`   - ${displayPath(problem.file)}:${problem.line}:${problem.column}  ${problem.message}`));
+      if (fixable.some(problem => problem.fix.kind === 'render')) {
+        console.log(`   - Regenerate ${KANBAN_FILE} from kanban.json`);
+      }
+      console.log('');
+    } else {
+      const applied = applyStoreFixes(store, fixable);
+      // Rendering drops cards that exist only in the HTML, so kanban.json fixes alone don't re-render then
+      const htmlOnly = problems.some(problem => problem.rule === 'card-not-in-store');
+      const render = fixable.some(problem => problem.fix.kind === 'render') || (applied.length > 0 && !htmlOnly);
+      const views = render ? [boardView()] : [];
+
+      if (applied.length > 0) {
+        store.save({ views });
+        applied.forEach(change => console.log(`🔧 ${change}`));
+        console.log(`✅ Kanban data updated: ${DATA_FILE}`);
+      } else {
+        store.saveViews(views);
+      }
+      if (views.length > 0) {
+        console.log(`✅ Kanban file regenerated: ${KANBAN_FILE}`);
+      }
+      console.log('');
+      ({ problems } = lintBoard());
+    }
+  }
+
+  if (JSON_OUTPUT) {
+    console.log(JSON.stringify(problems.map(problem => ({ ...problem, file: displayPath(problem.file) })), null, 2));
+  } else if (problems.length === 0) {
+    console.log(`✅ No problems found in ${[DATA_FILE, KANBAN_FILE].filter(file => fs.existsSync(file)).map(displayPath).join(' and ')}`);
   } else {
-    fs.writeFileSync(KANBAN_FILE, kanbanHTML, 'utf8');
-    console.log(`\n✅ Kanban file updated: ${KANBAN_FILE}`);
-    console.log(`\n🎯 Summary: Task #${TASK_ID} moved from "${FROM_COLUMN}" → "${TO_COLUMN}"`);
+    problems.forEach(problem => console.log(formatProblem(problem)));
+    const errors = problems.filter(problem => problem.severity === 'error').length;
+    const fixable = problems.filter(problem => problem.fix).length;
+    console.log(`\n📊 ${problems.length} problem(s): ${errors} error(s), ${problems.length - errors} warning(s)` +
+      (fixable > 0 && !fix ? ` (${fixable} fixable with --fix)` : ''));
   }
 
-  console.log('\n✅ Operation complete!');
+  if (problems.some(problem => problem.severity === 'error')) {
+    process.exit(1);
+  }
 }
 
 // ====================
 // HELPER FUNCTIONS
 // ====================
 
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function writeBoard(store) {
+  store.save({ views: [boardView()] });
+  console.log(`\n✅ Kanban data updated: ${DATA_FILE}`);
+  console.log(`✅ Kanban file updated: ${KANBAN_FILE}`);
+}
+
+/**
+ * Lint kanban.json and kanban_dev.html (whichever exist)
+ * @returns {Object} - { problems (sorted), store (null without a valid kanban.json) }
+ */
+function lintBoard() {
+  const problems = [];
+  let store = null;
+
+  if (fs.existsSync(DATA_FILE)) {
+    const content = fs.readFileSync(DATA_FILE, 'utf8');
+    const syntaxError = lintJsonSyntax(content, DATA_FILE);
+    if (syntaxError) {
+      problems.push(syntaxError);
+    } else {
+      store = new KanbanStore(DATA_FILE).load();
+      problems.push(...lintStore(store, content));
+    }
+  }
+
+  if (fs.existsSync(KANBAN_FILE)) {
+    const templatePath = TEMPLATE_FILE || DEFAULT_TEMPLATE_PATH;
+    problems.push(...lintBoardHtml(fs.readFileSync(KANBAN_FILE, 'utf8'), WORKFLOW, {
+      filePath: KANBAN_FILE,
+      templateHtml: fs.existsSync(templatePath) ? fs.readFileSync(templatePath, 'utf8') : null,
+      store
+    }));
+  }
+
+  return { problems: sortProblems(problems), store };
+}
+
+function formatProblem(problem) {
+  const where = `${displayPath(problem.file)}:${problem.line}:${problem.column}`;
+  return `${where}  ${problem.severity.padEnd(7)}  ${problem.rule.padEnd(20)}  ${problem.message}${problem.fix ? '  [fixable]' : ''}`;
+}
+
+function displayPath(file) {
+  const relative = path.relative(process.cwd(), file);
+  return relative.startsWith('..') ? file : relative;
+}
+
+function boardView() {
+  return { file: KANBAN_FILE, render: data => renderBoard(data, { templatePath: TEMPLATE_FILE, offline: OFFLINE }) };
+}
+
+function formatHistoryEntry(entry) {
+  const when = entry.timestamp.replace('T', ' ').slice(0, 16);
+  return `${when}  ${(entry.actor || '-').padEnd(12)}  ${describeHistoryEntry(entry)}`;
+}
+
+function enforceWipLimits(violations) {
+  if (violations.length === 0) return;
+
+  if (!FORCE) {
+    console.error('❌ WIP limit reached:');
+    violations.forEach(violation => console.error(`   - ${violation.scope} ${describeWipViolation(violation)}`));
+    console.error(`   Use --force to override (the override is recorded in the card history)`);
+    process.exit(1);
+  }
+  console.warn(`⚠️  Exceeding WIP limit: ${violations.map(describeWipViolation).join(', ')}`);
+}
+
+function formatDependency(dependency) {
+  if (dependency.column === null) return `#${dependency.id} (missing)`;
+  return `#${dependency.id} - ${dependency.title} [${dependency.column}]`;
+}
+
+function formatNote(note) {
+  const when = note.timestamp.replace('T', ' ').slice(0, 16);
+  return `${when}  ${(note.actor || '-').padEnd(12)}  ${note.text}`;
+}
+
+function describeChanges(changed) {
+  return Object.entries(changed)
+    .map(([field, { from, to }]) => `${field} ${formatValue(from)} → ${formatValue(to)}`)
+    .join(', ');
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '(none)';
+  if (Array.isArray(value)) return `${value.length} item(s)`;
+  return `"${value}"`;
+}
+
+function stripEmpty(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== null && value !== ''));
+}
+
+function formatSprint(sprint) {
+  return sprint !== null && sprint !== undefined ? ` (sprint ${sprint})` : '';
 }
 
 // ====================
@@ -249,37 +1252,166 @@ function escapeRegex(str) {
 
 if (args['help'] || args['h']) {
   console.log(`
-🤖 Kanban Updater - AI-DOCS Framework v1.0.0
+🤖 Kanban Updater - AI-DOCS Framework v2.0.0
 
 USAGE:
-  node kanban-updater.js --task-id="XXX" --from-column="ready" --to-column="in_progress"
+  node kanban-updater.js [command] [options]
+
+COMMANDS:
+  move            Move a card between columns/sprints (default)
+  add             Create a card (next free numeric ID is assigned automatically)
+  edit            Change card fields
+  delete          Remove a card
+  show            Print a card's fields and history (--json for raw output)
+  history         Print the audit trail (all cards, or one with --task-id)
+  note            Add a timestamped note to a card
+  notes           List notes (all cards, or one with --task-id)
+  prune-notes     Remove old notes from one card (--task-id) or all cards
+  graph           Print the dependency graph and detect cycles (exit 1 on a cycle)
+  wip             Print WIP counts against the limits (--sprint=N for one sprint)
+  sprint          List sprints, or change one (--sprint=N with the options below)
+  export          Write cards to CSV, JSON or GitHub Issues JSON
+  import          Add or update cards from a CSV, JSON or GitHub Issues JSON file
+  import-html     Convert an existing kanban_dev.html board into kanban.json
+  render          Regenerate kanban_dev.html from kanban.json
+  lint            Check kanban.json and kanban_dev.html (exit 1 on errors)
 
-REQUIRED OPTIONS:
+MOVE OPTIONS:
   --task-id       Task ID (e.g., "013", no # symbol)
-  --from-column   Source column: backlog, ready, in_progress, review, qa, staging, done
-  --to-column     Destination column: backlog, ready, in_progress, review, qa, staging, done
+  --from-column   Source column: ${VALID_COLUMNS.join(', ')}
+  --to-column     Destination column: ${VALID_COLUMNS.join(', ')}
+  --sprint        Destination sprint board (defaults to the card's current sprint)
+  --status        Update card status: ${VALID_STATUSES.join(', ')}
+  --add-note      Add a timestamped note to the card (the description is kept)
+  --force         Allow a move outside next_states in workflow-states.json, a start
+                  while dependencies are not Live, or a move over a WIP limit
+                  (recorded in history)
+
+HISTORY OPTIONS:
+  --task-id       Only this card
+  --actor         Only entries by this actor (e.g., "Monitor", "[Syntax]")
+  --event         Only this event: ${HISTORY_EVENTS.join(', ')}
+  --since         From this date (YYYY-MM-DD)
+  --until         Up to this date (YYYY-MM-DD)
+  --json          Raw JSON output
+
+GRAPH OPTIONS:
+  --task-id       Only this card and its (transitive) dependencies
+  --format        text (default) or mermaid
+  --json          Nodes, blocked cards and cycles as JSON
 
-OPTIONAL:
-  --status        Update card status: completed, blocked, review
-  --add-note      Add note to card description (text)
+NOTE OPTIONS:
+  --text          note: the note text
+  --keep          prune-notes: number of newest notes to keep per card
+  --before        prune-notes: remove notes older than this date (YYYY-MM-DD)
+  --verbose       prune-notes: print the removed notes
+
+SPRINT OPTIONS:
+  --sprint        Sprint number (omit to list all sprints)
+  --name          Sprint board title
+  --goal          Sprint goal
+  --status        planned, active, complete (active/complete fill in a missing start/end date)
+  --start, --end  Sprint window, YYYY-MM-DD ("none" to clear); used for burndown and velocity
+
+EXPORT / IMPORT OPTIONS:
+  --output        export: file to write; the format follows the extension (.csv, .json)
+  --input         import: file to read (a .json array of issues is read as GitHub issues)
+  --format        ${FORMATS.join(', ')} (overrides the extension)
+  --sprint        export: only this sprint's cards
+  --new-ids       import: add every row as a new card instead of updating cards with the same ID
+  Types, priorities, statuses and columns may be IDs or display names from
+  workflow-states.json ("In Progress", "High"). Column changes skip next_states and
+  WIP limits and are recorded as forced moves.
+
+LINT OPTIONS:
+  --fix           Repair what is safe (names/aliases to IDs, sizes to points, repeated
+                  dependencies, missing sprints) and regenerate kanban_dev.html
+  --json          Problems as JSON (file, line, column, severity, rule, message)
+
+CARD FIELD OPTIONS (add/edit):
+  --title         Card title (required for add)
+  --description   Short description
+  --type          ${(WORKFLOW.card_properties?.task_types || []).map(type => type.id).join(', ')}
+  --priority      ${(WORKFLOW.card_properties?.priorities || []).map(priority => priority.id).join(', ')}
+  --points        Story points (e.g., 3) or a size: ${Object.keys(WORKFLOW.estimation?.sizes || {}).join(', ')} ("none" to clear)
+  --sprint        Sprint number (a new sprint board is created if needed)
+  --assignee      Assignee (e.g., "[Syntax]")
+  --created       Creation date, YYYY-MM-DD (default: today)
+  --status        ${VALID_STATUSES.join(', ')}, or "none" to clear
+  --criteria      Acceptance criteria, separated by "|"
+  --depends-on    IDs this card depends on, separated by "," ("none" to clear)
+  --column        add only: starting column (default: backlog)
+  --id            add only: explicit task ID (default: next free ID)
+
+COMMON OPTIONS:
   --kanban-file   Custom path to kanban HTML file
-  --dry-run       Preview changes without modifying file
+  --data-file     Custom path to kanban.json (default: next to the kanban HTML file)
+  --template      Custom kanban HTML template for rendering
+  --actor         Who is making the change (default: ${DEFAULT_ACTOR}; e.g., "Monitor", "[Syntax]")
+  --offline       true/false: inline Tailwind CSS and Lucide icons (default: board_render.offline
+                  in workflow-states.json; false loads them from their CDNs)
+  --force         import-html: overwrite an existing kanban.json
+  --dry-run       Preview changes without modifying files
   --help, -h      Show this help message
 
 EXAMPLES:
-  # Move task from Ready to In Progress
-  node kanban-updater.js --task-id="010" --from-column="ready" --to-column="in_progress"
+  # Move task from Backlog to In Progress
+  node kanban-updater.js --task-id="010" --from-column="backlog" --to-column="in_progress"
 
-  # Complete task and move to Done
-  node kanban-updater.js --task-id="013" --from-column="staging" --to-column="done" \\
+  # Complete task and move to Live
+  node kanban-updater.js --task-id="013" --from-column="qa" --to-column="live" \\
     --status="completed" --add-note="Deployed successfully"
 
+  # Move an unfinished task to Sprint 3's backlog
+  node kanban-updater.js --task-id="021" --from-column="in_progress" --to-column="backlog" --sprint=3
+
   # Dry run to preview changes
-  node kanban-updater.js --task-id="013" --from-column="in_progress" --to-column="review" --dry-run
+  node kanban-updater.js --task-id="013" --from-column="in_progress" --to-column="qa" --dry-run
+
+  # Create, change, inspect and remove a card
+  node kanban-updater.js add --title="User login page" --type=feature --priority=high --sprint=1 \\
+    --assignee="[Aesthetica]" --criteria="Form validates email|Errors are shown inline"
+  node kanban-updater.js edit --task-id="014" --priority=medium --assignee="[Syntax]"
+  node kanban-updater.js edit --task-id="014" --points=M
+  node kanban-updater.js show --task-id="014"
+  node kanban-updater.js delete --task-id="014"
+
+  # Dependencies: #015 can't start before #012 and #013 are Live
+  node kanban-updater.js edit --task-id="015" --depends-on="012,013"
+  node kanban-updater.js graph
+
+  # WIP: counts against wip_limits in workflow-states.json
+  node kanban-updater.js wip
+
+  # Sprints: close Sprint 1 and start Sprint 2 (burndown: kanban-metrics.js --report=sprint)
+  node kanban-updater.js sprint --sprint=1 --status=complete
+  node kanban-updater.js sprint --sprint=2 --status=active --end=2026-02-13
+
+  # Notes: add, list, and keep only the 5 newest per card
+  node kanban-updater.js note --task-id="014" --text="Blocked on API keys from [Sentinal]"
+  node kanban-updater.js notes --task-id="014"
+  node kanban-updater.js prune-notes --keep=5
+
+  # Audit trail: one card, or everything the Monitor did this month
+  node kanban-updater.js history --task-id="014"
+  node kanban-updater.js history --actor="Monitor" --since=2026-02-01
+
+  # Spreadsheet round trip, and an export for a GitHub import script
+  node kanban-updater.js export --output=board.csv
+  node kanban-updater.js import --input=board.csv --dry-run
+  node kanban-updater.js export --output=issues.json --format=github --sprint=2
+
+  # Convert an existing HTML board into kanban.json, then regenerate the HTML
+  node kanban-updater.js import-html
+  node kanban-updater.js render
+
+  # Check the board after a hand edit, then repair what is safe
+  node kanban-updater.js lint
+  node kanban-updater.js lint --fix
 
 CONFIGURATION:
-  Default kanban path: docs/kanban/kanban_dev.html
-  Override with: --kanban-file="/path/to/kanban.html"
+  Default kanban path: docs/kanban/kanban_dev.html (data: docs/kanban/kanban.json)
+  Override with: --kanban-file="/path/to/kanban.html" --data-file="/path/to/kanban.json"
 
 For more information: /docs-framework/docs/AUTOMATION-GUIDE.md
   `);
@@ -290,8 +1422,38 @@ For more information: /docs-framework/docs/AUTOMATION-GUIDE.md
 // EXECUTE
 // ====================
 
+const COMMANDS = {
+  'move': moveCommand,
+  'add': addCommand,
+  'edit': editCommand,
+  'delete': deleteCommand,
+  'show': showCommand,
+  'history': historyCommand,
+  'note': noteCommand,
+  'notes': notesCommand,
+  'prune-notes': pruneNotesCommand,
+  'graph': graphCommand,
+  'wip': wipCommand,
+  'sprint': sprintCommand,
+  'export': exportCommand,
+  'import': importCommand,
+  'import-html': importHtmlCommand,
+  'render': renderCommand,
+  'lint': lintCommand
+};
+
 try {
-  main();
+  console.log('🤖 Kanban Updater v2.0.0\n');
+
+  if (!COMMANDS[COMMAND]) {
+    console.error(`❌ Unknown command: "${COMMAND}". Must be one of: ${Object.keys(COMMANDS).join(', ')}`);
+    process.exit(1);
+  }
+
+  retryOnConflict(COMMANDS[COMMAND], {
+    onRetry: (error, attempt) => console.warn(`\n⚠️  ${error.message}; re-running on the new data (attempt ${attempt + 1})\n`)
+  });
+  console.log('\n✅ Operation complete!');
 } catch (error) {
   console.error('\n❌ ERROR:', error.message);
   console.error('\nStack trace:', error.stack);
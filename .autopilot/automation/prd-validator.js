@@ -8,6 +8,7 @@
  * - Structure analysis and quality scoring
  * - Field extraction for setup form pre-fill
  * - Task extraction preview
+ * - Story point estimates from PRD hints ("(3 pts)", "Points: 5", "Size: M")
  * - Actionable improvement suggestions
  * - PRD enhancement capabilities
  *
@@ -17,6 +18,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadWorkflowStates } = require('./kanban-html');
+const { parsePoints } = require('./kanban-store');
 
 // Patterns for detecting PRD structure elements
 const STRUCTURE_PATTERNS = {
@@ -81,6 +84,13 @@ const STRUCTURE_PATTERNS = {
     checkbox: /^[-*]\s+\[\s*[x ]?\s*\]\s+(.+)/gim
   },
 
+  // Estimate hints on a feature heading, in its section, or on a user story line
+  // Sizes ("M") are mapped to points by estimation.sizes in workflow-states.json
+  estimatePatterns: [
+    /\((\d+(?:\.\d+)?)\s*(?:pts?|points?|sp)\)/i,                                     // (3 pts)
+    /\(?\b(?:story\s*points|points|pts|estimate|size)\**\s*[:=]\s*\**\s*(\d+(?:\.\d+)?|[A-Z]{1,3})\b\**\)?/i  // Points: 3, Size: M
+  ],
+
   // Sprint/milestone patterns
   sprintPatterns: [
     /^##\s+(Sprint\s+\d+)[:\s-]*(.*)$/gim,
@@ -100,11 +110,12 @@ const QUALITY_WEIGHTS = {
 };
 
 class PRDValidator {
-  constructor(prdPath) {
+  constructor(prdPath, options = {}) {
     this.prdPath = prdPath;
     this.content = '';
     this.lines = [];
     this.analysis = null;
+    this.workflow = options.workflow || loadWorkflowStates();
   }
 
   /**
@@ -264,8 +275,45 @@ class PRDValidator {
     return info;
   }
 
+  /**
+   * Find a story point estimate hint in a piece of PRD text
+   * @param {string} text - Heading, section or user story text
+   * @returns {Object|null} - { points, hint } with the matched hint text, or null
+   */
+  findEstimate(text) {
+    for (const pattern of STRUCTURE_PATTERNS.estimatePatterns) {
+      const match = text.match(pattern);
+      if (!match) continue;
+      const points = parsePoints(match[1], this.workflow);
+      if (points !== undefined && points !== null) {
+        return { points, hint: match[0].trim() };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remove an estimate hint from a title ("Login (3 pts)" → "Login")
+   */
+  stripEstimate(text, estimate) {
+    if (!estimate) return text.trim();
+    return text.replace(estimate.hint, '').replace(/\s*[-–—:|,]?\s*$/, '').replace(/\s{2,}/g, ' ').trim();
+  }
+
+  /**
+   * Lines of a ### feature section (up to the next heading)
+   */
+  sectionBody(headingLine) {
+    const body = [];
+    for (let i = headingLine; i < this.lines.length && !/^#{1,3}\s/.test(this.lines[i]); i++) {
+      body.push(this.lines[i]);
+    }
+    return body.join('\n');
+  }
+
   /**
    * Extract potential tasks from PRD
+   * Features and user stories carry `points` (null without an estimate hint).
    */
   extractTasks() {
     const tasks = {
@@ -282,10 +330,12 @@ class PRDValidator {
     const featureMatches = this.extractAll(STRUCTURE_PATTERNS.taskPatterns.featureHeading);
     for (const match of featureMatches) {
       if (match.groups[0] && !match.groups[0].toLowerCase().includes('feature')) {
+        const estimate = this.findEstimate(match.groups[0]) || this.findEstimate(this.sectionBody(match.line));
         tasks.fromFeatures.push({
-          title: match.groups[0].trim(),
+          title: this.stripEstimate(match.groups[0], this.findEstimate(match.groups[0])),
           line: match.line,
-          type: 'feature'
+          type: 'feature',
+          points: estimate ? estimate.points : null
         });
       }
     }
@@ -293,12 +343,15 @@ class PRDValidator {
     // Extract user stories
     const storyMatches = this.extractAll(STRUCTURE_PATTERNS.taskPatterns.userStory);
     for (const match of storyMatches) {
+      const estimate = this.findEstimate(match.full);
+      const benefit = match.groups[2] ? this.stripEstimate(match.groups[2], estimate) : null;
       tasks.fromUserStories.push({
         role: match.groups[0],
-        action: match.groups[1],
-        benefit: match.groups[2] || null,
+        action: match.groups[2] ? match.groups[1] : this.stripEstimate(match.groups[1], estimate),
+        benefit: benefit || null,
         line: match.line,
-        type: 'user_story'
+        type: 'user_story',
+        points: estimate ? estimate.points : null
       });
     }
 
@@ -316,6 +369,12 @@ class PRDValidator {
     tasks.total = tasks.fromFeatures.length +
                   tasks.fromUserStories.length;
 
+    const estimated = [...tasks.fromFeatures, ...tasks.fromUserStories].filter(task => task.points !== null);
+    tasks.estimates = {
+      estimated: estimated.length,
+      total_points: estimated.reduce((sum, task) => sum + task.points, 0)
+    };
+
     // Group by section
     const sections = this.content.split(/^##\s+/m);
     for (let i = 1; i < sections.length; i++) {
@@ -604,6 +663,11 @@ class PRDValidator {
     if (tasks.fromUserStories.length > 0) {
       lines.push(`  • ${tasks.fromUserStories.length} from user stories`);
     }
+    if (tasks.estimates.estimated > 0) {
+      lines.push(`  • ${tasks.estimates.estimated} of ${summary.totalTasks} estimated (${tasks.estimates.total_points} points)`);
+    } else {
+      lines.push('  ⚠ No estimates found (add hints such as "(3 pts)" or "Size: M")');
+    }
     lines.push('');
 
     // Sprint organization
@@ -686,8 +750,18 @@ class PRDValidator {
         total_sprints: sprints.length,
         user_stories: tasks.fromUserStories.length,
         features: tasks.fromFeatures.length,
-        acceptance_criteria: tasks.fromCheckboxes.length
+        acceptance_criteria: tasks.fromCheckboxes.length,
+        estimated_tasks: tasks.estimates.estimated,
+        total_points: tasks.estimates.total_points
       },
+      // Titles with their estimates, for `kanban-updater.js add --points`
+      estimates: [...tasks.fromFeatures, ...tasks.fromUserStories]
+        .filter(task => task.points !== null)
+        .map(task => ({
+          title: task.title || task.action,
+          points: task.points,
+          line: task.line
+        })),
       sprints: sprints.map(s => ({
         name: s.name,
         description: s.description
@@ -710,7 +784,8 @@ Usage:
 Options:
   --report          Generate full analysis report (default)
   --json            Output analysis as JSON
-  --setup-data      Output setup form pre-fill data as JSON
+  --setup-data      Output setup form pre-fill data as JSON (includes story point
+                    estimates read from hints like "(3 pts)", "Points: 5", "Size: M")
   --suggestions     Show only improvement suggestions
   --score           Show only quality score
   --help, -h        Show this help
@@ -0,0 +1,231 @@
+/**
+ * task-worktree.js
+ *
+ * Gives evaluate-progression.js a checkout of each task's feature branch
+ * (git.feature_prefix in placeholders.json + task ID, e.g. feature/014), so
+ * the gates of several tasks each check their own code rather than whatever
+ * branch the project has checked out.
+ *
+ * A branch that is already checked out, in the project or in a worktree of
+ * the developer's, is used where it is (uncommitted changes included).
+ * Otherwise a git worktree is added under <git dir>/gate-worktrees/<task ID>
+ * the first time one of the task's gates needs it (cached results don't),
+ * worktrees.setup_command runs in it (e.g. npm ci), and it is removed once
+ * the task's gates are done. Worktrees left behind by an interrupted run are
+ * removed when the next run starts.
+ *
+ * Only tasks in worktrees.columns (quality-gates.json) are mapped to a
+ * branch; Backlog tasks have none yet and are evaluated in the project.
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync, exec } = require('child_process');
+const { git } = require('./gate-cache');
+
+const PLACEHOLDERS_FILE = path.join(__dirname, '..', 'config', 'placeholders.json');
+
+// Branch prefix when placeholders.json has none configured
+const DEFAULT_FEATURE_PREFIX = 'feature/';
+
+// Directory inside the git directory holding the worktrees
+const WORKTREES_DIRNAME = 'gate-worktrees';
+
+// Columns whose tasks are evaluated on their branch unless worktrees.columns says otherwise
+const DEFAULT_COLUMNS = ['in_progress', 'qa'];
+
+// Time allowed for worktrees.setup_command unless worktrees.setup_timeout_seconds is set
+const DEFAULT_SETUP_TIMEOUT_SECONDS = 600;
+
+class TaskWorktrees {
+    /**
+     * @param {string} rootDir - Project root (its checkout is used for tasks without a branch)
+     * @param {string} worktreesDir - Directory new worktrees are added under
+     * @param {Object} config - worktrees section of quality-gates.json
+     */
+    constructor(rootDir, worktreesDir, config = {}) {
+        this.rootDir = rootDir;
+        this.worktreesDir = worktreesDir;
+        this.columns = config.columns || DEFAULT_COLUMNS;
+        this.setupCommand = config.setup_command || null;
+        this.setupTimeoutSeconds = config.setup_timeout_seconds || DEFAULT_SETUP_TIMEOUT_SECONDS;
+    }
+
+    /**
+     * Worktrees for a project, or null when off (worktrees.enabled false) or
+     * not a git repository. Leftovers of an earlier run are removed.
+     * @param {Object} config - worktrees section of quality-gates.json
+     * @param {string} cwd - Project root
+     * @returns {TaskWorktrees|null}
+     */
+    static open(config = {}, cwd = process.cwd()) {
+        if (config.enabled === false) return null;
+
+        const gitDir = git('rev-parse --git-common-dir', cwd);
+        if (!gitDir) return null;
+
+        const worktrees = new TaskWorktrees(cwd, path.join(path.resolve(cwd, gitDir), WORKTREES_DIRNAME), config);
+        worktrees.removeStale();
+        return worktrees;
+    }
+
+    /**
+     * Where a task's gates run
+     * @param {Object} task - Task record
+     * @param {string} branch - The task's feature branch
+     * @returns {TaskCheckout|Object} - A checkout, or { branch, error } when the branch is missing
+     */
+    checkout(task, branch) {
+        if (!this.columns.includes(task.column)) {
+            return new TaskCheckout(this, { branch: null, dir: this.rootDir });
+        }
+
+        const checkedOut = listWorktrees(this.rootDir).find(worktree => worktree.branch === `refs/heads/${branch}`);
+        if (checkedOut) {
+            return new TaskCheckout(this, { branch, dir: checkedOut.path });
+        }
+
+        if (git(`rev-parse --verify --quiet "refs/heads/${branch}"`, this.rootDir) === null) {
+            return { branch, error: `Branch ${branch} does not exist` };
+        }
+
+        return new TaskCheckout(this, { branch, dir: path.join(this.worktreesDir, task.id), added: true });
+    }
+
+    /**
+     * Remove worktrees left under worktreesDir (an interrupted run)
+     */
+    removeStale() {
+        if (!fs.existsSync(this.worktreesDir)) return;
+
+        for (const name of fs.readdirSync(this.worktreesDir)) {
+            removeWorktree(this.rootDir, path.join(this.worktreesDir, name));
+        }
+        git('worktree prune', this.rootDir);
+    }
+}
+
+/**
+ * A task's branch and the directory its gates run in
+ */
+class TaskCheckout {
+    /**
+     * @param {TaskWorktrees} worktrees - Owner
+     * @param {Object} spec - { branch, dir, added }: added when a worktree is made for the task
+     */
+    constructor(worktrees, { branch, dir, added = false }) {
+        this.worktrees = worktrees;
+        this.branch = branch;
+        this.dir = dir;
+        this.added = added;
+        this.pending = null;
+    }
+
+    /**
+     * Repository state the task's results belong to (see gate-cache.js repoState)
+     * A worktree not yet added is the branch as committed, so never dirty.
+     * @param {Function} repoState - gate-cache.js repoState
+     * @param {Array} ignorePaths - Paths relative to the repository root to leave out
+     * @returns {Object|null} - { sha, dirty }
+     */
+    state(repoState, ignorePaths) {
+        return this.added
+            ? repoState(this.worktrees.rootDir, ignorePaths, this.branch)
+            : repoState(this.dir, ignorePaths);
+    }
+
+    /**
+     * Directory to run a gate in, adding the worktree on first use
+     * Gates of a task run side by side, so they share one add and setup.
+     * @returns {Promise<string>}
+     */
+    ready() {
+        if (!this.added) return Promise.resolve(this.dir);
+        if (!this.pending) {
+            this.pending = this.add();
+        }
+        return this.pending;
+    }
+
+    async add() {
+        const { rootDir, setupCommand, setupTimeoutSeconds } = this.worktrees;
+
+        fs.mkdirSync(path.dirname(this.dir), { recursive: true });
+        try {
+            execSync(`git worktree add "${this.dir}" "${this.branch}"`, { cwd: rootDir, encoding: 'utf8', stdio: 'pipe' });
+        } catch (error) {
+            throw new Error(`Could not check out ${this.branch}: ${(error.stderr || error.message).trim().split('\n')[0]}`);
+        }
+
+        if (setupCommand) {
+            await new Promise((resolve, reject) => {
+                exec(setupCommand, { cwd: this.dir, timeout: setupTimeoutSeconds * 1000, maxBuffer: 10 * 1024 * 1024 }, error => {
+                    if (!error) return resolve();
+                    const why = error.killed ? `timed out after ${setupTimeoutSeconds}s` : `exit code ${error.code}`;
+                    reject(new Error(`Worktree setup "${setupCommand}" failed (${why})`));
+                });
+            });
+        }
+        return this.dir;
+    }
+
+    /**
+     * Remove the worktree once the task's gates are done (no-op for existing checkouts)
+     */
+    async release() {
+        if (!this.pending) return;
+        await this.pending.catch(() => {});
+        removeWorktree(this.worktrees.rootDir, this.dir);
+        this.pending = null;
+    }
+}
+
+/**
+ * Feature branch of a task (git.feature_prefix in placeholders.json + task ID)
+ * The same branch kanban-github.js reads the pull request of.
+ * @param {string} taskId
+ * @returns {string}
+ */
+function featureBranch(taskId) {
+    let prefix = DEFAULT_FEATURE_PREFIX;
+    try {
+        const placeholders = JSON.parse(fs.readFileSync(PLACEHOLDERS_FILE, 'utf8'));
+        const configured = placeholders.git && placeholders.git.feature_prefix;
+        if (configured && !/^\[.*\]$/.test(configured)) prefix = configured;
+    } catch (error) {
+        // No readable placeholders.json: keep the default prefix
+    }
+    return `${prefix}${taskId}`;
+}
+
+/**
+ * Worktrees of a repository: [{ path, branch }] (branch as refs/heads/..., null when detached)
+ */
+function listWorktrees(cwd) {
+    const output = git('worktree list --porcelain', cwd) || '';
+    return output.split('\n\n').filter(Boolean).map(block => {
+        const fields = {};
+        for (const line of block.split('\n')) {
+            const space = line.indexOf(' ');
+            fields[space === -1 ? line : line.slice(0, space)] = space === -1 ? true : line.slice(space + 1);
+        }
+        return { path: fields.worktree, branch: fields.branch || null };
+    });
+}
+
+function removeWorktree(rootDir, dir) {
+    if (git(`worktree remove --force "${dir}"`, rootDir) === null) {
+        // Not (or no longer) registered with git: delete what is left
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    TaskWorktrees,
+    TaskCheckout,
+    featureBranch,
+    WORKTREES_DIRNAME
+};
@@ -0,0 +1,195 @@
+/**
+ * Tests for kanban-github.js: runs the sync against a FakeGitHubClient and
+ * checks the cards and issues it leaves behind.
+ *
+ * Usage:
+ *   node --test .autopilot/automation/test/
+ *
+ * @version 1.0.0
+ * @author [Codey] (TPM)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KanbanStore } = require('../kanban-store');
+const { FakeGitHubClient } = require('../kanban-github-client');
+const { getSyncConfig, hasCardMarker, pullRequestState, syncCards, applySyncResults } = require('../kanban-github');
+
+// Only the mapping matters here, not the project's github_sync settings
+const PR_STATUS = { draft: 'waiting', open: 'review', changes_requested: 'blocked', merged: 'completed' };
+
+const branchFor = taskId => `feature/${taskId}`;
+
+function createStore(cards) {
+  const store = new KanbanStore('kanban.json').setData(KanbanStore.createEmpty());
+  cards.forEach(card => store.addTask({ type: 'feature', priority: 'medium', sprint: 1, ...card }));
+  return store;
+}
+
+function syncConfig(store) {
+  return getSyncConfig({ columns: store.workflow.columns, github_sync: { close_in_columns: ['live'], pr_status: PR_STATUS } });
+}
+
+// One sync pass as the CLI does it: GitHub first, then the store
+function sync(store, client, options = {}) {
+  const results = syncCards(store.data, client, { config: syncConfig(store), branchFor, ...options });
+  return { results, changed: applySyncResults(store, results) };
+}
+
+test('creates a labelled issue for an unlinked card and links it', () => {
+  const store = createStore([{ id: '001', title: 'Login form', column: 'backlog' }]);
+  const client = new FakeGitHubClient();
+
+  const { results, changed } = sync(store, client);
+
+  assert.equal(results[0].error, null);
+  assert.equal(changed, 1);
+  assert.deepEqual(client.state.labels, ['column:backlog']);
+  assert.equal(client.state.issues.length, 1);
+
+  const issue = client.state.issues[0];
+  assert.equal(issue.title, 'Login form');
+  assert.deepEqual(issue.labels, ['column:backlog']);
+  assert.equal(issue.state, 'open');
+  assert.ok(hasCardMarker(issue.body, '001'));
+
+  const task = store.getTask('001');
+  assert.equal(task.github.issue, issue.number);
+  assert.equal(task.github.url, issue.url);
+  assert.equal(task.history.at(-1).event, 'github_linked');
+});
+
+test('links an existing issue by its card marker, not a longer ID', () => {
+  const store = createStore([{ id: '100', title: 'Search', column: 'in_progress' }]);
+  const client = new FakeGitHubClient({
+    labels: ['column:in_progress'],
+    issues: [
+      { number: 7, title: 'Other', body: '_Kanban card #1000_', state: 'open', labels: [] },
+      { number: 8, title: 'Search', body: '---\n_Kanban card #100_', state: 'open', labels: ['column:in_progress'] }
+    ]
+  });
+
+  sync(store, client);
+
+  assert.equal(store.getTask('100').github.issue, 8);
+  assert.equal(client.calls.filter(call => call.method === 'createIssue').length, 0);
+  assert.equal(hasCardMarker('_Kanban card #1000_', '100'), false);
+  assert.equal(hasCardMarker('_Kanban card #100_', '100'), true);
+});
+
+test('moves the column label and closes the issue in a final column', () => {
+  const store = createStore([{ id: '001', title: 'Login form', column: 'backlog' }]);
+  const client = new FakeGitHubClient();
+  sync(store, client);
+
+  store.moveTask('001', 'live', undefined, { force: true });
+  sync(store, client);
+
+  const issue = client.state.issues[0];
+  assert.deepEqual(issue.labels, ['column:live']);
+  assert.equal(issue.state, 'closed');
+
+  store.moveTask('001', 'qa', undefined, { force: true });
+  sync(store, client);
+
+  assert.deepEqual(client.state.issues[0].labels, ['column:qa']);
+  assert.equal(client.state.issues[0].state, 'open');
+});
+
+test('only links cards that are already done', () => {
+  const store = createStore([{ id: '001', title: 'Shipped', column: 'live' }]);
+  const client = new FakeGitHubClient();
+
+  const { results, changed } = sync(store, client);
+
+  assert.match(results[0].skipped, /no issue, already live/);
+  assert.equal(changed, 0);
+  assert.equal(client.state.issues.length, 0);
+  assert.equal(store.getTask('001').github, null);
+});
+
+test('sets the card status from the pull request state', () => {
+  const store = createStore([{ id: '001', title: 'Login form', column: 'in_progress' }]);
+  const client = new FakeGitHubClient({ pulls: [{ number: 20, state: 'open', draft: true, branch: 'feature/001' }] });
+
+  sync(store, client);
+  assert.equal(store.getTask('001').status, 'waiting');
+  assert.deepEqual(store.getTask('001').github.pr, { number: 20, state: 'draft', url: 'https://github.com/example/repo/pull/20' });
+
+  client.state.pulls[0].draft = false;
+  sync(store, client);
+  assert.equal(store.getTask('001').status, 'review');
+
+  client.state.pulls[0].review = 'changes_requested';
+  sync(store, client);
+  assert.equal(store.getTask('001').status, 'blocked');
+
+  client.state.pulls[0].state = 'merged';
+  sync(store, client);
+  assert.equal(store.getTask('001').status, 'completed');
+  assert.equal(store.getTask('001').github.pr.state, 'merged');
+});
+
+test('leaves the status alone for unmapped or unchanged PR states', () => {
+  const store = createStore([{ id: '001', title: 'Login form', column: 'in_progress' }]);
+  const client = new FakeGitHubClient({ pulls: [{ number: 20, state: 'open', review: 'approved', branch: 'feature/001' }] });
+
+  sync(store, client);
+  assert.equal(store.getTask('001').status, null);
+  assert.equal(store.getTask('001').github.pr.state, 'approved');
+
+  // A status set by hand survives later syncs while the PR state stays the same
+  store.setStatus('001', 'blocked');
+  const { changed } = sync(store, client);
+  assert.equal(changed, 0);
+  assert.equal(store.getTask('001').status, 'blocked');
+});
+
+test('picks the open pull request of a branch over closed ones', () => {
+  const store = createStore([{ id: '001', title: 'Login form', column: 'qa' }]);
+  const client = new FakeGitHubClient({
+    pulls: [
+      { number: 30, state: 'closed', branch: 'feature/001' },
+      { number: 31, state: 'open', branch: 'feature/001' },
+      { number: 32, state: 'open', branch: 'feature/002' }
+    ]
+  });
+
+  sync(store, client);
+
+  assert.equal(store.getTask('001').github.pr.number, 31);
+});
+
+test('a dry run reads GitHub but changes neither GitHub nor the cards', () => {
+  const store = createStore([{ id: '001', title: 'Login form', column: 'backlog' }]);
+  const client = new FakeGitHubClient();
+
+  const results = syncCards(store.data, client, { config: syncConfig(store), branchFor, dryRun: true });
+
+  assert.deepEqual(results[0].actions, ['would create label "column:backlog"', 'would create an issue labelled "column:backlog"']);
+  assert.equal(client.state.issues.length, 0);
+  assert.deepEqual(client.state.labels, []);
+  assert.equal(applySyncResults(store, results), 0);
+  assert.equal(store.getTask('001').github, null);
+});
+
+test('a second sync without changes changes no card', () => {
+  const store = createStore([{ id: '001', title: 'Login form', column: 'backlog' }]);
+  const client = new FakeGitHubClient();
+  sync(store, client);
+
+  const { results, changed } = sync(store, client);
+
+  assert.equal(changed, 0);
+  assert.deepEqual(results[0].actions, []);
+});
+
+test('pullRequestState ranks merged and closed over review state', () => {
+  assert.equal(pullRequestState(null), null);
+  assert.equal(pullRequestState({ state: 'merged', draft: true }), 'merged');
+  assert.equal(pullRequestState({ state: 'closed', review: 'approved' }), 'closed');
+  assert.equal(pullRequestState({ state: 'open', draft: true, review: 'approved' }), 'draft');
+  assert.equal(pullRequestState({ state: 'open', review: 'changes_requested' }), 'changes_requested');
+  assert.equal(pullRequestState({ state: 'open', review: 'approved' }), 'approved');
+  assert.equal(pullRequestState({ state: 'open' }), 'open');
+});
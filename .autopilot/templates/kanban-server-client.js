@@ -0,0 +1,284 @@
+// Kanban board interactions, added by kanban-server.js to the board it serves
+// (kanban_dev.html on disk stays read-only). Every change is sent to the
+// server, which applies the same rules as kanban-updater.js.
+//
+//   Drag a card        Move it to another column (refused moves can be forced)
+//   Double-click card  Edit its fields
+//   + Add card         New card in the visible sprint's Backlog
+(function () {
+    const SPRINT_KEY = 'kanban-server-sprint';
+    let board = null;
+    let dragged = null;
+
+    const style = document.createElement('style');
+    style.textContent = `
+        .ks-drop-allowed { outline: 2px dashed #3b82f6; outline-offset: 4px; border-radius: 0.5rem; }
+        .ks-drop-forced { outline: 2px dashed #f59e0b; outline-offset: 4px; border-radius: 0.5rem; }
+        .ks-drop-over { background-color: rgba(59, 130, 246, 0.06); }
+        .ks-dragging { opacity: 0.5; }
+        .ks-add { position: fixed; right: 1.5rem; bottom: 1.5rem; padding: 0.75rem 1.25rem; border-radius: 9999px;
+                  background: #1f2937; color: #fff; font-size: 0.875rem; font-weight: 600; border: 0; cursor: pointer;
+                  box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.2); }
+        .ks-dialog { border: 0; border-radius: 0.75rem; padding: 1.5rem; width: min(32rem, 92vw);
+                     box-shadow: 0 20px 40px -10px rgba(0, 0, 0, 0.3); font-size: 0.875rem; color: #111827; }
+        .ks-dialog::backdrop { background: rgba(17, 24, 39, 0.4); }
+        .ks-dialog h3 { font-size: 1rem; font-weight: 600; margin: 0 0 1rem; }
+        .ks-dialog label { display: block; margin-bottom: 0.75rem; color: #374151; font-weight: 500; }
+        .ks-dialog input, .ks-dialog select, .ks-dialog textarea { display: block; width: 100%; margin-top: 0.25rem; padding: 0.375rem 0.5rem;
+                     border: 1px solid #d1d5db; border-radius: 0.375rem; font: inherit; font-weight: 400; box-sizing: border-box; }
+        .ks-dialog .ks-row { display: grid; grid-template-columns: 1fr 1fr; gap: 0.75rem; }
+        .ks-dialog .ks-errors { color: #b91c1c; margin-bottom: 0.75rem; white-space: pre-line; }
+        .ks-dialog .ks-actions { display: flex; justify-content: flex-end; gap: 0.5rem; margin-top: 1rem; }
+        .ks-dialog button { padding: 0.5rem 1rem; border-radius: 0.375rem; border: 1px solid #d1d5db; background: #fff; cursor: pointer; font: inherit; }
+        .ks-dialog button[type="submit"] { background: #1f2937; color: #fff; border-color: #1f2937; }
+        .ks-toast { position: fixed; left: 50%; bottom: 1.5rem; transform: translateX(-50%); padding: 0.625rem 1rem; border-radius: 0.5rem;
+                    background: #b91c1c; color: #fff; font-size: 0.875rem; box-shadow: 0 10px 15px -3px rgba(0, 0, 0, 0.2); z-index: 50; }
+    `;
+    document.head.appendChild(style);
+
+    async function api(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        return { status: response.status, data };
+    }
+
+    // Sends a change; a refused change (409) is retried with force after confirmation
+    async function submit(method, url, body) {
+        let { status, data } = await api(method, url, body);
+        if (status === 409 && data.can_force) {
+            const question = `${data.problems.join('\n')}\n\nDo it anyway? The override is recorded in the card history.`;
+            if (!window.confirm(question)) return { ok: false, cancelled: true };
+            ({ status, data } = await api(method, url, { ...body, force: true }));
+        }
+        if (status >= 400) {
+            return { ok: false, error: [data.error, ...(data.errors || [])].filter(Boolean).join('\n') };
+        }
+        return { ok: true, data };
+    }
+
+    function reload() {
+        const visible = document.querySelector('.sprint-board:not(.sprint-hidden)');
+        if (visible) sessionStorage.setItem(SPRINT_KEY, visible.id.replace('sprint-', ''));
+        window.location.reload();
+    }
+
+    function toast(message) {
+        const element = document.createElement('div');
+        element.className = 'ks-toast';
+        element.textContent = message;
+        document.body.appendChild(element);
+        setTimeout(() => element.remove(), 5000);
+    }
+
+    // ---------- Drag and drop ----------
+
+    // Column card lists (<column>-cards-<sprint>) and swimlane cells
+    function dropTargets() {
+        const columns = [...document.querySelectorAll('[id*="-cards-"]')]
+            .map(element => {
+                const match = element.id.match(/^(\w+)-cards-(\d+)$/);
+                return match ? { element, column: match[1], sprint: Number(match[2]) } : null;
+            })
+            .filter(Boolean);
+        const cells = [...document.querySelectorAll('.swimlane-cell')]
+            .map(element => ({ element, column: element.dataset.column, sprint: Number(element.dataset.sprint) }));
+        return [...columns, ...cells];
+    }
+
+    function taskOf(card) {
+        return board.tasks.find(task => task.id === card.dataset.id);
+    }
+
+    function setupDragAndDrop() {
+        document.querySelectorAll('.kanban-card').forEach(card => {
+            card.setAttribute('draggable', 'true');
+            card.addEventListener('dragstart', event => {
+                dragged = card;
+                card.classList.add('ks-dragging');
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData('text/plain', card.dataset.id);
+
+                const task = taskOf(card);
+                const next = (board.columns.find(col => col.id === task.column) || {}).next_states || [];
+                dropTargets().forEach(({ element, column, sprint }) => {
+                    if (column === task.column && sprint === task.sprint) return;
+                    element.classList.add(next.includes(column) || column === task.column ? 'ks-drop-allowed' : 'ks-drop-forced');
+                });
+            });
+            card.addEventListener('dragend', () => {
+                card.classList.remove('ks-dragging');
+                dragged = null;
+                document.querySelectorAll('.ks-drop-allowed, .ks-drop-forced, .ks-drop-over')
+                    .forEach(element => element.classList.remove('ks-drop-allowed', 'ks-drop-forced', 'ks-drop-over'));
+            });
+        });
+
+        bindDropTargets();
+        // Swimlanes are rebuilt in the page when switched; their new cells need binding
+        document.addEventListener('swimlanes-changed', bindDropTargets);
+    }
+
+    function bindDropTargets() {
+        dropTargets().forEach(({ element, column, sprint }) => {
+            if (element.dataset.ksDrop) return;
+            element.dataset.ksDrop = 'true';
+            element.addEventListener('dragover', event => {
+                if (!dragged) return;
+                event.preventDefault();
+                element.classList.add('ks-drop-over');
+            });
+            element.addEventListener('dragleave', () => element.classList.remove('ks-drop-over'));
+            element.addEventListener('drop', async event => {
+                event.preventDefault();
+                const task = dragged && taskOf(dragged);
+                if (!task || (task.column === column && task.sprint === sprint)) return;
+
+                const result = await submit('POST', `/api/tasks/${encodeURIComponent(task.id)}/move`, { to_column: column, sprint });
+                if (result.ok) reload();
+                else if (result.error) toast(result.error);
+            });
+        });
+    }
+
+    // ---------- Edit and add ----------
+
+    function options(items, selected, blank) {
+        const list = blank ? [{ id: '', name: blank }, ...items] : items;
+        return list.map(item => `<option value="${escapeHtml(item.id)}"${item.id === (selected || '') ? ' selected' : ''}>${escapeHtml(item.name || item.id)}</option>`).join('');
+    }
+
+    function openDialog(task, defaults) {
+        const props = board.card_properties;
+        const values = task || defaults;
+        const dialog = document.createElement('dialog');
+        dialog.className = 'ks-dialog';
+        dialog.innerHTML = `
+            <form method="dialog">
+                <h3>${task ? `Edit #${escapeHtml(task.id)}` : 'New card'}</h3>
+                <div class="ks-errors"></div>
+                <label>Title <input name="title" required value="${escapeHtml(values.title || '')}"></label>
+                <label>Description <textarea name="description" rows="2">${escapeHtml(values.description || '')}</textarea></label>
+                <div class="ks-row">
+                    <label>Type <select name="type">${options(props.task_types || [], values.type)}</select></label>
+                    <label>Priority <select name="priority">${options(props.priorities || [], values.priority)}</select></label>
+                </div>
+                <div class="ks-row">
+                    <label>Assignee <input name="assignee" value="${escapeHtml(values.assignee || '')}" placeholder="[Syntax]"></label>
+                    <label>Status <select name="status">${options(props.statuses || [], values.status, '(none)')}</select></label>
+                </div>
+                <div class="ks-row">
+                    <label>Sprint <input name="sprint" type="number" min="1" value="${escapeHtml(values.sprint)}"></label>
+                    <label>Points <input name="points" value="${escapeHtml(values.points ?? '')}" placeholder="3 or M"></label>
+                </div>
+                <label>Depends on <input name="dependencies" value="${escapeHtml((values.dependencies || []).join(', '))}" placeholder="003, 007"></label>
+                <label>Acceptance criteria (one per line)
+                    <textarea name="acceptance_criteria" rows="3">${escapeHtml((values.acceptance_criteria || []).map(item => item.text).join('\n'))}</textarea>
+                </label>
+                <div class="ks-actions">
+                    <button type="button" value="cancel">Cancel</button>
+                    <button type="submit">${task ? 'Save' : 'Add card'}</button>
+                </div>
+            </form>`;
+        document.body.appendChild(dialog);
+
+        const form = dialog.querySelector('form');
+        dialog.querySelector('button[value="cancel"]').addEventListener('click', () => dialog.close());
+        dialog.addEventListener('close', () => dialog.remove());
+
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            const data = new FormData(form);
+            const fields = {
+                title: data.get('title').trim(),
+                description: data.get('description').trim(),
+                type: data.get('type'),
+                priority: data.get('priority'),
+                assignee: data.get('assignee').trim(),
+                status: data.get('status') || null,
+                sprint: data.get('sprint'),
+                points: data.get('points').trim(),
+                dependencies: data.get('dependencies').split(',').map(id => id.trim()).filter(Boolean),
+                acceptance_criteria: data.get('acceptance_criteria').split('\n').map(text => text.trim()).filter(Boolean)
+                    .map(text => ({ text, done: Boolean(task && task.acceptance_criteria.some(item => item.text === text && item.done)) }))
+            };
+
+            let result;
+            if (task) {
+                // Only send what changed
+                const changes = {};
+                for (const [field, value] of Object.entries(fields)) {
+                    const before = field === 'sprint' || field === 'points' ? String(task[field] ?? '') : task[field];
+                    if (JSON.stringify(before ?? null) !== JSON.stringify(value ?? null)) changes[field] = value;
+                }
+                if (Object.keys(changes).length === 0) return dialog.close();
+                result = await submit('PATCH', `/api/tasks/${encodeURIComponent(task.id)}`, changes);
+            } else {
+                result = await submit('POST', '/api/tasks', { ...fields, column: defaults.column });
+            }
+
+            if (result.ok) {
+                dialog.close();
+                reload();
+            } else if (result.error) {
+                dialog.querySelector('.ks-errors').textContent = result.error;
+            }
+        });
+
+        dialog.showModal();
+    }
+
+    function setupEditing() {
+        document.querySelectorAll('.kanban-card').forEach(card => {
+            card.addEventListener('dblclick', event => {
+                event.preventDefault();
+                const task = taskOf(card);
+                if (task) openDialog(task);
+            });
+        });
+
+        const button = document.createElement('button');
+        button.className = 'ks-add';
+        button.textContent = '+ Add card';
+        button.addEventListener('click', () => {
+            const visible = document.querySelector('.sprint-board:not(.sprint-hidden)');
+            const sprint = visible ? Number(visible.id.replace('sprint-', '')) : 1;
+            const props = board.card_properties;
+            openDialog(null, {
+                sprint,
+                column: board.columns[0].id,
+                type: ((props.task_types || [])[0] || {}).id,
+                priority: 'medium'
+            });
+        });
+        document.body.appendChild(button);
+    }
+
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    document.addEventListener('DOMContentLoaded', async function () {
+        const sprint = sessionStorage.getItem(SPRINT_KEY);
+        if (sprint && document.getElementById(`sprint-${sprint}`) && typeof showSprint === 'function') {
+            showSprint(Number(sprint));
+        }
+        sessionStorage.removeItem(SPRINT_KEY);
+
+        const { status, data } = await api('GET', '/api/board');
+        if (status !== 200) {
+            toast(`Could not load the board data: ${data.error || status}`);
+            return;
+        }
+        board = data;
+        setupDragAndDrop();
+        setupEditing();
+    });
+})();